@@ -0,0 +1,166 @@
+/**
+ * 声音活动检测模块
+ * 按帧计算限定频带内的能量和谱通量，持续跟踪自适应噪声基底，
+ * 只有声音明显高于基底时才判定为活动，用于在连续监测中跳过静音和稳定背景噪声
+ */
+class ActivityDetector {
+    /**
+     * @param {Object} options - 参数
+     * @param {number} options.sampleRate - 采样率
+     * @param {number} options.bandLow - 频带下限（Hz），默认300
+     * @param {number} options.bandHigh - 频带上限（Hz），默认10000
+     * @param {number} options.thresholdDb - 能量高出噪声基底多少分贝时触发，默认8
+     * @param {number} options.fluxThreshold - 谱通量达到基底的多少倍时视为起始（需能量至少高出一半阈值），默认3
+     * @param {number} options.noiseAdaptTime - 噪声基底上升的时间常数（秒），默认5
+     * @param {number} options.warmupTime - 开始后仅学习噪声基底、不触发的时长（秒），默认1
+     * @param {number} options.hangoverTime - 能量回落后保持活动状态的时长（秒），默认0.2
+     */
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 16000;
+        this.bandLow = options.bandLow === undefined ? 300 : options.bandLow;
+        this.bandHigh = Math.min(options.bandHigh || 10000, this.sampleRate / 2);
+        this.thresholdDb = options.thresholdDb === undefined ? 8 : options.thresholdDb;
+        this.fluxThreshold = options.fluxThreshold === undefined ? 3 : options.fluxThreshold;
+
+        // 帧长取约20ms对应的2的幂，帧之间不重叠
+        this.frameSize = Math.pow(2, Math.ceil(Math.log2(this.sampleRate * 0.02)));
+        const frameDuration = this.frameSize / this.sampleRate;
+
+        this.noiseAlpha = frameDuration / (options.noiseAdaptTime || 5);
+        this.warmupFrames = Math.ceil((options.warmupTime === undefined ? 1 : options.warmupTime) / frameDuration);
+        this.hangoverFrames = Math.ceil((options.hangoverTime === undefined ? 0.2 : options.hangoverTime) / frameDuration);
+
+        // 复用梅尔频谱模块中的加窗FFT
+        this.spectrum = new MelSpectrogram({
+            sampleRate: this.sampleRate,
+            nFft: this.frameSize,
+            hopLength: this.frameSize,
+            nMels: 1,
+            center: false
+        });
+        const binHz = this.sampleRate / this.frameSize;
+        this.binLow = Math.max(1, Math.floor(this.bandLow / binHz));
+        this.binHigh = Math.min(this.frameSize / 2, Math.ceil(this.bandHigh / binHz));
+
+        this.reset();
+    }
+
+    /**
+     * 清空状态（包括已学习的噪声基底）
+     */
+    reset() {
+        this.pending = new Float32Array(0); // 不足一帧的剩余采样点
+        this.frameCount = 0;
+        this.previousMagnitude = null;
+        this.noiseFloorDb = null;
+        this.fluxFloor = null;
+        this.isActive = false;
+        this.quietFrames = 0;
+        this.lastActiveEnd = 0; // 最后一个活动帧结束处的绝对采样点位置
+    }
+
+    /**
+     * 输入一段连续的采样点，返回其中的活动起止变化
+     * @param {Float32Array} samples - 采样点
+     * @returns {Array<{type: 'start' | 'end', position: number}>} - 变化列表，position 为绝对采样点位置
+     */
+    process(samples) {
+        const data = new Float32Array(this.pending.length + samples.length);
+        data.set(this.pending);
+        data.set(samples, this.pending.length);
+
+        const usable = data.length - data.length % this.frameSize;
+        this.pending = data.slice(usable);
+        if (usable === 0) return [];
+
+        const power = this.spectrum.powerSpectrogram(data.subarray(0, usable));
+        const transitions = [];
+
+        for (let t = 0; t < power.numFrames; t++) {
+            const frameStart = this.frameCount * this.frameSize;
+            const transition = this.processFrame(power.data.subarray(t * power.nBins, (t + 1) * power.nBins), frameStart);
+            if (transition) {
+                transitions.push(transition);
+            }
+            this.frameCount++;
+        }
+
+        return transitions;
+    }
+
+    /**
+     * 处理一帧功率谱
+     * @param {Float32Array} frame - 功率谱
+     * @param {number} frameStart - 帧起始的绝对采样点位置
+     * @returns {Object|null} - 活动起止变化
+     */
+    processFrame(frame, frameStart) {
+        let energy = 0;
+        let flux = 0;
+        const magnitude = new Float32Array(this.binHigh - this.binLow + 1);
+
+        for (let k = this.binLow; k <= this.binHigh; k++) {
+            energy += frame[k];
+            magnitude[k - this.binLow] = Math.sqrt(frame[k]);
+            if (this.previousMagnitude) {
+                flux += Math.max(0, magnitude[k - this.binLow] - this.previousMagnitude[k - this.binLow]);
+            }
+        }
+        this.previousMagnitude = magnitude;
+
+        const energyDb = 10 * Math.log10(energy + 1e-12);
+        flux /= magnitude.length;
+
+        if (this.noiseFloorDb === null) {
+            this.noiseFloorDb = energyDb;
+            this.fluxFloor = flux;
+            return null;
+        }
+
+        const excessDb = energyDb - this.noiseFloorDb;
+        const fluxRatio = flux / (this.fluxFloor + 1e-12);
+        const frameEnd = frameStart + this.frameSize;
+
+        // 噪声基底：低于基底时立即下降，高于时缓慢上升；活动期间上升更慢，避免长事件抬高基底
+        const alpha = this.isActive ? this.noiseAlpha / 10 : this.noiseAlpha;
+        if (energyDb < this.noiseFloorDb) {
+            this.noiseFloorDb = energyDb;
+        } else {
+            this.noiseFloorDb += alpha * (energyDb - this.noiseFloorDb);
+        }
+        if (!this.isActive) {
+            this.fluxFloor += this.noiseAlpha * (flux - this.fluxFloor);
+        }
+
+        if (this.frameCount < this.warmupFrames) {
+            return null;
+        }
+
+        if (!this.isActive) {
+            const isOnset = excessDb >= this.thresholdDb ||
+                (fluxRatio >= this.fluxThreshold && excessDb >= this.thresholdDb / 2);
+            if (isOnset) {
+                this.isActive = true;
+                this.quietFrames = 0;
+                this.lastActiveEnd = frameEnd;
+                return { type: 'start', position: frameStart };
+            }
+            return null;
+        }
+
+        // 滞回：低于一半阈值并持续 hangover 时长后才结束
+        if (excessDb >= this.thresholdDb / 2) {
+            this.quietFrames = 0;
+            this.lastActiveEnd = frameEnd;
+            return null;
+        }
+
+        this.quietFrames++;
+        if (this.quietFrames >= this.hangoverFrames) {
+            this.isActive = false;
+            return { type: 'end', position: this.lastActiveEnd };
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,780 @@
+/**
+ * 音频解码模块
+ * 纯JavaScript实现的WAV（含 WAVE_FORMAT_EXTENSIBLE、RF64/BW64）和FLAC解码，
+ * 按文件原始采样率返回各声道数据和格式信息，不依赖Web Audio，可在Worker和Node中使用
+ */
+class AudioDecoder {
+    /**
+     * 根据文件头判断格式
+     * @param {ArrayBuffer|Uint8Array} data - 文件内容
+     * @returns {string|null} - 'wav' | 'rf64' | 'flac'，无法识别时为null
+     */
+    static detectFormat(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const tag = AudioDecoder.readAscii(bytes, 0, 4);
+
+        if ((tag === 'RIFF' || tag === 'RF64' || tag === 'BW64') && AudioDecoder.readAscii(bytes, 8, 4) === 'WAVE') {
+            return tag === 'RIFF' ? 'wav' : 'rf64';
+        }
+        if (tag === 'fLaC' || (tag.startsWith('ID3') && AudioDecoder.findFlacMarker(bytes) >= 0)) {
+            return 'flac';
+        }
+
+        return null;
+    }
+
+    /**
+     * 解码音频文件
+     * @param {ArrayBuffer|Uint8Array} data - 文件内容
+     * @returns {Object} - 类AudioBuffer对象 { sampleRate, length, duration, numberOfChannels, getChannelData(c), format }
+     */
+    static decode(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        switch (AudioDecoder.detectFormat(bytes)) {
+            case 'wav':
+            case 'rf64':
+                return AudioDecoder.decodeWav(bytes);
+            case 'flac':
+                return AudioDecoder.decodeFlac(bytes);
+            default:
+                throw new Error('不支持的音频格式，仅支持WAV和FLAC');
+        }
+    }
+
+    /**
+     * 解码WAV / RF64 / BW64
+     * 支持8/16/24/32位整数和32/64位浮点PCM，WAVE_FORMAT_EXTENSIBLE按SubFormat处理
+     * @param {Uint8Array} bytes - 文件内容
+     * @returns {Object} - 类AudioBuffer对象
+     */
+    static decodeWav(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const container = AudioDecoder.readAscii(bytes, 0, 4) === 'RIFF' ? 'wav' : 'rf64';
+        const chunks = AudioDecoder.readWavChunks(bytes);
+
+        let fmt = null;
+        let dataOffset = -1;
+        let dataSize = 0;
+
+        chunks.forEach(({ id, offset, size }) => {
+            if (id === 'fmt ') {
+                fmt = AudioDecoder.parseWavFormat(view, offset, size);
+            } else if (id === 'data') {
+                dataOffset = offset;
+                // 录音中断的文件 data 长度可能超出实际内容
+                dataSize = Math.min(size, bytes.length - offset);
+            }
+        });
+
+        if (!fmt) {
+            throw new Error('WAV文件缺少fmt块');
+        }
+        if (dataOffset < 0) {
+            throw new Error('WAV文件缺少data块');
+        }
+
+        const { numberOfChannels, sampleRate, bitDepth, float } = fmt;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = fmt.blockAlign || numberOfChannels * bytesPerSample;
+        const frames = Math.floor(dataSize / blockAlign);
+
+        const channels = [];
+        for (let c = 0; c < numberOfChannels; c++) {
+            channels.push(new Float32Array(frames));
+        }
+
+        const readSample = AudioDecoder.createSampleReader(view, bitDepth, float);
+        for (let i = 0; i < frames; i++) {
+            const frameOffset = dataOffset + i * blockAlign;
+            for (let c = 0; c < numberOfChannels; c++) {
+                channels[c][i] = readSample(frameOffset + c * bytesPerSample);
+            }
+        }
+
+        return AudioDecoder.createAudioData(channels, sampleRate, {
+            container,
+            codec: float ? 'float' : 'pcm',
+            bitDepth,
+            validBits: fmt.validBits,
+            float,
+            extensible: fmt.extensible,
+            channelMask: fmt.channelMask,
+            chunks
+        });
+    }
+
+    /**
+     * 列出WAV / RF64 文件的所有块
+     * @param {Uint8Array} bytes - 文件内容
+     * @returns {Array<{id: string, offset: number, size: number}>} - offset 为块内容起始位置，RF64 的 data 块长度已按 ds64 还原
+     */
+    static readWavChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let ds64DataSize = null;
+
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const id = AudioDecoder.readAscii(bytes, offset, 4);
+            let size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+
+            // RF64 中 data 块长度为 0xFFFFFFFF，实际长度记录在 ds64 块
+            if (id === 'data' && size === 0xFFFFFFFF && ds64DataSize !== null) {
+                size = ds64DataSize;
+            }
+            if (id === 'ds64') {
+                ds64DataSize = AudioDecoder.readUint64(view, body + 8);
+            }
+
+            chunks.push({ id, offset: body, size });
+            offset = body + size + (size & 1);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * 解析WAV fmt 块
+     * @param {DataView} view - 文件视图
+     * @param {number} offset - 块内容起始位置
+     * @param {number} size - 块长度
+     * @returns {Object} - { formatTag, numberOfChannels, sampleRate, blockAlign, bitDepth, validBits, float, extensible, channelMask }
+     */
+    static parseWavFormat(view, offset, size) {
+        let formatTag = view.getUint16(offset, true);
+        const bitDepth = view.getUint16(offset + 14, true);
+        const extensible = formatTag === 0xFFFE;
+        let validBits = bitDepth;
+        let channelMask = null;
+
+        // WAVE_FORMAT_EXTENSIBLE: 实际格式为 SubFormat GUID 的前两个字节
+        if (extensible && size >= 40) {
+            validBits = view.getUint16(offset + 18, true) || bitDepth;
+            channelMask = view.getUint32(offset + 20, true);
+            formatTag = view.getUint16(offset + 24, true);
+        }
+
+        if (formatTag !== 1 && formatTag !== 3) {
+            throw new Error(`不支持的WAV编码格式: 0x${formatTag.toString(16)}`);
+        }
+
+        const float = formatTag === 3;
+        const supported = float ? [32, 64] : [8, 16, 24, 32];
+        if (!supported.includes(bitDepth)) {
+            throw new Error(`不支持的WAV位深: ${bitDepth}位${float ? '浮点' : '整数'}`);
+        }
+
+        return {
+            formatTag,
+            numberOfChannels: view.getUint16(offset + 2, true),
+            sampleRate: view.getUint32(offset + 4, true),
+            blockAlign: view.getUint16(offset + 12, true),
+            bitDepth,
+            validBits,
+            float,
+            extensible,
+            channelMask
+        };
+    }
+
+    /**
+     * 创建读取单个采样点并转换为 [-1, 1] 浮点数的函数
+     * @param {DataView} view - 文件视图
+     * @param {number} bitDepth - 容器位深
+     * @param {boolean} float - 是否为浮点
+     * @returns {Function} - (offset) => number
+     */
+    static createSampleReader(view, bitDepth, float) {
+        if (float) {
+            return bitDepth === 64
+                ? (offset) => view.getFloat64(offset, true)
+                : (offset) => view.getFloat32(offset, true);
+        }
+
+        switch (bitDepth) {
+            case 8:
+                // 8位WAV为无符号整数
+                return (offset) => (view.getUint8(offset) - 128) / 128;
+            case 16:
+                return (offset) => view.getInt16(offset, true) / 32768;
+            case 24:
+                return (offset) => {
+                    const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+                    return value / 8388608;
+                };
+            default:
+                return (offset) => view.getInt32(offset, true) / 2147483648;
+        }
+    }
+
+    /**
+     * 解码FLAC
+     * 支持全部子帧类型（CONSTANT、VERBATIM、FIXED、LPC）、声道去相关和 wasted bits
+     * @param {Uint8Array} bytes - 文件内容
+     * @returns {Object} - 类AudioBuffer对象
+     */
+    static decodeFlac(bytes) {
+        const start = AudioDecoder.findFlacMarker(bytes);
+        if (start < 0) {
+            throw new Error('不是有效的FLAC文件');
+        }
+
+        const reader = new FlacBitReader(bytes, start + 4);
+        let streamInfo = null;
+        const vorbisComments = {};
+
+        // 元数据块
+        let isLast = false;
+        while (!isLast) {
+            isLast = reader.readBits(1) === 1;
+            const type = reader.readBits(7);
+            const length = reader.readBits(24);
+            const blockStart = reader.bytePosition;
+
+            if (type === 0) {
+                streamInfo = {
+                    minBlockSize: reader.readBits(16),
+                    maxBlockSize: reader.readBits(16),
+                    minFrameSize: reader.readBits(24),
+                    maxFrameSize: reader.readBits(24),
+                    sampleRate: reader.readBits(20),
+                    numberOfChannels: reader.readBits(3) + 1,
+                    bitDepth: reader.readBits(5) + 1,
+                    totalSamples: reader.readBits(36)
+                };
+            } else if (type === 4) {
+                Object.assign(vorbisComments, AudioDecoder.parseVorbisComments(bytes, blockStart, length));
+            }
+
+            reader.seek(blockStart + length);
+        }
+
+        if (!streamInfo) {
+            throw new Error('FLAC文件缺少STREAMINFO块');
+        }
+
+        const { numberOfChannels, totalSamples } = streamInfo;
+
+        // 总采样数未知时按块追加
+        let capacity = totalSamples || streamInfo.sampleRate * 10;
+        let channels = [];
+        for (let c = 0; c < numberOfChannels; c++) {
+            channels.push(new Float32Array(capacity));
+        }
+        let length = 0;
+
+        while (reader.bytesRemaining() > 2) {
+            const frame = AudioDecoder.decodeFlacFrame(reader, streamInfo);
+            if (!frame) break;
+
+            if (length + frame.blockSize > capacity) {
+                capacity = Math.max(capacity * 2, length + frame.blockSize);
+                channels = channels.map(channel => {
+                    const grown = new Float32Array(capacity);
+                    grown.set(channel.subarray(0, length));
+                    return grown;
+                });
+            }
+
+            const scale = Math.pow(2, frame.bitDepth - 1);
+            for (let c = 0; c < numberOfChannels; c++) {
+                const target = channels[c];
+                const source = frame.samples[c];
+                for (let i = 0; i < frame.blockSize; i++) {
+                    target[length + i] = source[i] / scale;
+                }
+            }
+            length += frame.blockSize;
+
+            if (totalSamples && length >= totalSamples) break;
+        }
+
+        return AudioDecoder.createAudioData(channels.map(channel => channel.subarray(0, length)), streamInfo.sampleRate, {
+            container: 'flac',
+            codec: 'flac',
+            bitDepth: streamInfo.bitDepth,
+            validBits: streamInfo.bitDepth,
+            float: false,
+            vorbisComments
+        });
+    }
+
+    /**
+     * 解码一个FLAC帧
+     * @param {FlacBitReader} reader - 位读取器，位于帧起始
+     * @param {Object} streamInfo - STREAMINFO
+     * @returns {Object|null} - { blockSize, bitDepth, samples: Array<Array<number>> }，没有更多帧时为null
+     */
+    static decodeFlacFrame(reader, streamInfo) {
+        // 帧同步码 0b11111111111110
+        if (reader.readBits(14) !== 0x3FFE) {
+            return null;
+        }
+        reader.readBits(2); // 保留位 + 分块策略
+
+        const blockSizeCode = reader.readBits(4);
+        const sampleRateCode = reader.readBits(4);
+        const channelAssignment = reader.readBits(4);
+        const sampleSizeCode = reader.readBits(3);
+        reader.readBits(1);
+
+        reader.readUtf8Number(); // 帧号或采样号
+
+        let blockSize;
+        if (blockSizeCode === 1) {
+            blockSize = 192;
+        } else if (blockSizeCode >= 2 && blockSizeCode <= 5) {
+            blockSize = 576 * Math.pow(2, blockSizeCode - 2);
+        } else if (blockSizeCode === 6) {
+            blockSize = reader.readBits(8) + 1;
+        } else if (blockSizeCode === 7) {
+            blockSize = reader.readBits(16) + 1;
+        } else if (blockSizeCode >= 8) {
+            blockSize = 256 * Math.pow(2, blockSizeCode - 8);
+        } else {
+            throw new Error('FLAC帧块大小无效');
+        }
+
+        // 帧头中的采样率仅用于校验，解码以 STREAMINFO 为准
+        if (sampleRateCode === 12) {
+            reader.readBits(8);
+        } else if (sampleRateCode === 13 || sampleRateCode === 14) {
+            reader.readBits(16);
+        }
+
+        const sampleSizes = [streamInfo.bitDepth, 8, 12, null, 16, 20, 24, 32];
+        const bitDepth = sampleSizes[sampleSizeCode];
+        if (!bitDepth) {
+            throw new Error('FLAC帧采样位深无效');
+        }
+
+        reader.readBits(8); // 帧头CRC-8
+
+        const channelCount = channelAssignment <= 7 ? channelAssignment + 1 : 2;
+        if (channelAssignment > 10) {
+            throw new Error('FLAC帧声道分配无效');
+        }
+
+        const samples = [];
+        for (let c = 0; c < channelCount; c++) {
+            // 侧声道（差值）比原始位深多1位
+            const isSide = (channelAssignment === 8 && c === 1) ||
+                (channelAssignment === 9 && c === 0) ||
+                (channelAssignment === 10 && c === 1);
+            samples.push(AudioDecoder.decodeFlacSubframe(reader, blockSize, bitDepth + (isSide ? 1 : 0)));
+        }
+
+        // 声道去相关
+        if (channelAssignment >= 8) {
+            const [a, b] = samples;
+            for (let i = 0; i < blockSize; i++) {
+                if (channelAssignment === 8) {
+                    // 左 / 侧
+                    b[i] = a[i] - b[i];
+                } else if (channelAssignment === 9) {
+                    // 侧 / 右
+                    a[i] = a[i] + b[i];
+                } else {
+                    // 中 / 侧
+                    const side = b[i];
+                    const mid = a[i] * 2 + Math.abs(side % 2);
+                    a[i] = (mid + side) / 2;
+                    b[i] = (mid - side) / 2;
+                }
+            }
+        }
+
+        // 对齐到字节后跳过帧尾CRC-16
+        reader.alignToByte();
+        reader.readBits(16);
+
+        return { blockSize, bitDepth, samples };
+    }
+
+    /**
+     * 解码一个FLAC子帧
+     * @param {FlacBitReader} reader - 位读取器
+     * @param {number} blockSize - 块大小
+     * @param {number} bitDepth - 该声道的位深
+     * @returns {Float64Array} - 整数采样值
+     */
+    static decodeFlacSubframe(reader, blockSize, bitDepth) {
+        reader.readBits(1); // 填充位
+        const type = reader.readBits(6);
+
+        // wasted bits: 所有采样共同的低位0
+        let wastedBits = 0;
+        if (reader.readBits(1) === 1) {
+            wastedBits = reader.readUnary() + 1;
+        }
+        const bits = bitDepth - wastedBits;
+
+        const samples = new Float64Array(blockSize);
+
+        if (type === 0) {
+            // CONSTANT
+            samples.fill(reader.readSigned(bits));
+        } else if (type === 1) {
+            // VERBATIM
+            for (let i = 0; i < blockSize; i++) {
+                samples[i] = reader.readSigned(bits);
+            }
+        } else if (type >= 8 && type <= 12) {
+            // FIXED
+            const order = type - 8;
+            for (let i = 0; i < order; i++) {
+                samples[i] = reader.readSigned(bits);
+            }
+            AudioDecoder.readFlacResidual(reader, samples, blockSize, order);
+            AudioDecoder.restoreFixedPrediction(samples, order);
+        } else if (type >= 32) {
+            // LPC
+            const order = (type & 0x1F) + 1;
+            for (let i = 0; i < order; i++) {
+                samples[i] = reader.readSigned(bits);
+            }
+
+            const precision = reader.readBits(4) + 1;
+            if (precision === 16) {
+                throw new Error('FLAC LPC系数精度无效');
+            }
+            const shift = reader.readSigned(5);
+            const coefficients = [];
+            for (let i = 0; i < order; i++) {
+                coefficients.push(reader.readSigned(precision));
+            }
+
+            AudioDecoder.readFlacResidual(reader, samples, blockSize, order);
+
+            const divisor = Math.pow(2, shift);
+            for (let i = order; i < blockSize; i++) {
+                let sum = 0;
+                for (let j = 0; j < order; j++) {
+                    sum += coefficients[j] * samples[i - j - 1];
+                }
+                samples[i] += Math.floor(sum / divisor);
+            }
+        } else {
+            throw new Error(`FLAC子帧类型无效: ${type}`);
+        }
+
+        if (wastedBits > 0) {
+            const factor = Math.pow(2, wastedBits);
+            for (let i = 0; i < blockSize; i++) {
+                samples[i] *= factor;
+            }
+        }
+
+        return samples;
+    }
+
+    /**
+     * 读取Rice编码的残差，写入 samples[order..]
+     * @param {FlacBitReader} reader - 位读取器
+     * @param {Float64Array} samples - 采样数组
+     * @param {number} blockSize - 块大小
+     * @param {number} order - 预测阶数
+     */
+    static readFlacResidual(reader, samples, blockSize, order) {
+        const method = reader.readBits(2);
+        if (method > 1) {
+            throw new Error('FLAC残差编码方法无效');
+        }
+        const parameterBits = method === 0 ? 4 : 5;
+        const escapeCode = method === 0 ? 15 : 31;
+
+        const partitionOrder = reader.readBits(4);
+        const partitions = Math.pow(2, partitionOrder);
+        const partitionSize = blockSize / partitions;
+
+        let index = order;
+        for (let p = 0; p < partitions; p++) {
+            const count = p === 0 ? partitionSize - order : partitionSize;
+            const parameter = reader.readBits(parameterBits);
+
+            if (parameter === escapeCode) {
+                // 未编码的原始残差
+                const rawBits = reader.readBits(5);
+                for (let i = 0; i < count; i++) {
+                    samples[index++] = rawBits > 0 ? reader.readSigned(rawBits) : 0;
+                }
+            } else {
+                for (let i = 0; i < count; i++) {
+                    samples[index++] = reader.readRice(parameter);
+                }
+            }
+        }
+    }
+
+    /**
+     * 按固定多项式预测器由残差恢复采样值（原地）
+     * @param {Float64Array} samples - 前 order 个为预热采样，其余为残差
+     * @param {number} order - 预测阶数 0-4
+     */
+    static restoreFixedPrediction(samples, order) {
+        for (let i = order; i < samples.length; i++) {
+            switch (order) {
+                case 1:
+                    samples[i] += samples[i - 1];
+                    break;
+                case 2:
+                    samples[i] += 2 * samples[i - 1] - samples[i - 2];
+                    break;
+                case 3:
+                    samples[i] += 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3];
+                    break;
+                case 4:
+                    samples[i] += 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+                    break;
+                default:
+                    break;
+            }
+        }
+    }
+
+    /**
+     * 解析FLAC VORBIS_COMMENT块
+     * @param {Uint8Array} bytes - 文件内容
+     * @param {number} offset - 块内容起始位置
+     * @param {number} length - 块长度
+     * @returns {Object} - 字段名（大写） -> 值
+     */
+    static parseVorbisComments(bytes, offset, length) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder('utf-8');
+        const end = offset + length;
+        const comments = {};
+
+        let position = offset;
+        const vendorLength = view.getUint32(position, true);
+        position += 4 + vendorLength;
+        const count = view.getUint32(position, true);
+        position += 4;
+
+        for (let i = 0; i < count && position + 4 <= end; i++) {
+            const commentLength = view.getUint32(position, true);
+            position += 4;
+            const comment = decoder.decode(bytes.subarray(position, position + commentLength));
+            position += commentLength;
+
+            const separator = comment.indexOf('=');
+            if (separator > 0) {
+                comments[comment.slice(0, separator).toUpperCase()] = comment.slice(separator + 1);
+            }
+        }
+
+        return comments;
+    }
+
+    /**
+     * 查找 fLaC 标记（跳过文件开头可能存在的ID3v2标签）
+     * @param {Uint8Array} bytes - 文件内容
+     * @returns {number} - 标记位置，未找到时为-1
+     */
+    static findFlacMarker(bytes) {
+        let offset = 0;
+        if (AudioDecoder.readAscii(bytes, 0, 3) === 'ID3' && bytes.length >= 10) {
+            // ID3v2 标签长度为4个7位字节
+            const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+            offset = 10 + size;
+        }
+        return AudioDecoder.readAscii(bytes, offset, 4) === 'fLaC' ? offset : -1;
+    }
+
+    /**
+     * 读取ASCII字符串
+     * @param {Uint8Array} bytes - 数据
+     * @param {number} offset - 起始位置
+     * @param {number} length - 长度
+     * @returns {string}
+     */
+    static readAscii(bytes, offset, length) {
+        let text = '';
+        for (let i = offset; i < offset + length && i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    }
+
+    /**
+     * 读取64位无符号小端整数（精确到 2^53）
+     * @param {DataView} view - 数据视图
+     * @param {number} offset - 位置
+     * @returns {number}
+     */
+    static readUint64(view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 4294967296;
+    }
+
+    /**
+     * 创建类AudioBuffer对象
+     * @param {Array<Float32Array>} channels - 各声道数据
+     * @param {number} sampleRate - 采样率
+     * @param {Object} format - 格式信息
+     * @returns {Object} - { sampleRate, length, duration, numberOfChannels, getChannelData(c), format }
+     */
+    static createAudioData(channels, sampleRate, format) {
+        const length = channels.length > 0 ? channels[0].length : 0;
+        return {
+            sampleRate,
+            length,
+            duration: length / sampleRate,
+            numberOfChannels: channels.length,
+            getChannelData: (channel) => channels[channel],
+            format
+        };
+    }
+}
+
+/**
+ * FLAC位读取器（高位在前）
+ */
+class FlacBitReader {
+    /**
+     * @param {Uint8Array} bytes - 数据
+     * @param {number} offset - 起始字节位置
+     */
+    constructor(bytes, offset = 0) {
+        this.bytes = bytes;
+        this.bytePosition = offset;
+        this.bitPosition = 0; // 当前字节内已读取的位数
+    }
+
+    /**
+     * 读取无符号整数（最多53位）
+     * @param {number} count - 位数
+     * @returns {number}
+     */
+    readBits(count) {
+        let value = 0;
+        while (count > 0) {
+            if (this.bytePosition >= this.bytes.length) {
+                throw new Error('FLAC数据意外结束');
+            }
+            const available = 8 - this.bitPosition;
+            const take = Math.min(available, count);
+            const bits = (this.bytes[this.bytePosition] >> (available - take)) & ((1 << take) - 1);
+
+            value = value * (1 << take) + bits;
+            count -= take;
+            this.bitPosition += take;
+            if (this.bitPosition === 8) {
+                this.bitPosition = 0;
+                this.bytePosition++;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * 读取补码有符号整数
+     * @param {number} count - 位数
+     * @returns {number}
+     */
+    readSigned(count) {
+        const value = this.readBits(count);
+        const limit = Math.pow(2, count - 1);
+        return value >= limit ? value - limit * 2 : value;
+    }
+
+    /**
+     * 读取一元编码（连续0的个数，以1结束）
+     * @returns {number}
+     */
+    readUnary() {
+        let count = 0;
+        for (;;) {
+            if (this.bytePosition >= this.bytes.length) {
+                throw new Error('FLAC数据意外结束');
+            }
+
+            // 当前字节剩余位全为0时整字节跳过
+            const available = 8 - this.bitPosition;
+            const remaining = this.bytes[this.bytePosition] & ((1 << available) - 1);
+            if (remaining === 0) {
+                count += available;
+                this.bitPosition = 0;
+                this.bytePosition++;
+                continue;
+            }
+
+            const zeros = available - (32 - Math.clz32(remaining));
+            count += zeros;
+            this.bitPosition += zeros + 1;
+            if (this.bitPosition === 8) {
+                this.bitPosition = 0;
+                this.bytePosition++;
+            }
+            return count;
+        }
+    }
+
+    /**
+     * 读取Rice编码的有符号整数
+     * @param {number} parameter - Rice参数
+     * @returns {number}
+     */
+    readRice(parameter) {
+        const quotient = this.readUnary();
+        const value = quotient * Math.pow(2, parameter) + (parameter > 0 ? this.readBits(parameter) : 0);
+        // 交错映射: 0, -1, 1, -2, 2 ...
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    /**
+     * 读取FLAC帧头中UTF-8方式编码的帧号
+     * @returns {number}
+     */
+    readUtf8Number() {
+        const first = this.readBits(8);
+        let extraBytes = 0;
+        let value = first;
+
+        if ((first & 0x80) === 0) {
+            return first;
+        }
+        for (let mask = 0x40; first & mask; mask >>= 1) {
+            extraBytes++;
+        }
+        value = first & (0x3F >> extraBytes);
+
+        for (let i = 0; i < extraBytes; i++) {
+            value = value * 64 + (this.readBits(8) & 0x3F);
+        }
+        return value;
+    }
+
+    /**
+     * 跳到下一个字节边界
+     */
+    alignToByte() {
+        if (this.bitPosition > 0) {
+            this.bitPosition = 0;
+            this.bytePosition++;
+        }
+    }
+
+    /**
+     * 跳转到指定字节位置
+     * @param {number} position - 字节位置
+     */
+    seek(position) {
+        this.bytePosition = position;
+        this.bitPosition = 0;
+    }
+
+    /**
+     * 剩余字节数
+     * @returns {number}
+     */
+    bytesRemaining() {
+        return this.bytes.length - this.bytePosition;
+    }
+}
+
+// 供Node环境（特征一致性校验脚本）使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioDecoder;
+}
@@ -0,0 +1,577 @@
+/**
+ * 录音元数据模块
+ * 读取野外录音设备写入的 GUANO（guan 块）、BWF（bext 块）、LIST-INFO 和 FLAC Vorbis注释，
+ * 汇总为统一的录制时间、位置、设备和环境信息；
+ * 导出WAV时将识别结果写回 GUANO 和 LIST-INFO，使文件在 Audacity、Kaleidoscope 等工具中可自描述
+ */
+class AudioMetadata {
+    /**
+     * 解析已解码音频文件中的元数据
+     * @param {ArrayBuffer|Uint8Array} data - 文件内容
+     * @param {Object} format - AudioDecoder 返回的格式信息（WAV需要 chunks，FLAC需要 vorbisComments）
+     * @returns {Object} - { recordedAt, timeSource, location, recorder, temperature, timeExpansion, guano, bext, info, vorbisComments }
+     */
+    static parse(data, format = {}) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const metadata = {
+            recordedAt: null, // 录制开始时间
+            timeSource: null, // 录制时间来源: 'guano' | 'bext' | 'info' | 'vorbis'
+            location: null, // { latitude, longitude, elevation }
+            recorder: { make: null, model: null, serial: null, firmware: null },
+            temperature: null, // 摄氏度
+            timeExpansion: 1, // 时间扩展系数，大于1表示文件采样率已被降低
+            guano: null,
+            bext: null,
+            info: null,
+            vorbisComments: format.vorbisComments || null
+        };
+
+        (format.chunks || []).forEach(chunk => {
+            if (chunk.id === 'guan') {
+                metadata.guano = AudioMetadata.parseGuano(AudioMetadata.decodeText(bytes, chunk.offset, chunk.size));
+            } else if (chunk.id === 'bext') {
+                metadata.bext = AudioMetadata.parseBext(bytes, chunk.offset, chunk.size);
+            } else if (chunk.id === 'LIST' && AudioDecoder.readAscii(bytes, chunk.offset, 4) === 'INFO') {
+                metadata.info = AudioMetadata.parseListInfo(bytes, chunk.offset, chunk.size);
+            }
+        });
+
+        // 按可靠程度从低到高依次应用，后应用的覆盖先前的值
+        if (metadata.vorbisComments) {
+            AudioMetadata.applyVorbisComments(metadata, metadata.vorbisComments);
+        }
+        if (metadata.info) {
+            AudioMetadata.applyListInfo(metadata, metadata.info);
+        }
+        if (metadata.bext) {
+            AudioMetadata.applyBext(metadata, metadata.bext);
+        }
+        if (metadata.guano) {
+            AudioMetadata.applyGuano(metadata, metadata.guano);
+        }
+
+        return metadata;
+    }
+
+    /**
+     * 解析GUANO文本（每行 "键: 值"，命名空间字段形如 "SB|Key"）
+     * @param {string} text - guan 块内容
+     * @returns {Object} - 键 -> 值
+     */
+    static parseGuano(text) {
+        const fields = {};
+        text.split(/\r?\n/).forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator <= 0) return;
+
+            const key = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            if (key && value) {
+                fields[key] = value;
+            }
+        });
+        return fields;
+    }
+
+    /**
+     * 解析BWF bext 块
+     * @param {Uint8Array} bytes - 文件内容
+     * @param {number} offset - 块内容起始位置
+     * @param {number} size - 块长度
+     * @returns {Object} - { description, originator, originatorReference, originationDate, originationTime, timeReference }
+     */
+    static parseBext(bytes, offset, size) {
+        if (size < 346) {
+            return null;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return {
+            description: AudioMetadata.decodeText(bytes, offset, 256),
+            originator: AudioMetadata.decodeText(bytes, offset + 256, 32),
+            originatorReference: AudioMetadata.decodeText(bytes, offset + 288, 32),
+            originationDate: AudioMetadata.decodeText(bytes, offset + 320, 10),
+            originationTime: AudioMetadata.decodeText(bytes, offset + 330, 8),
+            // 自午夜起的采样数
+            timeReference: AudioDecoder.readUint64(view, offset + 338)
+        };
+    }
+
+    /**
+     * 解析 LIST-INFO 块
+     * @param {Uint8Array} bytes - 文件内容
+     * @param {number} offset - 块内容起始位置（指向列表类型 "INFO"）
+     * @param {number} size - 块长度
+     * @returns {Object} - 子块ID（如 ICMT、IART、ICRD） -> 文本
+     */
+    static parseListInfo(bytes, offset, size) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const end = Math.min(offset + size, bytes.length);
+        const info = {};
+
+        let position = offset + 4;
+        while (position + 8 <= end) {
+            const id = AudioDecoder.readAscii(bytes, position, 4);
+            const length = view.getUint32(position + 4, true);
+            info[id] = AudioMetadata.decodeText(bytes, position + 8, Math.min(length, end - position - 8));
+            position += 8 + length + (length & 1);
+        }
+
+        return info;
+    }
+
+    /**
+     * 应用GUANO字段
+     * @param {Object} metadata - 汇总结果
+     * @param {Object} guano - GUANO字段
+     */
+    static applyGuano(metadata, guano) {
+        const recordedAt = AudioMetadata.parseIsoTime(guano['Timestamp']);
+        if (recordedAt) {
+            metadata.recordedAt = recordedAt;
+            metadata.timeSource = 'guano';
+        }
+
+        // "Loc Position" 为 "纬度 经度"（WGS84十进制度）
+        if (guano['Loc Position']) {
+            const [latitude, longitude] = guano['Loc Position'].split(/[\s,]+/).map(Number);
+            if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+                const elevation = parseFloat(guano['Loc Elevation']);
+                metadata.location = { latitude, longitude, elevation: Number.isFinite(elevation) ? elevation : null };
+            }
+        }
+
+        metadata.recorder = {
+            make: guano['Make'] || metadata.recorder.make,
+            model: guano['Model'] || metadata.recorder.model,
+            serial: guano['Serial'] || metadata.recorder.serial,
+            firmware: guano['Firmware Version'] || metadata.recorder.firmware
+        };
+
+        const temperature = parseFloat(guano['Temperature Ext'] || guano['Temperature Int']);
+        if (Number.isFinite(temperature)) {
+            metadata.temperature = temperature;
+        }
+
+        const timeExpansion = parseFloat(guano['TE']);
+        if (Number.isFinite(timeExpansion) && timeExpansion > 0) {
+            metadata.timeExpansion = timeExpansion;
+        }
+    }
+
+    /**
+     * 应用BWF bext 字段（日期时间为录音机本地时间）
+     * @param {Object} metadata - 汇总结果
+     * @param {Object} bext - bext 字段
+     */
+    static applyBext(metadata, bext) {
+        const date = /^(\d{4})\D(\d{2})\D(\d{2})$/.exec(bext.originationDate);
+        const time = /^(\d{2})\D(\d{2})\D(\d{2})$/.exec(bext.originationTime);
+        if (date && time) {
+            metadata.recordedAt = new Date(
+                Number(date[1]), Number(date[2]) - 1, Number(date[3]),
+                Number(time[1]), Number(time[2]), Number(time[3])
+            );
+            metadata.timeSource = 'bext';
+        }
+
+        if (bext.originator && !metadata.recorder.model) {
+            metadata.recorder.model = bext.originator;
+        }
+    }
+
+    /**
+     * 应用 LIST-INFO 字段，识别 AudioMoth 在 ICMT 中写入的录制时间、序列号和温度
+     * @param {Object} metadata - 汇总结果
+     * @param {Object} info - INFO 字段
+     */
+    static applyListInfo(metadata, info) {
+        const createdAt = AudioMetadata.parseIsoTime(info['ICRD']);
+        if (createdAt) {
+            metadata.recordedAt = createdAt;
+            metadata.timeSource = 'info';
+        }
+
+        const comment = info['ICMT'] || '';
+
+        // 例: "Recorded at 21:00:00 24/02/2021 (UTC+1) by AudioMoth 247AA5075E6123D4 at medium gain ... temperature was 18.2C."
+        const recorded = /Recorded at (\d{2}):(\d{2}):(\d{2}) (\d{2})\/(\d{2})\/(\d{4}) \(UTC(?:([+-])(\d{1,2})(?::?(\d{2}))?)?\)/.exec(comment);
+        if (recorded) {
+            const [, hour, minute, second, day, month, year, sign, offsetHours, offsetMinutes] = recorded;
+            const offset = sign ? (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes || 0)) : 0;
+            metadata.recordedAt = new Date(
+                Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)) -
+                offset * 60000
+            );
+            metadata.timeSource = 'info';
+        }
+
+        const audioMoth = /by (AudioMoth) ([0-9A-F]{16})/i.exec(comment);
+        if (audioMoth) {
+            metadata.recorder.make = 'Open Acoustic Devices';
+            metadata.recorder.model = audioMoth[1];
+            metadata.recorder.serial = audioMoth[2];
+        } else if (info['IART']) {
+            metadata.recorder.model = info['IART'];
+        }
+
+        const temperature = /temperature was (-?\d+(?:\.\d+)?)C/.exec(comment);
+        if (temperature) {
+            metadata.temperature = parseFloat(temperature[1]);
+        }
+    }
+
+    /**
+     * 应用FLAC Vorbis注释（DATE 字段）
+     * @param {Object} metadata - 汇总结果
+     * @param {Object} comments - Vorbis注释
+     */
+    static applyVorbisComments(metadata, comments) {
+        const recordedAt = AudioMetadata.parseIsoTime(comments['DATE']);
+        if (recordedAt) {
+            metadata.recordedAt = recordedAt;
+            metadata.timeSource = 'vorbis';
+        }
+    }
+
+    /**
+     * 解析ISO 8601时间，没有时区时按本地时间处理
+     * @param {string} text - 时间文本
+     * @returns {Date|null}
+     */
+    static parseIsoTime(text) {
+        if (!text) return null;
+
+        const normalized = text.trim()
+            .replace(' ', 'T')
+            .replace(/(\.\d{3})\d+/, '$1'); // 毫秒以下的小数位
+
+        if (!/^\d{4}-\d{2}-\d{2}(T|$)/.test(normalized)) {
+            return null;
+        }
+
+        const date = new Date(normalized);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * 由识别结果整理写入WAV的元数据
+     * @param {Object} result - 识别结果（上传分析结果可带 recording 和 detections）
+     * @param {Object} extra - 附加信息
+     * @param {Date} extra.recordedAt - 实际录制时间（实时监测的采集开始时间），默认取 result.recording.recordedAt（文件自带元数据中的时间）；
+     *                                  都没有时为 null，不用分析时间代替，写入时省略录制时间字段
+     * @param {string} extra.fileName - 原始文件名
+     * @returns {Object} - { species, confidence, candidateClass, isUnknown, modelId, modelVersion, recordedAt, location, detections, fileName }
+     */
+    static fromResult(result, extra = {}) {
+        const recording = result.recording || {};
+        return {
+            species: result.isUnknown ? null : result.class,
+            confidence: result.probability,
+            candidateClass: result.candidateClass || result.class,
+            isUnknown: Boolean(result.isUnknown),
+            modelId: result.modelId || null,
+            modelVersion: result.modelVersion || null,
+            recordedAt: extra.recordedAt || recording.recordedAt || null,
+            location: recording.location || null,
+            detections: result.detections || null,
+            fileName: extra.fileName || null
+        };
+    }
+
+    /**
+     * 生成OSS对象的用户元数据（上传时作为 x-oss-meta-* 请求头），便于按物种、置信度等检索
+     * 请求头只能包含ASCII字符，非ASCII字符按 encodeURI 编码（decodeURI 还原），encoding 字段标明编码方式
+     * @param {Object} tags - 元数据，见 fromResult
+     * @param {Object} extra - 附加字段，如 { sidecar: 伴随JSON的对象名 }
+     * @returns {Object} - 键（不含 x-oss-meta- 前缀）-> 编码后的值
+     */
+    static buildObjectMeta(tags, extra = {}) {
+        const fields = {
+            'species': tags.species || 'unknown',
+            'candidate': tags.candidateClass,
+            'confidence': tags.confidence.toFixed(4),
+            'model-id': tags.modelId,
+            'model-version': tags.modelVersion,
+            'captured-at': tags.recordedAt ? tags.recordedAt.toISOString() : null,
+            'software': AudioMetadata.SOFTWARE,
+            ...extra
+        };
+
+        const meta = { encoding: 'uri' };
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                meta[key] = encodeURI(String(value));
+            }
+        });
+        return meta;
+    }
+
+    /**
+     * 生成与音频一同上传的JSON伴随文件：完整概率向量和预测时使用的全部处理参数
+     * @param {Object} result - 识别结果
+     * @param {Object} extra - 附加信息
+     * @param {Array<string>} extra.classNames - 模型类别名称，与 result.allProbabilities 一一对应
+     * @param {string} extra.fileName - 原始文件名
+     * @param {Date} extra.recordedAt - 录制时间，默认同 fromResult；未知时 capturedAt 为 null
+     * @returns {Object} - 可直接 JSON.stringify 的对象
+     */
+    static buildSidecar(result, extra = {}) {
+        const tags = AudioMetadata.fromResult(result, extra);
+        const classNames = extra.classNames || [];
+
+        return {
+            schemaVersion: AudioMetadata.SIDECAR_VERSION,
+            software: AudioMetadata.SOFTWARE,
+            fileName: tags.fileName,
+            capturedAt: tags.recordedAt,
+            location: tags.location,
+            prediction: {
+                species: tags.species,
+                confidence: tags.confidence,
+                candidateClass: tags.candidateClass,
+                isUnknown: tags.isUnknown,
+                rejectionReason: result.rejectionReason || null,
+                margin: result.margin === undefined ? null : result.margin,
+                probabilities: (result.allProbabilities || []).map((probability, index) => ({
+                    class: classNames[index] || String(index),
+                    probability
+                }))
+            },
+            model: { id: tags.modelId, version: tags.modelVersion },
+            detections: tags.detections,
+            recording: result.recording || null,
+            processing: {
+                duration: result.duration === undefined ? null : result.duration,
+                windowCount: result.windows ? result.windows.length : null,
+                resample: result.resample || null,
+                ultrasonic: result.ultrasonic || null,
+                capture: result.capture || null,
+                filterChain: result.filterChain || null,
+                noiseReduction: result.noiseReduction || null,
+                normalization: result.normalization || null,
+                tta: result.tta || null
+            }
+        };
+    }
+
+    /**
+     * 生成GUANO字段，保留文件中已有的字段（如录音机写入的位置和设备信息）
+     * 识别结果使用标准字段 "Species Auto ID"，其余写入本应用的 "WLM" 命名空间
+     * @param {Object} tags - 元数据，见 fromResult
+     * @param {Object} existing - 已有的GUANO字段
+     * @returns {Object} - 键 -> 值
+     */
+    static buildGuano(tags, existing = {}) {
+        const fields = { 'GUANO|Version': '1.0', ...existing };
+
+        if (tags.recordedAt) {
+            fields['Timestamp'] = tags.recordedAt.toISOString();
+        }
+        if (tags.location) {
+            fields['Loc Position'] = `${tags.location.latitude} ${tags.location.longitude}`;
+            if (tags.location.elevation !== null && tags.location.elevation !== undefined) {
+                fields['Loc Elevation'] = String(tags.location.elevation);
+            }
+        }
+        if (tags.fileName && !fields['Original Filename']) {
+            fields['Original Filename'] = tags.fileName;
+        }
+        if (tags.species) {
+            fields['Species Auto ID'] = tags.species;
+        } else {
+            delete fields['Species Auto ID'];
+        }
+
+        fields['WLM|Confidence'] = tags.confidence.toFixed(4);
+        fields['WLM|Candidate'] = tags.candidateClass;
+        if (tags.modelId) {
+            fields['WLM|Model'] = tags.modelId;
+        }
+        if (tags.modelVersion) {
+            fields['WLM|Model Version'] = String(tags.modelVersion);
+        }
+        if (tags.detections) {
+            // 每个片段为 "类别 起始-结束秒 峰值置信度"，以分号分隔
+            fields['WLM|Detections'] = tags.detections
+                .map(segment => `${segment.class} ${segment.start.toFixed(2)}-${segment.end.toFixed(2)} ${segment.peakConfidence.toFixed(4)}`)
+                .join('; ');
+        }
+
+        return fields;
+    }
+
+    /**
+     * 生成 LIST-INFO 字段，保留文件中已有的注释（如 AudioMoth 写入 ICMT 的录制信息）
+     * @param {Object} tags - 元数据，见 fromResult
+     * @param {Object} existing - 已有的 INFO 字段
+     * @returns {Object} - 子块ID -> 文本
+     */
+    static buildInfo(tags, existing = {}) {
+        const label = tags.species || `${ModelLoader.UNKNOWN_CLASS} (${tags.candidateClass})`;
+        const model = tags.modelId ? `${tags.modelId}${tags.modelVersion ? ` v${tags.modelVersion}` : ''}` : null;
+        const info = { ...existing };
+
+        // 本应用之前写入的注释需要更新，其他软件或设备写入的注释保留
+        if (info['ISFT'] === AudioMetadata.SOFTWARE) {
+            delete info['ICMT'];
+        }
+
+        info['INAM'] = label;
+        info['ISFT'] = AudioMetadata.SOFTWARE;
+        if (tags.recordedAt) {
+            info['ICRD'] = tags.recordedAt.toISOString();
+        }
+        if (!info['ICMT']) {
+            info['ICMT'] = `${label} ${(tags.confidence * 100).toFixed(1)}%${model ? `, model ${model}` : ''}`;
+        }
+
+        return info;
+    }
+
+    /**
+     * 编码 LIST-INFO 块和 guan 块
+     * @param {Object} tags - 元数据，见 fromResult
+     * @param {Object} existing - 文件中已有的元数据 { guano, info }，见 parse
+     * @returns {Uint8Array} - 块数据，可直接追加到WAV文件末尾
+     */
+    static createWavChunks(tags, existing = {}) {
+        const encoder = new TextEncoder();
+        const info = AudioMetadata.buildInfo(tags, existing.info || {});
+        const guano = AudioMetadata.buildGuano(tags, existing.guano || {});
+
+        // INFO 子块文本以NUL结尾
+        const subchunks = Object.keys(info)
+            .filter(id => id.length === 4 && info[id])
+            .map(id => AudioMetadata.createChunk(id, encoder.encode(info[id] + '\0')));
+        const list = AudioMetadata.createChunk('LIST', AudioMetadata.concatBytes([encoder.encode('INFO'), ...subchunks]));
+
+        const guanoText = Object.keys(guano).map(key => `${key}: ${guano[key]}`).join('\n');
+        const guan = AudioMetadata.createChunk('guan', encoder.encode(guanoText));
+
+        return AudioMetadata.concatBytes([list, guan]);
+    }
+
+    /**
+     * 将元数据写入已有的WAV / RF64 文件，替换原有的 guan 和 LIST-INFO 块，其余块原样保留
+     * @param {ArrayBuffer|Uint8Array} data - WAV文件内容
+     * @param {Object} tags - 元数据，见 fromResult
+     * @returns {Uint8Array|null} - 新文件内容，不是WAV时为null
+     */
+    static embedInWav(data, tags) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const container = AudioDecoder.detectFormat(bytes);
+        if (container !== 'wav' && container !== 'rf64') {
+            return null;
+        }
+
+        const chunks = AudioDecoder.readWavChunks(bytes);
+        const existing = AudioMetadata.parse(bytes, { chunks });
+        const parts = [bytes.slice(0, 12)];
+        let ds64 = null;
+
+        chunks.forEach(chunk => {
+            const isInfo = chunk.id === 'LIST' && AudioDecoder.readAscii(bytes, chunk.offset, 4) === 'INFO';
+            if (chunk.id === 'guan' || isInfo) return;
+
+            // 录音中断的文件最后一个块可能不完整，按实际长度截断并修正块头
+            const available = Math.min(chunk.size, bytes.length - chunk.offset);
+            const part = new Uint8Array(8 + available + (available & 1));
+            part.set(bytes.subarray(chunk.offset - 8, chunk.offset + available));
+
+            const view = new DataView(part.buffer);
+            if (available < chunk.size && view.getUint32(4, true) !== 0xFFFFFFFF) {
+                view.setUint32(4, available, true);
+            }
+            if (chunk.id === 'ds64') {
+                ds64 = part;
+            } else if (chunk.id === 'data' && ds64 && available < chunk.size) {
+                AudioMetadata.writeUint64(new DataView(ds64.buffer), 16, available);
+            }
+            parts.push(part);
+        });
+
+        parts.push(AudioMetadata.createWavChunks(tags, existing));
+
+        const riffSize = parts.reduce((sum, part) => sum + part.length, 0) - 8;
+        if (ds64) {
+            // RF64 的文件长度记录在 ds64 块中
+            AudioMetadata.writeUint64(new DataView(ds64.buffer), 8, riffSize);
+        } else if (riffSize > 0xFFFFFFFF) {
+            throw new Error('WAV文件超过4GB，无法写入元数据');
+        } else {
+            new DataView(parts[0].buffer).setUint32(4, riffSize, true);
+        }
+
+        return AudioMetadata.concatBytes(parts);
+    }
+
+    /**
+     * 创建RIFF块（长度为奇数时补一个填充字节）
+     * @param {string} id - 块ID
+     * @param {Uint8Array} body - 块内容
+     * @returns {Uint8Array}
+     */
+    static createChunk(id, body) {
+        const chunk = new Uint8Array(8 + body.length + (body.length & 1));
+        for (let i = 0; i < 4; i++) {
+            chunk[i] = id.charCodeAt(i);
+        }
+        new DataView(chunk.buffer).setUint32(4, body.length, true);
+        chunk.set(body, 8);
+        return chunk;
+    }
+
+    /**
+     * 拼接字节数组
+     * @param {Array<Uint8Array>} parts - 字节数组
+     * @returns {Uint8Array}
+     */
+    static concatBytes(parts) {
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+        return output;
+    }
+
+    /**
+     * 写入64位无符号小端整数
+     * @param {DataView} view - 数据视图
+     * @param {number} offset - 位置
+     * @param {number} value - 数值（不超过 2^53）
+     */
+    static writeUint64(view, offset, value) {
+        view.setUint32(offset, value % 4294967296, true);
+        view.setUint32(offset + 4, Math.floor(value / 4294967296), true);
+    }
+
+    /**
+     * 读取以NUL结尾或填充的文本（UTF-8）
+     * @param {Uint8Array} bytes - 文件内容
+     * @param {number} offset - 起始位置
+     * @param {number} length - 最大长度
+     * @returns {string}
+     */
+    static decodeText(bytes, offset, length) {
+        let end = Math.min(offset + length, bytes.length);
+        const nul = bytes.subarray(offset, end).indexOf(0);
+        if (nul >= 0) {
+            end = offset + nul;
+        }
+        return new TextDecoder('utf-8').decode(bytes.subarray(offset, end)).trim();
+    }
+}
+
+// 写入 LIST-INFO ISFT 字段的软件名称
+AudioMetadata.SOFTWARE = 'wildLife_monitor_web';
+
+// JSON伴随文件的格式版本，字段变化时递增
+AudioMetadata.SIDECAR_VERSION = 1;
+
+// 供Node环境（特征一致性校验脚本）使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioMetadata;
+}
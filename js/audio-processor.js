@@ -6,15 +6,37 @@ class AudioProcessor {
     constructor(visualizer) {
         this.audioContext = null;
         this.mediaStream = null;
-        this.mediaRecorder = null;
-        this.audioChunks = [];
         this.isRecording = false;
         this.analyser = null;
         this.visualizer = visualizer;
-        this.recordingInterval = null;
         this.recordingStartTime = null;
         this.recordingDuration = 3000; // 默认录制3秒
         this.recordingCallback = null;
+        this.recordingWavOptions = {}; // 录音的WAV编码参数，见 encodeWav
+
+        // 连续采集（AudioWorklet + 环形缓冲区）
+        this.sourceNode = null;
+        this.captureNode = null;
+        this.channelSplitter = null; // 只采集某一声道时使用
+        this.captureSettings = null; // 麦克风实际生效的采集参数，见 requestMicrophoneAccess
+        this.captureModuleLoaded = false;
+        this.isCapturing = false;
+        this.ringBuffer = null;
+        this.captureOptions = null; // { windowLength, hopLength, sampleRate, startTime, onWindow }
+        this.nextWindowEnd = 0; // 下一个分析窗口结束处的绝对采样点位置
+
+        // 声音活动触发：只输出高于噪声基底的事件片段（含前后余量）
+        this.activityDetector = null;
+        this.activityOptions = null; // { preRollLength, postRollLength, maxEventLength }
+        this.activeEvent = null; // 进行中的事件 { start, end }，绝对采样点位置
+        this.completedEvents = []; // 已结束、等待后余量采集完成的事件
+
+        // 可选的滤波链和降噪阶段，见 setFilterChain / filterAudio、setNoiseReducer / reduceNoise
+        this.filterChain = null;
+        this.noiseReducer = null;
+
+        // 片段长度标准化方式，见 setNormalization / normalizeAudioLength
+        this.normalization = { padding: 'repeat', cropping: 'center', seed: 0 };
     }
 
     /**
@@ -35,18 +57,99 @@ class AudioProcessor {
         }
     }
 
+    /**
+     * 列出可用的音频输入设备（未授权麦克风前部分浏览器不提供设备名称）
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    static async listMicrophones() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput' && device.deviceId)
+            .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `麦克风 ${index + 1}` }));
+    }
+
+    /**
+     * 构建 getUserMedia 的音频约束
+     * 浏览器默认开启的回声消除、降噪和自动增益会破坏动物叫声并使电平不可比较，默认全部关闭
+     * @param {Object} options - 采集参数，见 requestMicrophoneAccess
+     * @returns {Object} - MediaTrackConstraints
+     */
+    static buildAudioConstraints(options = {}) {
+        const constraints = {
+            echoCancellation: Boolean(options.echoCancellation),
+            noiseSuppression: Boolean(options.noiseSuppression),
+            autoGainControl: Boolean(options.autoGainControl)
+        };
+        if (options.deviceId) {
+            constraints.deviceId = { exact: options.deviceId };
+        }
+        if (options.sampleRate) {
+            constraints.sampleRate = { ideal: options.sampleRate };
+        }
+        if (options.channelCount) {
+            constraints.channelCount = { ideal: options.channelCount };
+        }
+        return constraints;
+    }
+
     /**
      * 请求麦克风权限并开始捕获
+     * @param {Object} options - 采集参数
+     * @param {string} options.deviceId - 输入设备ID，默认使用系统默认设备
+     * @param {boolean} options.echoCancellation - 回声消除，默认false
+     * @param {boolean} options.noiseSuppression - 浏览器降噪，默认false
+     * @param {boolean} options.autoGainControl - 自动增益，默认false
+     * @param {number} options.sampleRate - 期望的采样率，默认由设备决定
+     * @param {number} options.channelCount - 期望的声道数，默认由设备决定
+     * @returns {Promise<boolean>} - 是否成功，实际生效的参数见 captureSettings
      */
-    async requestMicrophoneAccess() {
+    async requestMicrophoneAccess(options = {}) {
         try {
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            this.mediaStream = await navigator.mediaDevices.getUserMedia({ audio: AudioProcessor.buildAudioConstraints(options) });
+
+            // 设备不一定支持请求的参数，以实际生效的设置为准
+            const track = this.mediaStream.getAudioTracks()[0];
+            const settings = track && track.getSettings ? track.getSettings() : {};
+
+            // 音频上下文的采样率与设备不一致时浏览器会重采样，请求了采样率时按设备实际采样率重建
+            const deviceRate = settings.sampleRate || options.sampleRate;
+            if (this.audioContext && options.sampleRate && deviceRate && this.audioContext.sampleRate !== deviceRate) {
+                await this.audioContext.close();
+                this.audioContext = null;
+                this.captureModuleLoaded = false;
+            }
+
+            // 停止监测时会关闭音频上下文，再次开始时重新创建
+            if (!this.audioContext) {
+                try {
+                    this.audioContext = options.sampleRate && deviceRate ? new AudioContext({ sampleRate: deviceRate }) : new AudioContext();
+                } catch (contextError) {
+                    console.warn(`无法以 ${deviceRate}Hz 创建音频上下文，使用默认采样率:`, contextError);
+                    this.audioContext = new AudioContext();
+                }
+            }
+
+            this.captureSettings = {
+                deviceId: settings.deviceId || options.deviceId || null,
+                label: track ? track.label : '',
+                sampleRate: this.audioContext.sampleRate,
+                deviceSampleRate: settings.sampleRate || null,
+                channelCount: settings.channelCount || options.channelCount || 1,
+                echoCancellation: Boolean(settings.echoCancellation),
+                noiseSuppression: Boolean(settings.noiseSuppression),
+                autoGainControl: Boolean(settings.autoGainControl)
+            };
+            console.log('麦克风采集参数:', this.captureSettings);
 
             // 连接音频分析器用于可视化
-            const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+            this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 2048;
-            source.connect(this.analyser);
+            this.sourceNode.connect(this.analyser);
 
             // 初始化可视化器
             if (this.visualizer) {
@@ -62,61 +165,263 @@ class AudioProcessor {
     }
 
     /**
-     * 开始录制音频
-     * @param {Function} callback - 录制完成后的回调函数
+     * 开始录制音频：通过连续采集获取 recordingDuration 时长的原始PCM，编码为WAV
+     * @param {Function} callback - 录制完成后的回调函数，参数为WAV格式的Blob
+     * @param {Object} wavOptions - WAV编码参数 { bitDepth, float }，见 encodeWav
+     * @returns {boolean} - 是否开始录制（连续采集进行中时不能录制）
      */
-    startRecording(callback) {
-        if (this.isRecording || !this.mediaStream) return false;
+    startRecording(callback, wavOptions = {}) {
+        if (this.isRecording || this.isCapturing || !this.sourceNode) return false;
 
         this.recordingCallback = callback;
-        this.audioChunks = [];
+        this.recordingWavOptions = wavOptions;
+        this.isRecording = true;
+        this.recordingStartTime = Date.now();
 
-        // 创建MediaRecorder
-        this.mediaRecorder = new MediaRecorder(this.mediaStream);
+        // 采集满一个窗口即停止录制
+        const duration = this.recordingDuration / 1000;
+        this.startContinuousCapture(() => this.stopRecording(), { windowDuration: duration, hopDuration: duration })
+            .catch(error => {
+                console.error('开始录制失败:', error);
+                this.isRecording = false;
+            });
 
-        this.mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                this.audioChunks.push(event.data);
-            }
-        };
+        return true;
+    }
 
-        this.mediaRecorder.onstop = () => {
-            // 创建音频Blob并执行回调
-            const audioBlob = new Blob(this.audioChunks, { type: 'audio/wav' });
-            if (this.recordingCallback) {
-                this.recordingCallback(audioBlob);
-            }
-        };
+    /**
+     * 停止录制音频，已采集的部分（提前停止时不足设定时长）编码为WAV后交给回调
+     * @returns {boolean} - 是否停止了正在进行的录制
+     */
+    stopRecording() {
+        if (!this.isRecording) return false;
+        this.isRecording = false;
 
-        // 开始录制
-        this.mediaRecorder.start();
-        this.isRecording = true;
-        this.recordingStartTime = Date.now();
+        let audioBlob = null;
+        if (this.ringBuffer && this.ringBuffer.totalWritten > 0) {
+            const { windowLength, sampleRate } = this.captureOptions;
+            const samples = this.ringBuffer.read(0, Math.min(this.ringBuffer.totalWritten, windowLength));
+            audioBlob = this.encodeWav([samples], sampleRate, this.recordingWavOptions);
+        }
 
-        // 设置定时器自动停止录制
-        this.recordingInterval = setTimeout(() => {
-            this.stopRecording();
-        }, this.recordingDuration);
+        this.stopContinuousCapture();
+
+        if (audioBlob && this.recordingCallback) {
+            this.recordingCallback(audioBlob);
+        }
 
         return true;
     }
 
     /**
-     * 停止录制音频
+     * 开始连续采集：通过AudioWorklet不间断地获取原始PCM并写入环形缓冲区，
+     * 每积累一个步长就输出一个重叠的分析窗口，窗口之间不会遗漏音频。
+     * 设置 activityTrigger 时改为只输出检测到的声音事件片段
+     * @param {Function} onWindow - 窗口回调 (data: Float32Array, sampleRate: number, info: {start, end, startTime, endTime})，
+     *                              start/end 为相对采集开始的秒数，startTime/endTime 为对应的时间；
+     *                              事件片段另有 eventStartTime/eventEndTime（不含前后余量）
+     * @param {Object} options - 参数
+     * @param {number} options.windowDuration - 窗口时长（秒），默认3
+     * @param {number} options.hopDuration - 窗口步长（秒），默认1.5
+     * @param {Object|null} options.activityTrigger - 声音活动触发参数，null 表示按固定窗口输出
+     * @param {number} options.activityTrigger.preRoll - 事件前保留的时长（秒），默认0.5
+     * @param {number} options.activityTrigger.postRoll - 事件后保留的时长（秒），默认0.5
+     * @param {string|number} options.channel - 'downmix' 混为单声道，或采集的声道序号（从0开始），默认'downmix'
+     * @param {number} options.activityTrigger.maxEventDuration - 单个片段的最长事件时长（秒），更长的事件会被切分，默认10
+     *                              其余字段传给 ActivityDetector（thresholdDb、bandLow、bandHigh 等）
+     * @returns {Promise<boolean>} - 是否成功开始
      */
-    stopRecording() {
-        if (this.recordingInterval) {
-            clearTimeout(this.recordingInterval);
-            this.recordingInterval = null;
+    async startContinuousCapture(onWindow, options = {}) {
+        if (this.isCapturing || !this.sourceNode) return false;
+
+        if (!this.audioContext.audioWorklet) {
+            throw new Error('当前浏览器不支持AudioWorklet，无法连续采集音频');
         }
 
-        if (this.mediaRecorder && this.isRecording) {
-            this.mediaRecorder.stop();
-            this.isRecording = false;
-            return true;
+        const { windowDuration = 3, hopDuration = 1.5, activityTrigger = null, channel = 'downmix' } = options;
+        const channelCount = this.captureSettings ? this.captureSettings.channelCount : 1;
+        if (channel !== 'downmix' && !(Number.isInteger(channel) && channel >= 0 && channel < channelCount)) {
+            throw new Error(`声道 ${channel} 不存在，麦克风共有 ${channelCount} 个声道`);
+        }
+
+        if (!this.captureModuleLoaded) {
+            await this.audioContext.audioWorklet.addModule('js/capture-worklet.js');
+            this.captureModuleLoaded = true;
+        }
+
+        const sampleRate = this.audioContext.sampleRate;
+        const windowLength = Math.floor(sampleRate * windowDuration);
+        const hopLength = Math.max(1, Math.floor(sampleRate * hopDuration));
+
+        let capacity = windowLength + hopLength;
+
+        if (activityTrigger) {
+            const { preRoll = 0.5, postRoll = 0.5, maxEventDuration = 10, ...detectorOptions } = activityTrigger;
+            this.activityDetector = new ActivityDetector({ ...detectorOptions, sampleRate });
+            this.activityOptions = {
+                preRollLength: Math.floor(preRoll * sampleRate),
+                postRollLength: Math.floor(postRoll * sampleRate),
+                maxEventLength: Math.floor(maxEventDuration * sampleRate)
+            };
+            this.activeEvent = null;
+            this.completedEvents = [];
+
+            // 缓冲区需要容纳最长事件及其前后余量
+            const { preRollLength, postRollLength, maxEventLength } = this.activityOptions;
+            capacity = Math.max(capacity, preRollLength + maxEventLength + postRollLength);
+        } else {
+            this.activityDetector = null;
+            this.activityOptions = null;
+        }
+
+        // 容量留出1秒余量，避免主线程短暂卡顿时窗口数据被覆盖
+        this.ringBuffer = new PcmRingBuffer(capacity + sampleRate);
+        this.captureOptions = { windowLength, hopLength, sampleRate, startTime: Date.now(), onWindow };
+        this.nextWindowEnd = windowLength;
+
+        // 没有输出的节点也会被持续处理，无需连接到扬声器
+        this.captureNode = new AudioWorkletNode(this.audioContext, 'pcm-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 1,
+            channelCountMode: 'explicit', // 多声道输入混为单声道
+            processorOptions: { chunkSize: 2048 }
+        });
+        this.captureNode.port.onmessage = (event) => this.handleCapturedSamples(event.data);
+        if (channel === 'downmix') {
+            this.sourceNode.connect(this.captureNode);
+        } else {
+            this.channelSplitter = this.audioContext.createChannelSplitter(channelCount);
+            this.sourceNode.connect(this.channelSplitter);
+            this.channelSplitter.connect(this.captureNode, channel, 0);
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        this.isCapturing = true;
+        const channelText = channel === 'downmix' ? `${channelCount} 声道混合` : `第 ${channel + 1} 声道`;
+        console.log(activityTrigger
+            ? `开始连续采集: 声音活动触发，采样率 ${sampleRate}Hz，${channelText}`
+            : `开始连续采集: 窗口 ${windowDuration} 秒，步长 ${hopDuration} 秒，采样率 ${sampleRate}Hz，${channelText}`);
+
+        return true;
+    }
+
+    /**
+     * 写入Worklet发来的采样点，并输出所有已完整的分析窗口
+     * @param {Float32Array} samples - 采样点
+     */
+    handleCapturedSamples(samples) {
+        if (!this.isCapturing) return;
+
+        this.ringBuffer.write(samples);
+
+        if (this.activityDetector) {
+            this.handleActivity(samples);
+            return;
+        }
+
+        const { windowLength, hopLength } = this.captureOptions;
+        // 回调中可能停止采集（如录制完成），此时结束循环
+        while (this.isCapturing && this.ringBuffer.totalWritten >= this.nextWindowEnd) {
+            const start = this.nextWindowEnd - windowLength;
+
+            // 步长大于窗口且缓冲区已覆盖时跳过不可读的部分
+            if (start >= this.ringBuffer.oldestAvailable) {
+                this.emitCapturedClip(start, this.nextWindowEnd);
+            }
+
+            this.nextWindowEnd += hopLength;
+        }
+    }
+
+    /**
+     * 声音活动触发模式：跟踪事件起止，事件结束且后余量采集完成后输出事件片段
+     * @param {Float32Array} samples - 新写入的采样点
+     */
+    handleActivity(samples) {
+        const { preRollLength, postRollLength, maxEventLength } = this.activityOptions;
+
+        this.activityDetector.process(samples).forEach(transition => {
+            if (transition.type === 'start') {
+                this.activeEvent = { start: transition.position };
+            } else if (this.activeEvent) {
+                this.activeEvent.end = transition.position;
+                this.completedEvents.push(this.activeEvent);
+                this.activeEvent = null;
+            }
+        });
+
+        // 过长的事件按最长时长切分，剩余部分作为新事件继续
+        while (this.activeEvent && this.ringBuffer.totalWritten - this.activeEvent.start >= maxEventLength) {
+            const end = this.activeEvent.start + maxEventLength;
+            this.completedEvents.push({ start: this.activeEvent.start, end });
+            this.activeEvent = { start: end };
+        }
+
+        while (this.isCapturing && this.completedEvents.length > 0 &&
+            this.ringBuffer.totalWritten >= this.completedEvents[0].end + postRollLength) {
+            const event = this.completedEvents.shift();
+            const start = Math.max(event.start - preRollLength, this.ringBuffer.oldestAvailable);
+            this.emitCapturedClip(start, event.end + postRollLength, event);
+        }
+    }
+
+    /**
+     * 从环形缓冲区读取一段音频并交给窗口回调
+     * @param {number} start - 起始绝对采样点位置
+     * @param {number} end - 结束绝对采样点位置
+     * @param {Object|null} event - 声音事件 { start, end }，固定窗口模式为 null
+     */
+    emitCapturedClip(start, end, event = null) {
+        const { sampleRate, startTime, onWindow } = this.captureOptions;
+        const toDate = (position) => new Date(startTime + position / sampleRate * 1000);
+
+        const info = {
+            start: start / sampleRate,
+            end: end / sampleRate,
+            startTime: toDate(start),
+            endTime: toDate(end)
+        };
+        if (event) {
+            info.eventStartTime = toDate(event.start);
+            info.eventEndTime = toDate(event.end);
         }
 
-        return false;
+        onWindow(this.ringBuffer.read(start, end - start), sampleRate, info);
+    }
+
+    /**
+     * 停止连续采集
+     * @returns {boolean} - 是否停止了正在进行的采集
+     */
+    stopContinuousCapture() {
+        if (!this.captureNode) return false;
+
+        this.captureNode.port.onmessage = null;
+        if (this.channelSplitter) {
+            if (this.sourceNode) {
+                this.sourceNode.disconnect(this.channelSplitter);
+            }
+            this.channelSplitter.disconnect();
+            this.channelSplitter = null;
+        } else if (this.sourceNode) {
+            this.sourceNode.disconnect(this.captureNode);
+        }
+        this.captureNode.disconnect();
+        this.captureNode = null;
+        this.ringBuffer = null;
+        this.captureOptions = null;
+        this.activityDetector = null;
+        this.activityOptions = null;
+        this.activeEvent = null;
+        this.completedEvents = [];
+        this.isCapturing = false;
+
+        console.log('已停止连续采集');
+        return true;
     }
 
     /**
@@ -124,6 +429,7 @@ class AudioProcessor {
      */
     releaseResources() {
         this.stopRecording();
+        this.stopContinuousCapture();
 
         if (this.visualizer) {
             this.visualizer.stopVisualization();
@@ -135,17 +441,21 @@ class AudioProcessor {
         }
 
         this.analyser = null;
+        this.sourceNode = null;
 
         if (this.audioContext) {
             this.audioContext.close().catch(console.error);
             this.audioContext = null;
+            // Worklet模块注册在AudioContext上，新的上下文需要重新加载
+            this.captureModuleLoaded = false;
         }
     }
 
     /**
      * 从Blob加载音频文件
+     * WAV（含扩展格式、RF64）和FLAC使用内置解码器，保持文件原始采样率，并解析其中的录音元数据；其他编码回退到Web Audio解码
      * @param {Blob} audioBlob - 音频Blob对象
-     * @returns {Promise<AudioBuffer>} - 音频缓冲区
+     * @returns {Promise<AudioBuffer|Object>} - 音频缓冲区，内置解码器返回带 format 和 metadata（见 AudioMetadata.parse）的类AudioBuffer对象
      */
     async loadAudioFile(audioBlob) {
         return new Promise((resolve, reject) => {
@@ -153,13 +463,26 @@ class AudioProcessor {
 
             fileReader.onload = async (event) => {
                 try {
+                    const arrayBuffer = event.target.result;
+
+                    if (AudioDecoder.detectFormat(arrayBuffer)) {
+                        try {
+                            const audioData = AudioDecoder.decode(arrayBuffer);
+                            audioData.metadata = AudioMetadata.parse(arrayBuffer, audioData.format);
+                            resolve(audioData);
+                            return;
+                        } catch (decodeError) {
+                            console.warn('内置解码器无法解码，改用Web Audio解码:', decodeError);
+                        }
+                    }
+
                     // 确保AudioContext已初始化
                     if (!this.audioContext) {
                         await this.initialize();
                     }
 
                     // 解码音频数据
-                    const audioBuffer = await this.audioContext.decodeAudioData(event.target.result);
+                    const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
                     resolve(audioBuffer);
                 } catch (error) {
                     console.error('音频解码失败:', error);
@@ -174,79 +497,370 @@ class AudioProcessor {
 
     /**
      * 重采样音频到指定采样率
+     * 先按声道处理方式得到单声道信号，再用Kaiser窗sinc多相滤波器重采样，降采样时截止频率随目标采样率降低以抑制混叠
      * @param {AudioBuffer} audioBuffer - 原始音频缓冲区
      * @param {number} targetSampleRate - 目标采样率
+     * @param {Object} options - 选项
+     * @param {string} options.quality - 滤波器质量: 'low' | 'medium' | 'high'，见 AudioProcessor.RESAMPLE_QUALITY，默认'medium'
+     * @param {string|number} options.channel - 'downmix' 混合所有声道（默认），或声道序号（从0开始）
+     * @param {Object} options.ultrasonic - 超声处理方式，见 AudioProcessor.resolveUltrasonic，默认不处理
      * @returns {Float32Array} - 重采样后的音频数据
      */
-    resampleAudio(audioBuffer, targetSampleRate = 16000) {
-        const originalSampleRate = audioBuffer.sampleRate;
-        const originalLength = audioBuffer.length;
+    resampleAudio(audioBuffer, targetSampleRate = 16000, options = {}) {
+        const { quality = 'medium', channel = 'downmix', ultrasonic = null } = options;
+        const mono = AudioProcessor.mixToMono(audioBuffer, channel);
+        const { samples, sampleRate } = AudioProcessor.applyUltrasonic(mono, audioBuffer.sampleRate, ultrasonic);
+
+        // 如果已经是目标采样率，直接返回
+        if (sampleRate === targetSampleRate) {
+            return samples;
+        }
+
+        return AudioProcessor.resample(samples, sampleRate, targetSampleRate, quality);
+    }
+
+    /**
+     * 确定高采样率录音的超声处理方式
+     * 自动模式下：文件元数据标明已做时间扩展（GUANO TE）时只换算时间；采样率达到 ULTRASONIC_SAMPLE_RATE 时做时间扩展；否则不处理。
+     * 自动时间扩展的倍数取 floor(文件采样率 / 模型采样率)，扩展后的采样率不低于模型采样率，
+     * 随后只需降采样，模型的整个频率范围都对应录音中的频段（例如 96kHz 录音扩展6倍，0-48kHz 对应模型的 0-8kHz）
+     * @param {Object} options - 设置
+     * @param {string} options.mode - 'auto' | 'off' | 'time-expansion' | 'heterodyne'，默认'auto'
+     * @param {number} options.factor - 'time-expansion' 模式的时间扩展倍数，默认10
+     * @param {number} options.carrierFrequency - 外差载波频率（Hz），默认40000
+     * @param {number} sampleRate - 文件采样率
+     * @param {Object|null} metadata - 录音元数据，见 AudioMetadata.parse
+     * @param {number} targetSampleRate - 模型采样率，默认16000
+     * @returns {Object} - { mode: 'off' | 'time-expansion' | 'expanded' | 'heterodyne', factor, carrierFrequency, timeScale, band, source }，
+     *                     'expanded' 表示文件本身已做时间扩展；分析音频中的时间除以 timeScale 即为实际录音时间；
+     *                     band 为模型能看到的录音频段 [下限, 上限]（Hz，实际频率）
+     */
+    static resolveUltrasonic(options = {}, sampleRate, metadata = null, targetSampleRate = 16000) {
+        const { mode = 'auto', factor = 10, carrierFrequency = 40000 } = options;
+        const modelNyquist = targetSampleRate / 2;
+        const off = {
+            mode: 'off', factor: 1, carrierFrequency: null, timeScale: 1,
+            band: [0, Math.min(sampleRate / 2, modelNyquist)], source: 'setting'
+        };
+        const expansion = (expansionFactor, source) => {
+            const band = [0, Math.min(sampleRate / 2, modelNyquist * expansionFactor)];
+            if (sampleRate / expansionFactor < targetSampleRate) {
+                console.warn(`时间扩展 ×${expansionFactor} 后采样率 ${sampleRate / expansionFactor} Hz 低于模型采样率，` +
+                    `模型频率范围的高端没有信号`);
+            }
+            return { mode: 'time-expansion', factor: expansionFactor, carrierFrequency: null, timeScale: expansionFactor, band, source };
+        };
+
+        switch (mode) {
+            case 'off':
+                return off;
+            case 'time-expansion':
+                return expansion(factor, 'setting');
+            case 'heterodyne':
+                if (carrierFrequency >= sampleRate / 2) {
+                    throw new Error(`外差载波频率必须低于 ${sampleRate / 2} Hz（采样率 ${sampleRate} Hz）`);
+                }
+                return {
+                    mode, factor: 1, carrierFrequency, timeScale: 1,
+                    band: [Math.max(0, carrierFrequency - modelNyquist), Math.min(sampleRate / 2, carrierFrequency + modelNyquist)],
+                    source: 'setting'
+                };
+            case 'auto':
+                if (metadata && metadata.timeExpansion > 1) {
+                    const te = metadata.timeExpansion;
+                    return {
+                        mode: 'expanded', factor: te, carrierFrequency: null, timeScale: te,
+                        band: [0, Math.min(sampleRate / 2, modelNyquist) * te], source: 'metadata'
+                    };
+                }
+                if (sampleRate >= AudioProcessor.ULTRASONIC_SAMPLE_RATE) {
+                    return expansion(Math.max(1, Math.floor(sampleRate / targetSampleRate)), 'auto');
+                }
+                return { ...off, source: 'auto' };
+            default:
+                throw new Error(`未知的超声处理方式: ${mode}`);
+        }
+    }
+
+    /**
+     * 对单声道数据应用超声处理
+     * 时间扩展：按 1/factor 的采样率解读同一组采样点，频率降低 factor 倍、时长拉长 factor 倍；
+     * 外差：与载波相乘把载波附近的频段搬移到低频，随后的重采样低通滤除和频分量
+     * @param {Float32Array} samples - 单声道数据
+     * @param {number} sampleRate - 采样率
+     * @param {Object|null} ultrasonic - resolveUltrasonic 的结果
+     * @returns {{samples: Float32Array, sampleRate: number}} - 处理后的数据及其采样率
+     */
+    static applyUltrasonic(samples, sampleRate, ultrasonic) {
+        if (!ultrasonic) {
+            return { samples, sampleRate };
+        }
+
+        if (ultrasonic.mode === 'time-expansion') {
+            return { samples, sampleRate: sampleRate / ultrasonic.factor };
+        }
+
+        if (ultrasonic.mode === 'heterodyne') {
+            const output = new Float32Array(samples.length);
+            const omega = 2 * Math.PI * ultrasonic.carrierFrequency / sampleRate;
+            for (let i = 0; i < samples.length; i++) {
+                // 乘2补偿混频后各边带减半的幅度
+                output[i] = 2 * samples[i] * Math.cos(omega * i);
+            }
+            return { samples: output, sampleRate };
+        }
+
+        return { samples, sampleRate };
+    }
+
+    /**
+     * 按声道处理方式将音频转为单声道
+     * @param {AudioBuffer} audioBuffer - 音频缓冲区
+     * @param {string|number} channel - 'downmix' 取各声道平均值，或声道序号（从0开始）
+     * @returns {Float32Array} - 单声道数据（单声道输入或选择单个声道时不复制）
+     */
+    static mixToMono(audioBuffer, channel = 'downmix') {
         const channels = audioBuffer.numberOfChannels;
 
-        // 如果已经是目标采样率，直接返回原始数据
-        if (originalSampleRate === targetSampleRate) {
-            // 如果是多声道，取第一个声道
+        if (channel !== 'downmix') {
+            const index = Number(channel);
+            if (!Number.isInteger(index) || index < 0 || index >= channels) {
+                throw new Error(`音频只有 ${channels} 个声道，无法选择第 ${index + 1} 声道`);
+            }
+            return audioBuffer.getChannelData(index);
+        }
+
+        if (channels === 1) {
             return audioBuffer.getChannelData(0);
         }
 
-        // 计算新的长度
-        const targetLength = Math.round(originalLength * targetSampleRate / originalSampleRate);
-        const result = new Float32Array(targetLength);
+        const mixed = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < channels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < mixed.length; i++) {
+                mixed[i] += data[i] / channels;
+            }
+        }
+        return mixed;
+    }
 
-        // 获取第一个声道数据
-        const channelData = audioBuffer.getChannelData(0);
+    /**
+     * 带限重采样（Kaiser窗sinc多相滤波器）
+     * @param {Float32Array} samples - 单声道数据
+     * @param {number} sourceRate - 原采样率
+     * @param {number} targetRate - 目标采样率
+     * @param {string} quality - 滤波器质量，见 AudioProcessor.RESAMPLE_QUALITY
+     * @returns {Float32Array} - 重采样后的数据
+     */
+    static resample(samples, sourceRate, targetRate, quality = 'medium') {
+        const filter = AudioProcessor.getResampleFilter(sourceRate, targetRate, quality);
+        const { phases, phaseCount, taps, halfTaps } = filter;
 
-        // 线性插值重采样
-        const stepSize = originalSampleRate / targetSampleRate;
-        for (let i = 0; i < targetLength; i++) {
-            const position = i * stepSize;
-            const index = Math.floor(position);
-            const fraction = position - index;
+        const inputLength = samples.length;
+        const outputLength = Math.round(inputLength * targetRate / sourceRate);
+        const output = new Float32Array(outputLength);
+        const step = sourceRate / targetRate;
 
-            if (index >= originalLength - 1) {
-                result[i] = channelData[originalLength - 1];
+        for (let i = 0; i < outputLength; i++) {
+            // 输出点在输入中的位置 = 整数部分 + 相位
+            const position = i * step;
+            let base = Math.floor(position);
+            let phase = Math.round((position - base) * phaseCount);
+            if (phase === phaseCount) {
+                base++;
+                phase = 0;
+            }
+
+            const coefficients = phase * taps;
+            const first = base - halfTaps + 1;
+            let sum = 0;
+
+            if (first >= 0 && first + taps <= inputLength) {
+                for (let j = 0; j < taps; j++) {
+                    sum += samples[first + j] * phases[coefficients + j];
+                }
             } else {
-                result[i] = channelData[index] * (1 - fraction) + channelData[index + 1] * fraction;
+                // 两端超出范围的部分按零处理
+                for (let j = Math.max(0, -first); j < taps && first + j < inputLength; j++) {
+                    sum += samples[first + j] * phases[coefficients + j];
+                }
             }
+
+            output[i] = sum;
         }
 
-        return result;
+        return output;
+    }
+
+    /**
+     * 获取（并缓存）重采样滤波器的多相系数表
+     * 采样率之比化简为 L/M 后每个输出点的相位只有 L 种；L 过大时把相位量化到 MAX_RESAMPLE_PHASES 份
+     * @param {number} sourceRate - 原采样率
+     * @param {number} targetRate - 目标采样率
+     * @param {string} quality - 滤波器质量
+     * @returns {{phases: Float32Array, phaseCount: number, taps: number, halfTaps: number}} - 系数表，第 p 个相位的系数位于 [p * taps, (p + 1) * taps)
+     */
+    static getResampleFilter(sourceRate, targetRate, quality) {
+        const key = `${sourceRate}:${targetRate}:${quality}`;
+        if (AudioProcessor.resampleFilterCache.has(key)) {
+            return AudioProcessor.resampleFilterCache.get(key);
+        }
+
+        const settings = AudioProcessor.RESAMPLE_QUALITY[quality];
+        if (!settings) {
+            throw new Error(`未知的重采样质量: ${quality}`);
+        }
+
+        // 时间扩展后的采样率可能不是整数，此时无法化简，直接量化相位
+        const gcd = (a, b) => b ? gcd(b, a % b) : a;
+        const upFactor = Number.isInteger(sourceRate) && Number.isInteger(targetRate)
+            ? targetRate / gcd(sourceRate, targetRate)
+            : Infinity;
+        const phaseCount = Math.min(upFactor, AudioProcessor.MAX_RESAMPLE_PHASES);
+
+        // 截止频率（相对原采样率的奈奎斯特频率），降采样时按比例降低
+        const cutoff = Math.min(1, targetRate / sourceRate) * settings.rolloff;
+        const halfTaps = Math.ceil(settings.zeroCrossings / cutoff);
+        const taps = halfTaps * 2;
+        const windowNorm = AudioProcessor.besselI0(settings.beta);
+
+        const phases = new Float32Array(phaseCount * taps);
+        for (let p = 0; p < phaseCount; p++) {
+            const fraction = p / phaseCount;
+            let sum = 0;
+
+            for (let j = 0; j < taps; j++) {
+                // 系数对应的输入点与输出点之间的距离（以输入采样点计）
+                const t = j - halfTaps + 1 - fraction;
+                const x = t / halfTaps;
+                const window = Math.abs(x) <= 1
+                    ? AudioProcessor.besselI0(settings.beta * Math.sqrt(1 - x * x)) / windowNorm
+                    : 0;
+                const argument = Math.PI * cutoff * t;
+                const sinc = argument === 0 ? 1 : Math.sin(argument) / argument;
+
+                phases[p * taps + j] = cutoff * sinc * window;
+                sum += phases[p * taps + j];
+            }
+
+            // 每个相位的系数和归一化为1，保证直流增益一致
+            for (let j = 0; j < taps; j++) {
+                phases[p * taps + j] /= sum;
+            }
+        }
+
+        const filter = { phases, phaseCount, taps, halfTaps };
+        AudioProcessor.resampleFilterCache.set(key, filter);
+        return filter;
+    }
+
+    /**
+     * 第一类零阶修正贝塞尔函数（Kaiser窗使用）
+     * @param {number} x - 自变量
+     * @returns {number}
+     */
+    static besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        for (let k = 1; k < 50; k++) {
+            term *= (x / (2 * k)) * (x / (2 * k));
+            sum += term;
+            if (term < sum * 1e-12) break;
+        }
+        return sum;
     }
 
     /**
-     * 标准化音频长度
+     * 设置预处理滤波链
+     * @param {FilterChain|null} filterChain - 滤波链，null表示不滤波
+     */
+    setFilterChain(filterChain) {
+        this.filterChain = filterChain;
+    }
+
+    /**
+     * 应用预处理滤波链（在降噪和 normalizeAudioLength 之前调用），未设置滤波链时原样返回
+     * @param {Float32Array} audio - 重采样后的音频数据
+     * @param {number} sampleRate - 采样率
+     * @returns {Float32Array} - 滤波后的音频数据
+     */
+    filterAudio(audio, sampleRate) {
+        if (!this.filterChain) {
+            return audio;
+        }
+        return this.filterChain.process(audio, sampleRate);
+    }
+
+    /**
+     * 设置降噪器
+     * @param {NoiseReducer|null} noiseReducer - 降噪器，null表示不降噪
+     */
+    setNoiseReducer(noiseReducer) {
+        this.noiseReducer = noiseReducer;
+    }
+
+    /**
+     * 降噪（在 normalizeAudioLength 之前调用），未设置降噪器时原样返回
+     * @param {Float32Array} audio - 重采样后的音频数据
+     * @param {number} sampleRate - 采样率，必须与降噪器一致
+     * @param {Object} options - 选项
+     * @param {boolean} options.adapt - 先用本段音频更新自动估计的噪声谱（连续监测时使用），默认false
+     * @returns {Float32Array} - 降噪后的音频数据
+     */
+    reduceNoise(audio, sampleRate, options = {}) {
+        if (!this.noiseReducer) {
+            return audio;
+        }
+        if (sampleRate !== this.noiseReducer.sampleRate) {
+            throw new Error(`降噪器采样率为 ${this.noiseReducer.sampleRate} Hz，与音频的 ${sampleRate} Hz 不一致`);
+        }
+
+        if (options.adapt) {
+            this.noiseReducer.adaptProfile(audio);
+        }
+        return this.noiseReducer.process(audio);
+    }
+
+    /**
+     * 设置片段长度标准化方式
+     * @param {Object} options - 标准化方式
+     * @param {string} options.padding - 不足时的填充方式，见 AudioProcessor.PADDING_MODES，默认'repeat'
+     * @param {string} options.cropping - 过长时的截取方式，见 AudioProcessor.CROPPING_MODES，默认'center'
+     * @param {number} options.seed - 'random' 截取的随机种子，默认0
+     */
+    setNormalization(options = {}) {
+        const normalization = { padding: 'repeat', cropping: 'center', seed: 0, ...options };
+        if (!AudioProcessor.PADDING_MODES.includes(normalization.padding)) {
+            throw new Error('不支持的填充方式: ' + normalization.padding);
+        }
+        if (!AudioProcessor.CROPPING_MODES.includes(normalization.cropping)) {
+            throw new Error('不支持的截取方式: ' + normalization.cropping);
+        }
+        if (!Number.isInteger(normalization.seed)) {
+            throw new Error('随机种子必须为整数: ' + normalization.seed);
+        }
+        this.normalization = normalization;
+    }
+
+    /**
+     * 标准化音频长度，结果只取决于输入和标准化方式，同一段音频每次得到相同的片段
      * @param {Float32Array} audio - 音频数据
      * @param {number} sampleRate - 采样率
      * @param {number} targetDuration - 目标时长（秒）
+     * @param {Object} options - 标准化方式 { padding, cropping, seed }，默认使用 setNormalization 的设置
      * @returns {Float32Array} - 标准化后的音频数据
      */
-    normalizeAudioLength(audio, sampleRate, targetDuration = 3) {
+    normalizeAudioLength(audio, sampleRate, targetDuration = 3, options = this.normalization) {
         const targetLength = Math.floor(sampleRate * targetDuration);
 
         // 如果音频长度小于目标长度，进行填充
         if (audio.length < targetLength) {
-            const result = new Float32Array(targetLength);
-
-            // 复制原始数据
-            result.set(audio);
-
-            // 填充剩余部分（重复或静音）
-            const repeats = Math.ceil(targetLength / audio.length);
-            for (let i = 1; i < repeats; i++) {
-                const offset = i * audio.length;
-                const length = Math.min(audio.length, targetLength - offset);
-                if (length > 0) {
-                    result.set(audio.subarray(0, length), offset);
-                }
-            }
-
-            return result;
+            return AudioProcessor.padAudio(audio, targetLength, options.padding);
         }
 
-        // 如果音频长度大于目标长度，随机截取一段
+        // 如果音频长度大于目标长度，按截取方式取一段
         if (audio.length > targetLength) {
-            const maxOffset = audio.length - targetLength;
-            const offset = Math.floor(Math.random() * maxOffset);
+            const offset = AudioProcessor.getCropOffset(audio, targetLength, options.cropping, options.seed);
             return audio.subarray(offset, offset + targetLength);
         }
 
@@ -255,96 +869,338 @@ class AudioProcessor {
     }
 
     /**
-     * 将AudioBuffer转换为WAV格式的Blob
-     * @param {AudioBuffer} audioBuffer - 音频缓冲区
-     * @returns {Blob} - WAV格式的Blob
+     * 把音频填充到目标长度，原始音频位于开头
+     * @param {Float32Array} audio - 音频数据
+     * @param {number} targetLength - 目标采样点数
+     * @param {string} padding - 'silence' 补零、'repeat' 循环重复、'reflect' 镜像往返（不重复边界样本）
+     * @returns {Float32Array} - 填充后的音频数据
      */
-    audioBufferToWav(audioBuffer) {
-        const numOfChannels = audioBuffer.numberOfChannels;
-        const length = audioBuffer.length * numOfChannels * 2;
-        const buffer = new ArrayBuffer(44 + length);
-        const view = new DataView(buffer);
+    static padAudio(audio, targetLength, padding = 'repeat') {
+        const result = new Float32Array(targetLength);
+        result.set(audio);
 
-        // 写入WAV头
-        // "RIFF"
-        view.setUint8(0, 0x52);
-        view.setUint8(1, 0x49);
-        view.setUint8(2, 0x46);
-        view.setUint8(3, 0x46);
+        if (padding === 'silence' || audio.length === 0) {
+            return result;
+        }
 
-        // RIFF chunk size
-        view.setUint32(4, 36 + length, true);
+        if (padding === 'reflect' && audio.length > 1) {
+            const period = 2 * (audio.length - 1);
+            for (let i = audio.length; i < targetLength; i++) {
+                const phase = i % period;
+                result[i] = audio[phase < audio.length ? phase : period - phase];
+            }
+            return result;
+        }
 
-        // "WAVE"
-        view.setUint8(8, 0x57);
-        view.setUint8(9, 0x41);
-        view.setUint8(10, 0x56);
-        view.setUint8(11, 0x45);
+        for (let offset = audio.length; offset < targetLength; offset += audio.length) {
+            result.set(audio.subarray(0, Math.min(audio.length, targetLength - offset)), offset);
+        }
+        return result;
+    }
 
-        // "fmt "
-        view.setUint8(12, 0x66);
-        view.setUint8(13, 0x6d);
-        view.setUint8(14, 0x74);
-        view.setUint8(15, 0x20);
+    /**
+     * 计算截取的起始位置
+     * @param {Float32Array} audio - 音频数据（长于目标长度）
+     * @param {number} targetLength - 目标采样点数
+     * @param {string} cropping - 'center' 居中、'max-energy' 能量最大的窗口、'random' 按种子伪随机
+     * @param {number} seed - 'random' 的随机种子
+     * @returns {number} - 起始采样点
+     */
+    static getCropOffset(audio, targetLength, cropping = 'center', seed = 0) {
+        const maxOffset = audio.length - targetLength;
 
-        // format chunk length
-        view.setUint32(16, 16, true);
+        if (cropping === 'random') {
+            return Math.floor(AudioProcessor.seededRandom(seed) * (maxOffset + 1));
+        }
 
-        // sample format (raw)
-        view.setUint16(20, 1, true);
+        if (cropping === 'max-energy') {
+            // 滑动窗口能量，相同时取最早的位置
+            let energy = 0;
+            for (let i = 0; i < targetLength; i++) {
+                energy += audio[i] * audio[i];
+            }
+            let bestEnergy = energy;
+            let bestOffset = 0;
+            for (let offset = 1; offset <= maxOffset; offset++) {
+                const removed = audio[offset - 1];
+                const added = audio[offset + targetLength - 1];
+                energy += added * added - removed * removed;
+                if (energy > bestEnergy + 1e-9) {
+                    bestEnergy = energy;
+                    bestOffset = offset;
+                }
+            }
+            return bestOffset;
+        }
 
-        // channel count
-        view.setUint16(22, numOfChannels, true);
+        return Math.floor(maxOffset / 2);
+    }
 
-        // sample rate
-        view.setUint32(24, audioBuffer.sampleRate, true);
+    /**
+     * 由整数种子得到 [0, 1) 的伪随机数（mulberry32），同一种子在任何浏览器中结果相同
+     * @param {number} seed - 随机种子
+     * @returns {number}
+     */
+    static seededRandom(seed) {
+        let t = (seed + 0x6D2B79F5) | 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
 
-        // byte rate
-        view.setUint32(28, audioBuffer.sampleRate * numOfChannels * 2, true);
+    /**
+     * 将完整音频切分为重叠的分析窗口
+     * 末尾不足一个步长的部分会追加一个与结尾对齐的窗口，保证整段音频都被覆盖。
+     * 每个窗口的数据按 normalizeAudioLength 标准化为模型片段时长，窗口时长与片段时长不同时特征不会被时间拉伸或压缩
+     * @param {Float32Array} audio - 音频数据
+     * @param {number} sampleRate - 采样率
+     * @param {number} windowDuration - 窗口时长（秒）
+     * @param {number} hopDuration - 窗口步长（秒）
+     * @param {number} clipDuration - 模型输入对应的片段时长（秒），默认与窗口时长相同
+     * @returns {Array<{start: number, end: number, data: Float32Array}>} - 分析窗口，start/end 单位为秒
+     */
+    createAnalysisWindows(audio, sampleRate, windowDuration = 3, hopDuration = 1.5, clipDuration = windowDuration) {
+        const windowLength = Math.floor(sampleRate * windowDuration);
+        const hopLength = Math.max(1, Math.floor(sampleRate * hopDuration));
+        const toClip = data => this.normalizeAudioLength(data, sampleRate, clipDuration);
 
-        // block align
-        view.setUint16(32, numOfChannels * 2, true);
+        // 音频不足一个窗口时，标准化长度后作为唯一窗口
+        if (audio.length <= windowLength) {
+            return [{
+                start: 0,
+                end: audio.length / sampleRate,
+                data: toClip(audio)
+            }];
+        }
 
-        // bits per sample
-        view.setUint16(34, 16, true);
+        const windows = [];
+        let offset = 0;
+        for (; offset + windowLength <= audio.length; offset += hopLength) {
+            windows.push({
+                start: offset / sampleRate,
+                end: (offset + windowLength) / sampleRate,
+                data: toClip(audio.subarray(offset, offset + windowLength))
+            });
+        }
 
-        // "data"
-        view.setUint8(36, 0x64);
-        view.setUint8(37, 0x61);
-        view.setUint8(38, 0x74);
-        view.setUint8(39, 0x61);
+        const lastOffset = audio.length - windowLength;
+        if (offset - hopLength < lastOffset) {
+            windows.push({
+                start: lastOffset / sampleRate,
+                end: audio.length / sampleRate,
+                data: toClip(audio.subarray(lastOffset))
+            });
+        }
+
+        return windows;
+    }
 
-        // data chunk length
-        view.setUint32(40, length, true);
+    /**
+     * 将AudioBuffer转换为WAV格式的Blob
+     * @param {AudioBuffer} audioBuffer - 音频缓冲区
+     * @param {Object} options - 编码参数 { bitDepth, float, metadata }，见 encodeWav
+     * @returns {Blob} - WAV格式的Blob
+     */
+    audioBufferToWav(audioBuffer, options = {}) {
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+        return this.encodeWav(channels, audioBuffer.sampleRate, options);
+    }
 
-        // 写入音频数据
-        const offset = 44;
-        const data = new Int16Array(length / 2);
+    /**
+     * 将各声道PCM数据编码为WAV
+     * 超过2个声道或超过16位时使用 WAVE_FORMAT_EXTENSIBLE 格式头，浮点格式附带 fact 块
+     * @param {Array<Float32Array>} channels - 各声道数据，取值范围 [-1, 1]
+     * @param {number} sampleRate - 采样率
+     * @param {Object} options - 编码参数
+     * @param {number} options.bitDepth - 位深: 16、24、32，默认16
+     * @param {boolean} options.float - 是否为32位浮点，默认false
+     * @param {Object} options.metadata - 识别结果元数据，写入 LIST-INFO 和 guan 块，见 AudioMetadata.fromResult
+     * @returns {Blob} - WAV格式的Blob
+     */
+    encodeWav(channels, sampleRate, options = {}) {
+        const { bitDepth = 16, float = false, metadata = null } = options;
+        if (float ? bitDepth !== 32 : ![16, 24, 32].includes(bitDepth)) {
+            throw new Error(`不支持的WAV格式: ${bitDepth}位${float ? '浮点' : '整数'}`);
+        }
 
-        // 混合所有声道
-        if (numOfChannels === 2) {
-            // 立体声
-            const left = audioBuffer.getChannelData(0);
-            const right = audioBuffer.getChannelData(1);
+        const numOfChannels = channels.length;
+        const frames = numOfChannels > 0 ? channels[0].length : 0;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = numOfChannels * bytesPerSample;
+        const dataLength = frames * blockAlign;
 
-            for (let i = 0; i < audioBuffer.length; i++) {
-                const index = i * 2;
-                data[index] = Math.max(-1, Math.min(1, left[i])) * 0x7FFF;
-                data[index + 1] = Math.max(-1, Math.min(1, right[i])) * 0x7FFF;
-            }
-        } else {
-            // 单声道
-            const channel = audioBuffer.getChannelData(0);
+        const formatTag = float ? 3 : 1; // WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM
+        const extensible = numOfChannels > 2 || bitDepth > 16;
+        const fmtLength = extensible ? 40 : 16;
+        const factLength = float ? 12 : 0;
+        const dataOffset = 12 + 8 + fmtLength + factLength + 8;
+        const metadataChunks = metadata ? AudioMetadata.createWavChunks(metadata) : new Uint8Array(0);
 
-            for (let i = 0; i < audioBuffer.length; i++) {
-                data[i] = Math.max(-1, Math.min(1, channel[i])) * 0x7FFF;
+        // data块长度为奇数时补一个填充字节，元数据块位于data块之后
+        const buffer = new ArrayBuffer(dataOffset + dataLength + (dataLength & 1) + metadataChunks.length);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
             }
+        };
+
+        // RIFF头
+        writeString(0, 'RIFF');
+        view.setUint32(4, buffer.byteLength - 8, true);
+        writeString(8, 'WAVE');
+
+        // fmt 块
+        writeString(12, 'fmt ');
+        view.setUint32(16, fmtLength, true);
+        view.setUint16(20, extensible ? 0xFFFE : formatTag, true);
+        view.setUint16(22, numOfChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+
+        if (extensible) {
+            view.setUint16(36, 22, true); // 扩展字段长度
+            view.setUint16(38, bitDepth, true); // 有效位数
+            view.setUint32(40, AudioProcessor.CHANNEL_MASKS[numOfChannels] || 0, true);
+
+            // SubFormat GUID: 格式代码 + 00000000-0010-8000-00AA00389B71
+            view.setUint32(44, formatTag, true);
+            [0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71]
+                .forEach((byte, i) => view.setUint8(48 + i, byte));
         }
 
-        for (let i = 0; i < data.length; i++) {
-            view.setInt16(offset + i * 2, data[i], true);
+        let offset = 20 + fmtLength;
+
+        // 非PCM格式需要 fact 块记录每声道的采样帧数
+        if (float) {
+            writeString(offset, 'fact');
+            view.setUint32(offset + 4, 4, true);
+            view.setUint32(offset + 8, frames, true);
+            offset += factLength;
         }
 
+        // data 块
+        writeString(offset, 'data');
+        view.setUint32(offset + 4, dataLength, true);
+        offset += 8;
+
+        // 按帧交错写入各声道
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < numOfChannels; c++) {
+                const sample = Math.max(-1, Math.min(1, channels[c][i] || 0));
+
+                if (float) {
+                    view.setFloat32(offset, sample, true);
+                } else if (bitDepth === 16) {
+                    view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7FFF), true);
+                } else if (bitDepth === 24) {
+                    const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                } else {
+                    view.setInt32(offset, Math.round(sample < 0 ? sample * 0x80000000 : sample * 0x7FFFFFFF), true);
+                }
+
+                offset += bytesPerSample;
+            }
+        }
+
+        new Uint8Array(buffer).set(metadataChunks, buffer.byteLength - metadataChunks.length);
+
         return new Blob([buffer], { type: 'audio/wav' });
     }
+
+    /**
+     * 根据文件名扩展名推断音频MIME类型
+     * @param {string} fileName - 文件名
+     * @returns {string} - MIME类型，无法识别时为 application/octet-stream
+     */
+    static getMimeType(fileName) {
+        const match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+        return (match && AudioProcessor.AUDIO_TYPES[match[1].toLowerCase()]) || 'application/octet-stream';
+    }
+
+    /**
+     * 获取MIME类型对应的文件扩展名
+     * @param {string} mimeType - MIME类型（可带 codecs 等参数）
+     * @returns {string|null} - 不带点的扩展名，无法识别时为null
+     */
+    static getFileExtension(mimeType) {
+        const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+        const aliases = { 'audio/x-wav': 'wav', 'audio/wave': 'wav', 'audio/vnd.wave': 'wav', 'audio/x-flac': 'flac', 'audio/mp3': 'mp3' };
+        if (aliases[type]) return aliases[type];
+
+        const extension = Object.keys(AudioProcessor.AUDIO_TYPES).find(key => AudioProcessor.AUDIO_TYPES[key] === type);
+        return extension || null;
+    }
+
+    /**
+     * 确保文件名的扩展名与MIME类型一致，不一致时追加正确的扩展名
+     * @param {string} fileName - 文件名
+     * @param {string} mimeType - MIME类型
+     * @returns {string} - 文件名
+     */
+    static withFileExtension(fileName, mimeType) {
+        const extension = AudioProcessor.getFileExtension(mimeType);
+        if (!extension || AudioProcessor.getFileExtension(AudioProcessor.getMimeType(fileName)) === extension) {
+            return fileName;
+        }
+        return `${fileName}.${extension}`;
+    }
+}
+
+// 常见音频文件扩展名对应的MIME类型
+AudioProcessor.AUDIO_TYPES = {
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    opus: 'audio/opus',
+    webm: 'audio/webm',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    flac: 'audio/flac'
+};
+
+// WAVE_FORMAT_EXTENSIBLE 中各声道数的默认扬声器布局
+AudioProcessor.CHANNEL_MASKS = {
+    1: 0x4, // 中置
+    2: 0x3, // 左、右
+    3: 0x7,
+    4: 0x33, // 四声道
+    5: 0x37,
+    6: 0x3F, // 5.1
+    7: 0x70F, // 6.1
+    8: 0x63F // 7.1
+};
+
+// 重采样滤波器质量: 每侧过零点数（越多过渡带越窄、计算量越大）、截止频率相对奈奎斯特频率的比例、Kaiser窗 beta（越大阻带衰减越强）
+// high 与 resampy 的 kaiser_best 参数相同
+AudioProcessor.RESAMPLE_QUALITY = {
+    low: { zeroCrossings: 8, rolloff: 0.85, beta: 5 },
+    medium: { zeroCrossings: 32, rolloff: 0.94, beta: 9 },
+    high: { zeroCrossings: 64, rolloff: 0.9475937, beta: 14.769656 }
+};
+
+// 自动超声处理的最低采样率（Hz），达到该采样率的录音视为超声录音
+AudioProcessor.ULTRASONIC_SAMPLE_RATE = 96000;
+
+// 多相滤波器的最大相位数，采样率之比无法化简为较小的整数比时对相位量化
+AudioProcessor.MAX_RESAMPLE_PHASES = 1024;
+
+// 片段长度标准化的填充方式和截取方式，见 normalizeAudioLength
+AudioProcessor.PADDING_MODES = ['silence', 'repeat', 'reflect'];
+AudioProcessor.CROPPING_MODES = ['center', 'max-energy', 'random'];
+
+// 已计算的多相滤波器: "原采样率:目标采样率:质量" -> 系数表
+AudioProcessor.resampleFilterCache = new Map();
+
+// 供Node环境（特征一致性校验脚本）使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioProcessor;
 }
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * PCM采集 AudioWorklet 处理器
+ * 在音频线程中把输入的单声道PCM按固定块大小打包发送到主线程，
+ * 由 AudioProcessor 写入环形缓冲区并切分分析窗口
+ */
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    /**
+     * @param {Object} options - processorOptions.chunkSize: 每次发送的采样点数，默认2048
+     */
+    constructor(options) {
+        super();
+        const processorOptions = (options && options.processorOptions) || {};
+        this.chunkSize = processorOptions.chunkSize || 2048;
+        this.chunk = new Float32Array(this.chunkSize);
+        this.offset = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        const channel = input && input[0];
+
+        if (channel) {
+            let index = 0;
+            while (index < channel.length) {
+                const count = Math.min(channel.length - index, this.chunkSize - this.offset);
+                this.chunk.set(channel.subarray(index, index + count), this.offset);
+                this.offset += count;
+                index += count;
+
+                // 块已满，转移给主线程后重新分配
+                if (this.offset === this.chunkSize) {
+                    this.port.postMessage(this.chunk, [this.chunk.buffer]);
+                    this.chunk = new Float32Array(this.chunkSize);
+                    this.offset = 0;
+                }
+            }
+        }
+
+        // 保持处理器存活，直到主线程断开连接
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
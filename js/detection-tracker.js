@@ -0,0 +1,178 @@
+/**
+ * 检测事件跟踪模块
+ * 对连续监测中逐片段的预测结果做时间平滑（滑动平均 + 滞回阈值），
+ * 输出离散的"检测开始 / 持续 / 结束"事件，避免单次误判影响统计
+ */
+class DetectionTracker {
+    /**
+     * @param {Object} options - 参数
+     * @param {Array<string>} options.classNames - 类别名称，与概率向量下标对应
+     * @param {number} options.windowSize - 滑动平均的结果个数，默认3
+     * @param {number} options.onThreshold - 平均概率达到该值时开始检测，默认0.6
+     * @param {number} options.offThreshold - 平均概率低于该值时结束检测，默认0.4
+     * @param {number} options.clipDuration - 每个片段的时长（秒），用于计算事件时长，默认3
+     * @param {number} options.hopDuration - 相邻片段的间隔（秒），片段重叠时小于 clipDuration，默认等于 clipDuration
+     */
+    constructor(options = {}) {
+        this.classNames = options.classNames || [];
+        this.windowSize = options.windowSize || 3;
+        this.onThreshold = options.onThreshold === undefined ? 0.6 : options.onThreshold;
+        this.offThreshold = options.offThreshold === undefined ? 0.4 : options.offThreshold;
+        this.clipDuration = options.clipDuration || 3;
+        this.hopDuration = options.hopDuration || this.clipDuration;
+
+        // 最近 windowSize 个结果的概率向量
+        this.recentProbabilities = [];
+
+        // 进行中的检测: 类别 -> { class, startTime, lastTime, peakConfidence, updates }
+        this.activeDetections = new Map();
+    }
+
+    /**
+     * 更新类别列表（切换模型后调用），同时清空状态
+     * @param {Array<string>} classNames - 类别名称
+     */
+    setClassNames(classNames) {
+        this.classNames = classNames;
+        this.reset();
+    }
+
+    /**
+     * 输入一个预测结果，返回由此产生的检测事件
+     * 被开集拒识的结果（isUnknown）按全零概率计入，只推进保持和释放的时序，不会开始新检测
+     * @param {Object} result - ModelLoader.predict 的结果
+     * @returns {Array<Object>} - 检测事件 { type: 'start' | 'ongoing' | 'end', class, startTime, endTime, duration, confidence, peakConfidence }
+     */
+    update(result) {
+        const time = result.timestamp instanceof Date ? result.timestamp : new Date();
+        const probabilities = result.isUnknown
+            ? new Array(this.classNames.length).fill(0)
+            : result.allProbabilities;
+
+        this.recentProbabilities.push(probabilities);
+        if (this.recentProbabilities.length > this.windowSize) {
+            this.recentProbabilities.shift();
+        }
+
+        const averaged = this.getSmoothedProbabilities();
+        const events = [];
+
+        averaged.forEach((probability, index) => {
+            const className = this.classNames[index];
+            const active = this.activeDetections.get(className);
+
+            if (!active) {
+                // 结果数不足窗口大小时不开始新检测，避免首个片段即触发；被拒识的片段也不开始
+                if (!result.isUnknown && probability >= this.onThreshold && this.recentProbabilities.length >= this.windowSize) {
+                    const detection = {
+                        class: className,
+                        startTime: this.getClipStart(time),
+                        lastTime: time,
+                        peakConfidence: probability,
+                        updates: 1
+                    };
+                    this.activeDetections.set(className, detection);
+                    events.push(this.createEvent('start', detection, probability));
+                }
+                return;
+            }
+
+            if (probability < this.offThreshold) {
+                this.activeDetections.delete(className);
+                events.push(this.createEvent('end', active, probability));
+                return;
+            }
+
+            active.lastTime = time;
+            active.peakConfidence = Math.max(active.peakConfidence, probability);
+            active.updates++;
+            events.push(this.createEvent('ongoing', active, probability));
+        });
+
+        return events;
+    }
+
+    /**
+     * 结束所有进行中的检测（停止监测时调用）
+     * @returns {Array<Object>} - 结束事件
+     */
+    flush() {
+        const events = [];
+        for (const detection of this.activeDetections.values()) {
+            events.push(this.createEvent('end', detection, null));
+        }
+        this.reset();
+        return events;
+    }
+
+    /**
+     * 设置片段时长和间隔（开始监测时按分析窗口参数调用）
+     * @param {number} clipDuration - 片段时长（秒）
+     * @param {number} hopDuration - 相邻片段的间隔（秒）
+     */
+    setTiming(clipDuration, hopDuration) {
+        this.clipDuration = clipDuration;
+        this.hopDuration = hopDuration || clipDuration;
+    }
+
+    /**
+     * 清空状态
+     */
+    reset() {
+        this.recentProbabilities = [];
+        this.activeDetections.clear();
+    }
+
+    /**
+     * 计算最近结果的平均概率
+     * @returns {Array<number>} - 平均概率
+     */
+    getSmoothedProbabilities() {
+        const count = this.recentProbabilities.length;
+        const averaged = new Array(this.classNames.length).fill(0);
+
+        this.recentProbabilities.forEach(probabilities => {
+            for (let i = 0; i < averaged.length; i++) {
+                averaged[i] += (probabilities[i] || 0) / count;
+            }
+        });
+
+        return averaged;
+    }
+
+    /**
+     * 平滑窗口内最早片段的开始时间
+     * @param {Date} time - 当前片段的结束时间
+     * @returns {Date} - 开始时间
+     */
+    getClipStart(time) {
+        const clips = this.recentProbabilities.length;
+        const span = (clips - 1) * this.hopDuration + this.clipDuration;
+        return new Date(time.getTime() - span * 1000);
+    }
+
+    /**
+     * 创建检测事件对象
+     * @param {string} type - 事件类型
+     * @param {Object} detection - 检测状态
+     * @param {number|null} confidence - 当前平滑后的概率
+     * @returns {Object} - 检测事件
+     */
+    createEvent(type, detection, confidence) {
+        const endTime = detection.lastTime;
+        return {
+            type,
+            class: detection.class,
+            startTime: detection.startTime,
+            endTime,
+            duration: (endTime.getTime() - detection.startTime.getTime()) / 1000,
+            confidence,
+            peakConfidence: detection.peakConfidence
+        };
+    }
+}
+
+// 供Node环境（处理流程回归检查脚本）使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DetectionTracker;
+}
@@ -0,0 +1,282 @@
+/**
+ * 预处理滤波链模块
+ * 按声明式的滤波步骤列表依次处理音频：高通（去除风噪低频）、低通、带通（按目标类群限定频段）、
+ * 陷波（工频干扰及其谐波）和增益归一化。滤波器为RBJ双二阶节级联，高阶为巴特沃斯响应
+ */
+class FilterChain {
+    /**
+     * @param {Array<Object>} stages - 滤波步骤，见 FilterChain.STAGE_TYPES
+     *   { type: 'highpass' | 'lowpass', frequency, order }
+     *   { type: 'bandpass', low, high, order }，order 为高通和低通两侧各自的阶数，总阶数为 2 × order
+     *   { type: 'notch', frequency, q, harmonics }
+     *   { type: 'gain', mode: 'fixed' | 'peak' | 'rms', gainDb, targetDb, maxGainDb }
+     */
+    constructor(stages = []) {
+        this.stages = FilterChain.validate(stages);
+
+        // 按采样率缓存的双二阶节系数
+        this.designCache = new Map();
+    }
+
+    /**
+     * 校验并补全滤波步骤的默认参数
+     * @param {Array<Object>} stages - 滤波步骤
+     * @returns {Array<Object>} - 补全默认参数后的副本
+     */
+    static validate(stages) {
+        if (!Array.isArray(stages)) {
+            throw new Error('滤波链必须是滤波步骤数组');
+        }
+
+        return stages.map((stage, index) => {
+            const defaults = stage && FilterChain.STAGE_TYPES[stage.type];
+            if (!defaults) {
+                throw new Error(`第 ${index + 1} 个滤波步骤类型无效: ${stage && stage.type}`);
+            }
+
+            const normalized = { ...defaults, ...stage };
+            const positive = ['frequency', 'low', 'high', 'q'].filter(key => key in defaults);
+            positive.forEach(key => {
+                if (!(normalized[key] > 0)) {
+                    throw new Error(`第 ${index + 1} 个滤波步骤（${stage.type}）的 ${key} 必须为正数`);
+                }
+            });
+            if ('order' in defaults && (normalized.order < 2 || normalized.order > 8 || normalized.order % 2 !== 0)) {
+                throw new Error(`第 ${index + 1} 个滤波步骤（${stage.type}）的阶数必须为2、4、6或8`);
+            }
+            if (stage.type === 'bandpass' && normalized.low >= normalized.high) {
+                throw new Error(`第 ${index + 1} 个滤波步骤（bandpass）的下限频率必须小于上限频率`);
+            }
+            if (stage.type === 'gain' && !['fixed', 'peak', 'rms'].includes(normalized.mode)) {
+                throw new Error(`第 ${index + 1} 个滤波步骤（gain）的模式无效: ${normalized.mode}`);
+            }
+            return normalized;
+        });
+    }
+
+    /**
+     * 生成滤波链的简短描述，用于结果显示
+     * @param {Array<Object>} stages - 已校验的滤波步骤
+     * @returns {string}
+     */
+    static describe(stages) {
+        if (stages.length === 0) return '无';
+
+        return stages.map(stage => {
+            switch (stage.type) {
+                case 'highpass':
+                    return `${stage.frequency}Hz高通(${stage.order}阶)`;
+                case 'lowpass':
+                    return `${stage.frequency}Hz低通(${stage.order}阶)`;
+                case 'bandpass':
+                    // 带通由同阶的高通和低通级联而成
+                    return `${stage.low}-${stage.high}Hz带通(${stage.order * 2}阶)`;
+                case 'notch':
+                    return `${stage.frequency}Hz陷波${stage.harmonics > 1 ? `×${stage.harmonics}` : ''}`;
+                default:
+                    return stage.mode === 'fixed'
+                        ? `增益${stage.gainDb}dB`
+                        : `${stage.mode === 'peak' ? '峰值' : '均方根'}归一化${stage.targetDb}dB`;
+            }
+        }).join(' → ');
+    }
+
+    /**
+     * 依次应用所有滤波步骤
+     * @param {Float32Array} samples - 音频数据
+     * @param {number} sampleRate - 采样率
+     * @returns {Float32Array} - 处理后的音频（新数组），滤波链为空时原样返回
+     */
+    process(samples, sampleRate) {
+        if (this.stages.length === 0) {
+            return samples;
+        }
+
+        const output = Float32Array.from(samples);
+        this.getSections(sampleRate).forEach((sections, index) => {
+            const stage = this.stages[index];
+            if (stage.type === 'gain') {
+                FilterChain.applyGain(output, stage);
+            } else {
+                sections.forEach(section => FilterChain.applyBiquad(output, section));
+            }
+        });
+        return output;
+    }
+
+    /**
+     * 获取各滤波步骤在指定采样率下的双二阶节
+     * @param {number} sampleRate - 采样率
+     * @returns {Array<Array<Object>>} - 与 stages 一一对应，增益步骤为空数组
+     */
+    getSections(sampleRate) {
+        if (!this.designCache.has(sampleRate)) {
+            this.designCache.set(sampleRate, this.stages.map(stage => FilterChain.design(stage, sampleRate)));
+        }
+        return this.designCache.get(sampleRate);
+    }
+
+    /**
+     * 设计一个滤波步骤的双二阶节
+     * @param {Object} stage - 已校验的滤波步骤
+     * @param {number} sampleRate - 采样率
+     * @returns {Array<Object>} - 双二阶节系数 { b0, b1, b2, a1, a2 }
+     */
+    static design(stage, sampleRate) {
+        const nyquist = sampleRate / 2;
+        const checkFrequency = frequency => {
+            if (frequency >= nyquist) {
+                throw new Error(`滤波频率 ${frequency} Hz 超过了采样率 ${sampleRate} Hz 的奈奎斯特频率`);
+            }
+        };
+
+        switch (stage.type) {
+            case 'highpass':
+            case 'lowpass':
+                checkFrequency(stage.frequency);
+                return FilterChain.butterworthQs(stage.order)
+                    .map(q => FilterChain.biquad(stage.type, stage.frequency, q, sampleRate));
+            case 'bandpass':
+                checkFrequency(stage.low);
+                checkFrequency(stage.high);
+                return FilterChain.butterworthQs(stage.order).flatMap(q => [
+                    FilterChain.biquad('highpass', stage.low, q, sampleRate),
+                    FilterChain.biquad('lowpass', stage.high, q, sampleRate)
+                ]);
+            case 'notch': {
+                // 基频及其谐波，超过奈奎斯特频率的谐波跳过
+                checkFrequency(stage.frequency);
+                const sections = [];
+                for (let h = 1; h <= stage.harmonics && stage.frequency * h < nyquist; h++) {
+                    sections.push(FilterChain.biquad('notch', stage.frequency * h, stage.q, sampleRate));
+                }
+                return sections;
+            }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * 巴特沃斯滤波器各二阶节的品质因数
+     * @param {number} order - 阶数（偶数）
+     * @returns {Array<number>}
+     */
+    static butterworthQs(order) {
+        const qs = [];
+        for (let k = 0; k < order / 2; k++) {
+            qs.push(1 / (2 * Math.cos(Math.PI * (2 * k + 1) / (2 * order))));
+        }
+        return qs;
+    }
+
+    /**
+     * RBJ Audio EQ Cookbook 双二阶节系数（已按 a0 归一化）
+     * @param {string} type - 'highpass' | 'lowpass' | 'notch'
+     * @param {number} frequency - 截止或中心频率
+     * @param {number} q - 品质因数
+     * @param {number} sampleRate - 采样率
+     * @returns {{b0: number, b1: number, b2: number, a1: number, a2: number}}
+     */
+    static biquad(type, frequency, q, sampleRate) {
+        const w0 = 2 * Math.PI * frequency / sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+
+        let b0, b1, b2;
+        if (type === 'highpass') {
+            b0 = (1 + cos) / 2;
+            b1 = -(1 + cos);
+            b2 = (1 + cos) / 2;
+        } else if (type === 'lowpass') {
+            b0 = (1 - cos) / 2;
+            b1 = 1 - cos;
+            b2 = (1 - cos) / 2;
+        } else {
+            b0 = 1;
+            b1 = -2 * cos;
+            b2 = 1;
+        }
+
+        return { b0: b0 / a0, b1: b1 / a0, b2: b2 / a0, a1: -2 * cos / a0, a2: (1 - alpha) / a0 };
+    }
+
+    /**
+     * 原地应用双二阶节（直接II型转置）
+     * @param {Float32Array} samples - 音频数据（输入输出）
+     * @param {Object} section - 双二阶节系数
+     */
+    static applyBiquad(samples, section) {
+        const { b0, b1, b2, a1, a2 } = section;
+        let z1 = 0;
+        let z2 = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            const y = b0 * x + z1;
+            z1 = b1 * x - a1 * y + z2;
+            z2 = b2 * x - a2 * y;
+            samples[i] = y;
+        }
+    }
+
+    /**
+     * 原地应用增益：固定增益，或归一化到目标峰值/均方根电平（最大增益受 maxGainDb 限制，避免放大静音）
+     * @param {Float32Array} samples - 音频数据（输入输出）
+     * @param {Object} stage - 增益步骤
+     */
+    static applyGain(samples, stage) {
+        let gainDb = stage.gainDb;
+        if (stage.mode !== 'fixed') {
+            let level = 0;
+            for (let i = 0; i < samples.length; i++) {
+                level = stage.mode === 'peak' ? Math.max(level, Math.abs(samples[i])) : level + samples[i] * samples[i];
+            }
+            if (stage.mode === 'rms') {
+                level = Math.sqrt(level / Math.max(1, samples.length));
+            }
+            if (level <= 0) return;
+            gainDb = Math.min(stage.targetDb - 20 * Math.log10(level), stage.maxGainDb);
+        }
+
+        const gain = Math.pow(10, gainDb / 20);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] *= gain;
+        }
+    }
+}
+
+// 各滤波步骤类型的默认参数
+FilterChain.STAGE_TYPES = {
+    highpass: { frequency: 100, order: 2 },
+    lowpass: { frequency: 7000, order: 2 },
+    bandpass: { low: 1000, high: 7000, order: 4 },
+    notch: { frequency: 50, q: 30, harmonics: 3 },
+    gain: { mode: 'peak', gainDb: 0, targetDb: -1, maxGainDb: 30 }
+};
+
+// 内置预设，用户可在此基础上另存为自定义预设
+FilterChain.PRESETS = {
+    '无': [],
+    '去风噪（150Hz高通）': [
+        { type: 'highpass', frequency: 150, order: 4 }
+    ],
+    '去工频干扰（50Hz陷波）': [
+        { type: 'notch', frequency: 50, q: 30, harmonics: 5 }
+    ],
+    // 上限低于16kHz采样率的奈奎斯特频率8kHz
+    '鸟类（1-7.8kHz带通）': [
+        { type: 'bandpass', low: 1000, high: 7800, order: 4 },
+        { type: 'gain', mode: 'peak', targetDb: -1 }
+    ],
+    '蛙类（200Hz-5kHz带通）': [
+        { type: 'notch', frequency: 50, q: 30, harmonics: 3 },
+        { type: 'bandpass', low: 200, high: 5000, order: 4 },
+        { type: 'gain', mode: 'peak', targetDb: -1 }
+    ],
+    '野外通用': [
+        { type: 'highpass', frequency: 150, order: 4 },
+        { type: 'notch', frequency: 50, q: 30, harmonics: 3 },
+        { type: 'gain', mode: 'rms', targetDb: -20 }
+    ]
+};
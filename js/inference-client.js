@@ -0,0 +1,195 @@
+/**
+ * 推理Worker客户端
+ * 在主线程中与 inference-worker.js 通信，提供带请求ID、排队和取消的消息接口
+ */
+class InferenceWorkerClient {
+    /**
+     * @param {string} workerUrl - Worker脚本地址
+     */
+    constructor(workerUrl = 'js/inference-worker.js') {
+        this.worker = new Worker(workerUrl);
+        this.nextRequestId = 1;
+
+        // 等待Worker回复的请求: id -> { resolve, reject, type, group, onProgress }
+        this.pendingRequests = new Map();
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('推理Worker出错:', event.message);
+            this.rejectAll(new Error('推理Worker出错: ' + event.message));
+        };
+    }
+
+    /**
+     * 发送请求到Worker
+     * @param {string} type - 请求类型
+     * @param {Object} payload - 请求内容
+     * @param {Array<Transferable>} transfer - 需要转移所有权的对象
+     * @param {string|null} group - 请求分组，用于按来源批量取消
+     * @param {Function|null} onProgress - 进度回调
+     * @returns {{id: number, promise: Promise}} - 请求ID和结果Promise
+     */
+    request(type, payload = {}, transfer = [], group = null, onProgress = null) {
+        const id = this.nextRequestId++;
+
+        const promise = new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject, type, group, onProgress });
+        });
+
+        this.worker.postMessage({ id, type, ...payload }, transfer);
+
+        return { id, promise };
+    }
+
+    /**
+     * 处理Worker返回的消息
+     * @param {Object} message - Worker消息
+     */
+    handleMessage(message) {
+        const pending = this.pendingRequests.get(message.id);
+
+        // 已取消的请求会被本地提前移除，其迟到的结果直接忽略
+        if (!pending) return;
+
+        // 进度消息不结束请求
+        if (message.type === 'progress') {
+            if (pending.onProgress) {
+                pending.onProgress(message.done, message.total);
+            }
+            return;
+        }
+
+        this.pendingRequests.delete(message.id);
+
+        switch (message.type) {
+            case 'result':
+                pending.resolve(message.probabilities);
+                break;
+            case 'loaded':
+            case 'unloaded':
+                pending.resolve(true);
+                break;
+            case 'cancelled':
+                pending.reject(this.createCancelledError(message.id));
+                break;
+            case 'error':
+            default:
+                pending.reject(new Error(message.error || '推理Worker返回未知消息'));
+                break;
+        }
+    }
+
+    /**
+     * 在Worker中加载模型
+     * @param {Object} config - { modelPath, inputShape, featureConfig }
+     * @returns {Promise<boolean>}
+     */
+    load(config) {
+        return this.request('load', { config }).promise;
+    }
+
+    /**
+     * 释放Worker中的模型
+     * @returns {Promise<boolean>}
+     */
+    unload() {
+        return this.request('unload').promise;
+    }
+
+    /**
+     * 提交一次预测请求，请求在Worker中按提交顺序排队执行
+     * @param {Float32Array} audioData - 音频数据
+     * @param {number} sampleRate - 采样率
+     * @param {string|null} group - 请求分组（如 'monitoring'、'upload'）
+     * @returns {{id: number, promise: Promise<Float32Array>}} - 请求ID和各类别概率
+     */
+    predict(audioData, sampleRate, group = null) {
+        // 复制一份再转移，避免调用方持有的缓冲区（可能是更大音频的子数组）被分离
+        const audio = audioData.slice();
+        return this.request('predict', { audio, sampleRate }, [audio.buffer], group);
+    }
+
+    /**
+     * 提交一次批量预测请求
+     * @param {Array<Float32Array>} clips - 音频片段
+     * @param {number} sampleRate - 采样率
+     * @param {Object} options - { batchSize, progressCallback, group }
+     * @returns {{id: number, promise: Promise<Array<Float32Array>>}} - 请求ID和各片段的类别概率
+     */
+    predictBatch(clips, sampleRate, options = {}) {
+        const { batchSize = 16, progressCallback = null, group = null } = options;
+        const copies = clips.map(clip => clip.slice());
+
+        return this.request(
+            'predictBatch',
+            { clips: copies, sampleRate, batchSize },
+            copies.map(clip => clip.buffer),
+            group,
+            progressCallback
+        );
+    }
+
+    /**
+     * 取消一个请求：排队中的请求直接移出队列，进行中的请求结果将被丢弃
+     * @param {number} id - 请求ID
+     */
+    cancel(id) {
+        const pending = this.pendingRequests.get(id);
+        if (!pending) return;
+
+        this.pendingRequests.delete(id);
+        this.worker.postMessage({ id, type: 'cancel' });
+        pending.reject(this.createCancelledError(id));
+    }
+
+    /**
+     * 取消所有未完成的预测请求
+     * @param {string|null} group - 只取消该分组的请求，不传则取消全部
+     */
+    cancelAll(group = null) {
+        for (const [id, pending] of this.pendingRequests) {
+            const isPrediction = pending.type === 'predict' || pending.type === 'predictBatch';
+            if (isPrediction && (group === null || pending.group === group)) {
+                this.cancel(id);
+            }
+        }
+    }
+
+    /**
+     * 未完成的请求数量
+     * @returns {number}
+     */
+    get pendingCount() {
+        return this.pendingRequests.size;
+    }
+
+    /**
+     * 创建表示请求已取消的错误
+     * @param {number} id - 请求ID
+     * @returns {Error}
+     */
+    createCancelledError(id) {
+        const error = new Error(`推理请求 ${id} 已取消`);
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * 以同一错误拒绝所有未完成的请求
+     * @param {Error} error - 错误
+     */
+    rejectAll(error) {
+        for (const pending of this.pendingRequests.values()) {
+            pending.reject(error);
+        }
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * 终止Worker
+     */
+    terminate() {
+        this.worker.terminate();
+        this.rejectAll(new Error('推理Worker已终止'));
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * 推理Worker
+ * 在独立线程中完成 PCM -> 梅尔频谱特征 -> 模型推理 -> 各类别概率 的全部计算，
+ * 避免阻塞主线程的实时可视化和界面渲染
+ *
+ * 消息协议（主线程 -> Worker）:
+ *   { id, type: 'load', config: { modelPath, inputShape, featureConfig } }
+ *   { id, type: 'predict', audio: Float32Array, sampleRate }
+ *   { id, type: 'predictBatch', clips: Float32Array[], sampleRate, batchSize }
+ *   { id, type: 'unload' }
+ *   { id, type: 'cancel' }  取消请求 id
+ * Worker -> 主线程:
+ *   { id, type: 'loaded' | 'result' | 'unloaded' | 'cancelled' | 'error', probabilities?, error? }
+ *   { id, type: 'progress', done, total }  批量预测进度
+ */
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js',
+    'mel-spectrogram.js',
+    'model-loader.js'
+);
+
+const modelLoader = new ModelLoader();
+
+// 待处理的请求队列，按提交顺序依次执行
+const queue = [];
+let isProcessing = false;
+let currentRequestId = null;
+const cancelledRequests = new Set();
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'cancel') {
+        cancelRequest(message.id);
+        return;
+    }
+
+    queue.push(message);
+    processQueue();
+};
+
+/**
+ * 取消请求：仍在队列中的直接移除，正在执行的在完成后丢弃结果
+ * @param {number} id - 请求ID
+ */
+function cancelRequest(id) {
+    const index = queue.findIndex(message => message.id === id);
+    if (index >= 0) {
+        queue.splice(index, 1);
+        self.postMessage({ id, type: 'cancelled' });
+    } else if (id === currentRequestId) {
+        cancelledRequests.add(id);
+    }
+}
+
+/**
+ * 依次处理队列中的请求
+ */
+async function processQueue() {
+    if (isProcessing) return;
+    isProcessing = true;
+
+    while (queue.length > 0) {
+        const message = queue.shift();
+        currentRequestId = message.id;
+
+        try {
+            const reply = await handleRequest(message);
+
+            if (cancelledRequests.has(message.id)) {
+                self.postMessage({ id: message.id, type: 'cancelled' });
+            } else {
+                self.postMessage({ id: message.id, ...reply.message });
+            }
+        } catch (error) {
+            if (cancelledRequests.has(message.id)) {
+                self.postMessage({ id: message.id, type: 'cancelled' });
+            } else {
+                self.postMessage({ id: message.id, type: 'error', error: error.message });
+            }
+        } finally {
+            cancelledRequests.delete(message.id);
+            currentRequestId = null;
+        }
+    }
+
+    isProcessing = false;
+}
+
+/**
+ * 执行单个请求
+ * @param {Object} message - 请求消息
+ * @returns {Promise<{message: Object}>} - 回复内容
+ */
+async function handleRequest(message) {
+    switch (message.type) {
+        case 'load': {
+            modelLoader.unloadModel();
+
+            const { modelPath, inputShape, featureConfig } = message.config;
+            modelLoader.modelPath = modelPath;
+            modelLoader.inputShape = inputShape;
+            if (featureConfig) {
+                modelLoader.featureConfig = featureConfig;
+                modelLoader.melSpectrogram = null;
+            }
+
+            await modelLoader.loadTfModel();
+            modelLoader.isModelLoaded = true;
+
+            return { message: { type: 'loaded' } };
+        }
+
+        case 'predict': {
+            if (!modelLoader.isModelLoaded) {
+                throw new Error('Worker中模型未加载');
+            }
+
+            const probabilities = await modelLoader.inferProbabilities(message.audio, message.sampleRate);
+            return { message: { type: 'result', probabilities: Float32Array.from(probabilities) } };
+        }
+
+        case 'predictBatch': {
+            if (!modelLoader.isModelLoaded) {
+                throw new Error('Worker中模型未加载');
+            }
+
+            const probabilities = await modelLoader.inferProbabilitiesBatch(
+                message.clips,
+                message.sampleRate,
+                message.batchSize,
+                (done, total) => {
+                    // 批次之间检查取消，避免继续计算已无人等待的结果
+                    if (cancelledRequests.has(message.id)) {
+                        throw new Error('请求已取消');
+                    }
+                    self.postMessage({ id: message.id, type: 'progress', done, total });
+                }
+            );
+
+            return { message: { type: 'result', probabilities: probabilities.map(p => Float32Array.from(p)) } };
+        }
+
+        case 'unload':
+            modelLoader.unloadModel();
+            return { message: { type: 'unloaded' } };
+
+        default:
+            throw new Error('未知的请求类型: ' + message.type);
+    }
+}
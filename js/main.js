@@ -6,7 +6,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     const visualizer = new AudioVisualizer('audioVisualizer');
     const audioProcessor = new AudioProcessor(visualizer);
     const modelLoader = new ModelLoader();
-    const ossClient = new OssClient();
+    const ossClient = new OssClient({ onCredentialStatus: showCredentialStatus });
+    const detectionTracker = new DetectionTracker({ clipDuration: 3 });
+    const uploadQueue = new UploadQueue(ossClient, { onChange: renderPendingUploads });
+
+    // 在Web Worker中执行特征提取和推理，避免阻塞可视化和界面
+    if (typeof Worker !== 'undefined') {
+        try {
+            modelLoader.attachInferenceWorker(new InferenceWorkerClient('js/inference-worker.js'));
+        } catch (error) {
+            console.warn('无法创建推理Worker，将在主线程推理:', error);
+        }
+    }
 
     // DOM元素
     const startMonitoringBtn = document.getElementById('startMonitoring');
@@ -19,14 +30,72 @@ document.addEventListener('DOMContentLoaded', async () => {
     const resultPanel = document.getElementById('resultPanel');
     const audioPlayer = document.getElementById('audioPlayer');
     const audioPlayerContainer = document.getElementById('audioPlayerContainer');
+    const modelSelect = document.getElementById('modelSelect');
+    const windowDurationInput = document.getElementById('windowDurationInput');
+    const hopDurationInput = document.getElementById('hopDurationInput');
+    const minConfidenceInput = document.getElementById('minConfidenceInput');
+    const minMarginInput = document.getElementById('minMarginInput');
+    const detectionEventLog = document.getElementById('detectionEventLog');
+    const ttaToggle = document.getElementById('ttaToggle');
+    const ttaAggregationSelect = document.getElementById('ttaAggregationSelect');
+    const resampleQualitySelect = document.getElementById('resampleQualitySelect');
+    const channelSelect = document.getElementById('channelSelect');
+    const ultrasonicModeSelect = document.getElementById('ultrasonicModeSelect');
+    const timeExpansionInput = document.getElementById('timeExpansionInput');
+    const carrierFrequencyInput = document.getElementById('carrierFrequencyInput');
+    const modelValidationReport = document.getElementById('modelValidationReport');
+    const monitorWindowInput = document.getElementById('monitorWindowInput');
+    const monitorHopInput = document.getElementById('monitorHopInput');
+    const activityToggle = document.getElementById('activityToggle');
+    const activityThresholdInput = document.getElementById('activityThresholdInput');
+    const preRollInput = document.getElementById('preRollInput');
+    const postRollInput = document.getElementById('postRollInput');
+    const noiseReductionToggle = document.getElementById('noiseReductionToggle');
+    const noiseReductionInput = document.getElementById('noiseReductionInput');
+    const noiseProfileStatus = document.getElementById('noiseProfileStatus');
+    const noiseStartInput = document.getElementById('noiseStartInput');
+    const noiseEndInput = document.getElementById('noiseEndInput');
+    const learnNoiseBtn = document.getElementById('learnNoiseBtn');
+    const autoNoiseBtn = document.getElementById('autoNoiseBtn');
+    const filterPresetSelect = document.getElementById('filterPresetSelect');
+    const filterPresetNameInput = document.getElementById('filterPresetNameInput');
+    const saveFilterPresetBtn = document.getElementById('saveFilterPresetBtn');
+    const deleteFilterPresetBtn = document.getElementById('deleteFilterPresetBtn');
+    const filterChainInput = document.getElementById('filterChainInput');
+    const filterChainStatus = document.getElementById('filterChainStatus');
+    const microphoneSelect = document.getElementById('microphoneSelect');
+    const refreshMicrophonesBtn = document.getElementById('refreshMicrophonesBtn');
+    const echoCancellationToggle = document.getElementById('echoCancellationToggle');
+    const noiseSuppressionToggle = document.getElementById('noiseSuppressionToggle');
+    const autoGainControlToggle = document.getElementById('autoGainControlToggle');
+    const captureSampleRateSelect = document.getElementById('captureSampleRateSelect');
+    const captureChannelsSelect = document.getElementById('captureChannelsSelect');
+    const paddingSelect = document.getElementById('paddingSelect');
+    const croppingSelect = document.getElementById('croppingSelect');
+    const cropSeedInput = document.getElementById('cropSeedInput');
+    const pendingUploadCount = document.getElementById('pendingUploadCount');
+    const pendingUploadList = document.getElementById('pendingUploadList');
+    const retryUploadsBtn = document.getElementById('retryUploadsBtn');
+    const ossCredentialStatus = document.getElementById('ossCredentialStatus');
 
     // 状态变量
     let isMonitoring = false;
     let selectedFile = null;
     let recognitionCount = 0;
-    let monitoringInterval = null;
+    let pendingWindowCount = 0; // 尚未完成推理的监测窗口数
     let chart = null; // 当前会话图表实例
     let historyChart = null; // 历史数据图表实例
+    let previewUrls = []; // 降噪前后试听的对象URL，下次显示结果时释放
+
+    // 降噪前后试听最多截取的时长（秒），避免长录音生成过大的WAV
+    const NOISE_PREVIEW_DURATION = 30;
+
+    // 连续监测和已学习的噪声谱共用的降噪器（16kHz，与模型输入一致）
+    const noiseReducer = new NoiseReducer({ sampleRate: 16000 });
+
+    // 当前使用的滤波链及其预设名（编辑后与预设不一致时为'自定义'）
+    let filterChain = new FilterChain([]);
+    let filterPresetName = '无';
 
     // 初始化音频处理器
     await audioProcessor.initialize();
@@ -37,30 +106,91 @@ document.addEventListener('DOMContentLoaded', async () => {
     // 初始化历史数据图表（自动显示历史数据）
     initHistoryChart();
 
-    // 加载模型
+    // 恢复待上传队列（上次离线或上传失败时保存的音频）
     try {
-        realTimeStatus.textContent = '状态: 正在加载模型...';
-        const modelLoaded = await modelLoader.loadModel();
-        if (modelLoaded) {
-            realTimeStatus.textContent = '状态: 模型加载成功，准备就绪';
-        } else {
-            realTimeStatus.textContent = '状态: 模型加载失败';
-        }
+        await uploadQueue.start();
     } catch (error) {
-        console.error('模型加载错误:', error);
-        realTimeStatus.textContent = '状态: 模型加载失败 - ' + error.message;
+        console.error('初始化上传队列失败:', error);
+    }
+
+    // 旧版本保存的 blob: URL 刷新后已失效，直接清除
+    localStorage.removeItem('recentAudioFiles');
+
+    // 加载模型清单并填充模型选择器
+    const hasModels = await initModelSelector();
+
+    // 恢复拒识参数、TTA和重采样设置
+    await initMicrophoneOptions();
+    initRejectionOptions();
+    initTtaOptions();
+    initResampleOptions();
+    initActivityOptions();
+    initNoiseOptions();
+    initFilterOptions();
+    initNormalizationOptions();
+
+    // 加载模型（清单中没有模型时不加载，保持识别按钮禁用）
+    if (hasModels) {
+        try {
+            realTimeStatus.textContent = '状态: 正在加载模型...';
+            const modelLoaded = await modelLoader.loadModel();
+            if (!isModelValid()) {
+                realTimeStatus.textContent = '状态: 模型与元数据不一致，请查看校验报告';
+            } else if (modelLoaded) {
+                realTimeStatus.textContent = '状态: 模型加载成功，准备就绪';
+            } else {
+                realTimeStatus.textContent = '状态: 模型加载失败';
+            }
+        } catch (error) {
+            console.error('模型加载错误:', error);
+            realTimeStatus.textContent = '状态: 模型加载失败 - ' + error.message;
+        }
     }
+    renderValidationReport();
+    modelSelect.disabled = !hasModels;
+    startMonitoringBtn.disabled = !isModelReady();
+    detectionTracker.setClassNames(modelLoader.classNames);
 
     // 事件监听器
     startMonitoringBtn.addEventListener('click', startMonitoring);
     stopMonitoringBtn.addEventListener('click', stopMonitoring);
     audioFileInput.addEventListener('change', handleFileSelect);
     uploadAudioBtn.addEventListener('click', uploadAndAnalyzeAudio);
+    modelSelect.addEventListener('change', handleModelChange);
+    minConfidenceInput.addEventListener('change', handleRejectionOptionsChange);
+    minMarginInput.addEventListener('change', handleRejectionOptionsChange);
+    ttaToggle.addEventListener('change', saveTtaOptions);
+    ttaAggregationSelect.addEventListener('change', saveTtaOptions);
+    resampleQualitySelect.addEventListener('change', saveResampleOptions);
+    channelSelect.addEventListener('change', saveResampleOptions);
+    [activityToggle, activityThresholdInput, preRollInput, postRollInput].forEach(input => {
+        input.addEventListener('change', saveActivityOptions);
+    });
+    noiseReductionToggle.addEventListener('change', saveNoiseOptions);
+    noiseReductionInput.addEventListener('change', saveNoiseOptions);
+    learnNoiseBtn.addEventListener('click', learnNoiseProfile);
+    autoNoiseBtn.addEventListener('click', resetNoiseProfile);
+    [microphoneSelect, echoCancellationToggle, noiseSuppressionToggle, autoGainControlToggle,
+        captureSampleRateSelect, captureChannelsSelect].forEach(input => {
+        input.addEventListener('change', saveMicrophoneOptions);
+    });
+    refreshMicrophonesBtn.addEventListener('click', () => refreshMicrophones());
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', () => refreshMicrophones());
+    }
+    [paddingSelect, croppingSelect, cropSeedInput].forEach(input => {
+        input.addEventListener('change', saveNormalizationOptions);
+    });
+    filterPresetSelect.addEventListener('change', handleFilterPresetChange);
+    filterChainInput.addEventListener('change', handleFilterChainEdit);
+    saveFilterPresetBtn.addEventListener('click', saveFilterPreset);
+    deleteFilterPresetBtn.addEventListener('click', deleteFilterPreset);
 
     // 历史数据按钮事件监听器
     const resetHistoryBtn = document.getElementById('resetHistoryBtn');
 
     resetHistoryBtn.addEventListener('click', resetHistoryData);
+    retryUploadsBtn.addEventListener('click', () => uploadQueue.drain(true));
 
     // 窗口调整大小时更新可视化器
     window.addEventListener('resize', () => {
@@ -112,6 +242,716 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    /**
+     * 初始化模型选择器
+     * @returns {Promise<boolean>} - 清单中是否有可用的模型
+     */
+    async function initModelSelector() {
+        const models = await modelLoader.loadManifest();
+        if (models.length === 0) {
+            console.error('模型清单中没有模型');
+            realTimeStatus.textContent = '状态: 模型清单中没有可用的模型，无法识别';
+            return false;
+        }
+
+        modelSelect.innerHTML = '';
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.version ? `${model.name} (v${model.version})` : model.name;
+            modelSelect.appendChild(option);
+        });
+
+        // 优先使用上次选择的模型，其次是清单的默认模型；默认模型缺失或不存在时使用第一个模型
+        const savedModelId = localStorage.getItem('wildlifeSelectedModel');
+        let initialModel = models.find(model => model.id === savedModelId) ||
+            models.find(model => model.id === modelLoader.defaultModelId);
+        if (!initialModel) {
+            console.warn(`模型清单的默认模型 ${modelLoader.defaultModelId} 不存在，改用 ${models[0].id}`);
+            initialModel = models[0];
+        }
+
+        modelSelect.value = initialModel.id;
+        modelLoader.selectModel(initialModel.id);
+        return true;
+    }
+
+    /**
+     * 切换识别模型
+     */
+    async function handleModelChange() {
+        const modelId = modelSelect.value;
+
+        modelSelect.disabled = true;
+        startMonitoringBtn.disabled = true;
+        uploadAudioBtn.disabled = true;
+        realTimeStatus.textContent = '状态: 正在切换模型...';
+
+        try {
+            const modelLoaded = await modelLoader.switchModel(modelId);
+            if (!isModelValid()) {
+                realTimeStatus.textContent = `状态: 模型 ${modelId} 与元数据不一致，请查看校验报告`;
+            } else if (modelLoaded) {
+                localStorage.setItem('wildlifeSelectedModel', modelId);
+                realTimeStatus.textContent = `状态: 已切换到模型 ${modelId} (v${modelLoader.modelVersion})，准备就绪`;
+            } else {
+                realTimeStatus.textContent = '状态: 模型加载失败';
+            }
+        } catch (error) {
+            console.error('切换模型错误:', error);
+            realTimeStatus.textContent = '状态: 切换模型失败 - ' + error.message;
+        }
+        renderValidationReport();
+
+        // 类别列表可能变化，刷新图表和检测跟踪器
+        detectionTracker.setClassNames(modelLoader.classNames);
+        updateChart();
+
+        // 加载或校验失败时保持禁用，直到成功切换到可用的模型
+        modelSelect.disabled = false;
+        startMonitoringBtn.disabled = !isModelReady();
+        uploadAudioBtn.disabled = !selectedFile || !isModelReady();
+    }
+
+    /**
+     * 当前模型是否通过一致性校验（没有校验报告时不拦截）
+     * @returns {boolean}
+     */
+    function isModelValid() {
+        return !modelLoader.validationReport || modelLoader.validationReport.valid;
+    }
+
+    /**
+     * 当前模型是否已加载并通过校验，可以用于识别
+     * @returns {boolean}
+     */
+    function isModelReady() {
+        return modelLoader.isModelLoaded && isModelValid();
+    }
+
+    /**
+     * 显示模型一致性校验报告
+     */
+    function renderValidationReport() {
+        const report = modelLoader.validationReport;
+        modelValidationReport.innerHTML = '';
+        if (!report) return;
+
+        modelValidationReport.className = 'validation-report ' + (report.valid ? 'valid' : 'invalid');
+
+        const summary = document.createElement('div');
+        summary.className = 'validation-summary';
+        summary.textContent = report.valid
+            ? `模型校验通过${report.warnings > 0 ? `（${report.warnings} 个警告）` : ''}`
+            : `模型校验未通过: ${report.errors} 个错误，${report.warnings} 个警告，已禁止识别`;
+        modelValidationReport.appendChild(summary);
+
+        // 校验通过且无警告时只显示摘要
+        if (report.valid && report.warnings === 0) return;
+
+        const list = document.createElement('ul');
+        report.checks.forEach(check => {
+            const item = document.createElement('li');
+            item.className = 'validation-' + check.severity;
+            const mark = check.severity === 'ok' ? '✓' : (check.severity === 'warning' ? '!' : '✗');
+            item.textContent = `${mark} ${check.name}: ${check.message}`;
+            list.appendChild(item);
+        });
+        modelValidationReport.appendChild(list);
+    }
+
+    /**
+     * 从本地存储恢复麦克风和采集参数，并列出可用设备
+     */
+    async function initMicrophoneOptions() {
+        let savedOptions = null;
+        try {
+            savedOptions = JSON.parse(localStorage.getItem('wildlifeMicrophoneOptions') || 'null');
+        } catch (error) {
+            console.error('加载麦克风设置失败:', error);
+        }
+
+        if (savedOptions) {
+            echoCancellationToggle.checked = Boolean(savedOptions.echoCancellation);
+            noiseSuppressionToggle.checked = Boolean(savedOptions.noiseSuppression);
+            autoGainControlToggle.checked = Boolean(savedOptions.autoGainControl);
+            captureSampleRateSelect.value = savedOptions.sampleRate ? String(savedOptions.sampleRate) : '';
+            captureChannelsSelect.value = savedOptions.channelCount ? String(savedOptions.channelCount) : '';
+        }
+
+        await refreshMicrophones(savedOptions);
+    }
+
+    /**
+     * 重新列出音频输入设备，保持当前选择；已保存但未连接的设备仍保留在列表中
+     * @param {Object|null} savedOptions - 初始化时从本地存储读取的设置
+     */
+    async function refreshMicrophones(savedOptions = null) {
+        const selected = savedOptions && savedOptions.deviceId !== undefined
+            ? { deviceId: savedOptions.deviceId, label: savedOptions.label }
+            : { deviceId: microphoneSelect.value, label: microphoneSelect.selectedOptions[0] && microphoneSelect.selectedOptions[0].dataset.label };
+
+        let microphones = [];
+        try {
+            microphones = await AudioProcessor.listMicrophones();
+        } catch (error) {
+            console.error('获取麦克风列表失败:', error);
+        }
+
+        microphoneSelect.innerHTML = '<option value="">系统默认设备</option>';
+        const addOption = (deviceId, label, text) => {
+            const option = document.createElement('option');
+            option.value = deviceId;
+            option.dataset.label = label;
+            option.textContent = text;
+            microphoneSelect.appendChild(option);
+        };
+        microphones
+            .filter(microphone => microphone.deviceId !== 'default')
+            .forEach(microphone => addOption(microphone.deviceId, microphone.label, microphone.label));
+
+        if (selected.deviceId && !microphones.some(microphone => microphone.deviceId === selected.deviceId)) {
+            addOption(selected.deviceId, selected.label || '', `${selected.label || '上次使用的设备'}（未连接）`);
+        }
+        microphoneSelect.value = selected.deviceId || '';
+    }
+
+    /**
+     * 保存麦克风和采集参数
+     */
+    function saveMicrophoneOptions() {
+        const option = microphoneSelect.selectedOptions[0];
+        localStorage.setItem('wildlifeMicrophoneOptions', JSON.stringify({
+            ...getMicrophoneOptions(),
+            label: option && option.value ? option.dataset.label : ''
+        }));
+    }
+
+    /**
+     * 获取传给 AudioProcessor.requestMicrophoneAccess 的采集参数
+     * @returns {Object} - { deviceId, echoCancellation, noiseSuppression, autoGainControl, sampleRate, channelCount }
+     */
+    function getMicrophoneOptions() {
+        return {
+            deviceId: microphoneSelect.value || null,
+            echoCancellation: echoCancellationToggle.checked,
+            noiseSuppression: noiseSuppressionToggle.checked,
+            autoGainControl: autoGainControlToggle.checked,
+            sampleRate: parseInt(captureSampleRateSelect.value, 10) || null,
+            channelCount: parseInt(captureChannelsSelect.value, 10) || null
+        };
+    }
+
+    /**
+     * 生成采集参数的简短描述
+     * @param {Object} capture - AudioProcessor.captureSettings
+     * @returns {string}
+     */
+    function describeCapture(capture) {
+        const processing = [
+            capture.echoCancellation && '回声消除',
+            capture.noiseSuppression && '浏览器降噪',
+            capture.autoGainControl && '自动增益'
+        ].filter(Boolean);
+
+        return `${capture.label || '默认麦克风'}，${capture.sampleRate}Hz，${capture.channelCount} 声道，` +
+            `${processing.length > 0 ? `已开启${processing.join('、')}` : '无浏览器处理'}`;
+    }
+
+    /**
+     * 从本地存储恢复拒识参数
+     */
+    function initRejectionOptions() {
+        try {
+            const savedConfig = JSON.parse(localStorage.getItem('wildlifeRejectionConfig') || 'null');
+            if (savedConfig) {
+                modelLoader.setRejectionConfig(savedConfig);
+            }
+        } catch (error) {
+            console.error('加载拒识参数失败:', error);
+        }
+
+        minConfidenceInput.value = modelLoader.rejectionConfig.minConfidence;
+        minMarginInput.value = modelLoader.rejectionConfig.minMargin;
+    }
+
+    /**
+     * 更新拒识参数
+     */
+    function handleRejectionOptionsChange() {
+        const minConfidence = parseFloat(minConfidenceInput.value);
+        const minMargin = parseFloat(minMarginInput.value);
+
+        const config = {
+            minConfidence: isNaN(minConfidence) ? 0 : Math.min(1, Math.max(0, minConfidence)),
+            minMargin: isNaN(minMargin) ? 0 : Math.min(1, Math.max(0, minMargin))
+        };
+
+        modelLoader.setRejectionConfig(config);
+        localStorage.setItem('wildlifeRejectionConfig', JSON.stringify(config));
+
+        minConfidenceInput.value = config.minConfidence;
+        minMarginInput.value = config.minMargin;
+    }
+
+    /**
+     * 从本地存储恢复TTA设置
+     */
+    function initTtaOptions() {
+        try {
+            const savedOptions = JSON.parse(localStorage.getItem('wildlifeTtaOptions') || 'null');
+            if (savedOptions) {
+                ttaToggle.checked = Boolean(savedOptions.enabled);
+                ttaAggregationSelect.value = savedOptions.aggregation || 'mean';
+            }
+        } catch (error) {
+            console.error('加载TTA设置失败:', error);
+        }
+    }
+
+    /**
+     * 保存TTA设置
+     */
+    function saveTtaOptions() {
+        localStorage.setItem('wildlifeTtaOptions', JSON.stringify({
+            enabled: ttaToggle.checked,
+            aggregation: ttaAggregationSelect.value
+        }));
+    }
+
+    /**
+     * 获取传给 ModelLoader 的TTA选项
+     * @returns {boolean|Object} - 未启用时为false
+     */
+    function getTtaOption() {
+        return ttaToggle.checked ? { aggregation: ttaAggregationSelect.value } : false;
+    }
+
+    /**
+     * 从本地存储恢复重采样设置
+     */
+    function initResampleOptions() {
+        try {
+            const savedOptions = JSON.parse(localStorage.getItem('wildlifeResampleOptions') || 'null');
+            if (savedOptions) {
+                resampleQualitySelect.value = savedOptions.quality || 'medium';
+                channelSelect.value = String(savedOptions.channel === undefined ? 'downmix' : savedOptions.channel);
+            }
+        } catch (error) {
+            console.error('加载重采样设置失败:', error);
+        }
+    }
+
+    /**
+     * 保存重采样设置
+     */
+    function saveResampleOptions() {
+        localStorage.setItem('wildlifeResampleOptions', JSON.stringify(getResampleOptions()));
+    }
+
+    /**
+     * 获取传给 AudioProcessor.resampleAudio 的选项
+     * @returns {Object} - { quality, channel }
+     */
+    function getResampleOptions() {
+        return {
+            quality: resampleQualitySelect.value,
+            channel: channelSelect.value === 'downmix' ? 'downmix' : Number(channelSelect.value)
+        };
+    }
+
+    /**
+     * 获取传给 AudioProcessor.resolveUltrasonic 的超声处理设置
+     * @returns {Object} - { mode, factor, carrierFrequency }
+     */
+    function getUltrasonicOptions() {
+        return {
+            mode: ultrasonicModeSelect.value,
+            factor: Math.max(1, parseFloat(timeExpansionInput.value) || 10),
+            carrierFrequency: (parseFloat(carrierFrequencyInput.value) || 40) * 1000
+        };
+    }
+
+    /**
+     * 从本地存储恢复声音活动触发设置
+     */
+    function initActivityOptions() {
+        try {
+            const savedOptions = JSON.parse(localStorage.getItem('wildlifeActivityOptions') || 'null');
+            if (savedOptions) {
+                activityToggle.checked = Boolean(savedOptions.enabled);
+                activityThresholdInput.value = savedOptions.thresholdDb;
+                preRollInput.value = savedOptions.preRoll;
+                postRollInput.value = savedOptions.postRoll;
+            }
+        } catch (error) {
+            console.error('加载声音活动触发设置失败:', error);
+        }
+    }
+
+    /**
+     * 保存声音活动触发设置
+     */
+    function saveActivityOptions() {
+        localStorage.setItem('wildlifeActivityOptions', JSON.stringify({
+            enabled: activityToggle.checked,
+            thresholdDb: parseFloat(activityThresholdInput.value) || 8,
+            preRoll: Math.max(0, parseFloat(preRollInput.value) || 0),
+            postRoll: Math.max(0, parseFloat(postRollInput.value) || 0)
+        }));
+    }
+
+    /**
+     * 获取传给 AudioProcessor 的声音活动触发参数
+     * @returns {Object|null} - 未启用时为null
+     */
+    function getActivityTrigger() {
+        if (!activityToggle.checked) return null;
+
+        return {
+            thresholdDb: parseFloat(activityThresholdInput.value) || 8,
+            preRoll: Math.max(0, parseFloat(preRollInput.value) || 0),
+            postRoll: Math.max(0, parseFloat(postRollInput.value) || 0)
+        };
+    }
+
+    /**
+     * 从本地存储恢复降噪设置和已学习的噪声谱
+     */
+    function initNoiseOptions() {
+        try {
+            const savedOptions = JSON.parse(localStorage.getItem('wildlifeNoiseOptions') || 'null');
+            if (savedOptions) {
+                noiseReductionToggle.checked = Boolean(savedOptions.enabled);
+                noiseReductionInput.value = savedOptions.reductionDb;
+            }
+
+            const savedProfile = JSON.parse(localStorage.getItem('wildlifeNoiseProfile') || 'null');
+            if (savedProfile && noiseReducer.importProfile(savedProfile.profile)) {
+                noiseProfileStatus.textContent = `噪声谱：${savedProfile.label}`;
+            }
+        } catch (error) {
+            console.error('加载降噪设置失败:', error);
+        }
+        noiseReducer.reductionDb = getNoiseReductionDb();
+    }
+
+    /**
+     * 保存降噪设置
+     */
+    function saveNoiseOptions() {
+        noiseReducer.reductionDb = getNoiseReductionDb();
+        localStorage.setItem('wildlifeNoiseOptions', JSON.stringify({
+            enabled: noiseReductionToggle.checked,
+            reductionDb: noiseReducer.reductionDb
+        }));
+    }
+
+    /**
+     * 获取降噪衰减量（dB）
+     * @returns {number}
+     */
+    function getNoiseReductionDb() {
+        return Math.min(40, Math.max(3, parseFloat(noiseReductionInput.value) || 12));
+    }
+
+    /**
+     * 获取本次处理使用的降噪器
+     * 连续监测和已学习噪声谱时使用共享的降噪器；否则为上传文件新建一个，从文件本身估计噪声谱
+     * @param {boolean} forMonitoring - 是否用于连续监测
+     * @returns {NoiseReducer|null} - 未启用降噪时为null
+     */
+    function getNoiseReducer(forMonitoring) {
+        if (!noiseReductionToggle.checked) return null;
+
+        if (forMonitoring || (noiseReducer.profile && noiseReducer.profile.source === 'learned')) {
+            return noiseReducer;
+        }
+        return new NoiseReducer({ sampleRate: 16000, reductionDb: getNoiseReductionDb() });
+    }
+
+    /**
+     * 从所选文件中用户指定的纯背景片段学习噪声谱
+     * 与上传分析相同地做超声处理、重采样和滤波，片段时间为实际录音时间
+     */
+    async function learnNoiseProfile() {
+        if (!selectedFile) return;
+
+        const start = Math.max(0, parseFloat(noiseStartInput.value) || 0);
+        const end = parseFloat(noiseEndInput.value) || 0;
+        if (end <= start) {
+            uploadStatus.textContent = '状态: 背景噪声片段的结束时间必须大于开始时间';
+            return;
+        }
+
+        learnNoiseBtn.disabled = true;
+        try {
+            uploadStatus.textContent = '状态: 正在学习噪声谱...';
+
+            const fileProcessor = new AudioProcessor(null);
+            await fileProcessor.initialize();
+            const audioBuffer = await fileProcessor.loadAudioFile(selectedFile);
+            fileProcessor.releaseResources();
+
+            const ultrasonic = AudioProcessor.resolveUltrasonic(getUltrasonicOptions(), audioBuffer.sampleRate, audioBuffer.metadata || null);
+            const resampledAudio = fileProcessor.resampleAudio(audioBuffer, 16000, { ...getResampleOptions(), ultrasonic });
+            const filteredAudio = filterChain.process(resampledAudio, 16000);
+
+            const segment = filteredAudio.subarray(
+                Math.floor(start * ultrasonic.timeScale * 16000),
+                Math.floor(end * ultrasonic.timeScale * 16000)
+            );
+            noiseReducer.learnProfile(segment);
+
+            const label = `${selectedFile.name} ${start}-${end}秒`;
+            localStorage.setItem('wildlifeNoiseProfile', JSON.stringify({ label, profile: noiseReducer.exportProfile() }));
+            noiseProfileStatus.textContent = `噪声谱：${label}`;
+            uploadStatus.textContent = '状态: 噪声谱学习完成';
+        } catch (error) {
+            console.error('学习噪声谱失败:', error);
+            uploadStatus.textContent = '状态: 学习噪声谱失败 - ' + error.message;
+        } finally {
+            learnNoiseBtn.disabled = !selectedFile;
+        }
+    }
+
+    /**
+     * 清除已学习的噪声谱，改为自动估计
+     */
+    function resetNoiseProfile() {
+        noiseReducer.resetProfile();
+        localStorage.removeItem('wildlifeNoiseProfile');
+        noiseProfileStatus.textContent = '噪声谱：自动估计';
+    }
+
+    /**
+     * 生成降噪前后的试听音频
+     * @param {Float32Array} before - 降噪前的16kHz音频
+     * @param {Float32Array} after - 降噪后的16kHz音频
+     * @returns {{before: Blob, after: Blob}}
+     */
+    function createNoisePreview(before, after) {
+        const length = Math.min(before.length, NOISE_PREVIEW_DURATION * 16000);
+        return {
+            before: audioProcessor.encodeWav([before.subarray(0, length)], 16000),
+            after: audioProcessor.encodeWav([after.subarray(0, length)], 16000)
+        };
+    }
+
+    /**
+     * 读取用户保存的滤波预设
+     * @returns {Object} - 预设名到滤波步骤的映射
+     */
+    function getCustomFilterPresets() {
+        try {
+            return JSON.parse(localStorage.getItem('wildlifeFilterPresets') || '{}');
+        } catch (error) {
+            console.error('加载滤波预设失败:', error);
+            return {};
+        }
+    }
+
+    /**
+     * 查找滤波预设，用户预设优先
+     * @param {string} name - 预设名
+     * @returns {Array<Object>|null}
+     */
+    function findFilterPreset(name) {
+        return getCustomFilterPresets()[name] || FilterChain.PRESETS[name] || null;
+    }
+
+    /**
+     * 用内置预设和用户预设填充预设选择器
+     */
+    function renderFilterPresets() {
+        const customPresets = getCustomFilterPresets();
+        filterPresetSelect.innerHTML = '';
+
+        const addOption = (name, label) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            filterPresetSelect.appendChild(option);
+        };
+        Object.keys(FilterChain.PRESETS).forEach(name => addOption(name, name));
+        Object.keys(customPresets)
+            .filter(name => !(name in FilterChain.PRESETS))
+            .forEach(name => addOption(name, `${name}（自定义）`));
+        addOption('自定义', '自定义（未保存）');
+
+        filterPresetSelect.value = filterPresetName;
+        deleteFilterPresetBtn.disabled = !(filterPresetName in customPresets) || filterPresetSelect.disabled;
+    }
+
+    /**
+     * 从本地存储恢复滤波链
+     */
+    function initFilterOptions() {
+        try {
+            const savedOptions = JSON.parse(localStorage.getItem('wildlifeFilterOptions') || 'null');
+            if (savedOptions) {
+                filterChain = new FilterChain(savedOptions.stages);
+                // 保存时选中的用户预设可能已被删除
+                filterPresetName = findFilterPreset(savedOptions.preset) ? savedOptions.preset : '自定义';
+            }
+        } catch (error) {
+            console.error('加载滤波设置失败:', error);
+        }
+
+        filterChainInput.value = JSON.stringify(filterChain.stages);
+        renderFilterPresets();
+        updateFilterChainStatus();
+    }
+
+    /**
+     * 保存当前滤波链
+     */
+    function saveFilterOptions() {
+        localStorage.setItem('wildlifeFilterOptions', JSON.stringify({
+            preset: filterPresetName,
+            stages: filterChain.stages
+        }));
+    }
+
+    /**
+     * 显示当前滤波链的描述
+     * @param {string|null} error - 编辑内容无效时的错误信息
+     */
+    function updateFilterChainStatus(error = null) {
+        filterChainStatus.classList.toggle('invalid', Boolean(error));
+        filterChainStatus.textContent = error
+            ? `滤波链无效，仍使用上一次的设置：${error}`
+            : `滤波链：${FilterChain.describe(filterChain.stages)}`;
+    }
+
+    /**
+     * 切换滤波预设
+     */
+    function handleFilterPresetChange() {
+        // 选择'自定义'时保留当前滤波链
+        const stages = findFilterPreset(filterPresetSelect.value);
+        if (stages) {
+            filterChain = new FilterChain(stages);
+            filterChainInput.value = JSON.stringify(filterChain.stages);
+        }
+        filterPresetName = filterPresetSelect.value;
+        renderFilterPresets();
+        updateFilterChainStatus();
+        saveFilterOptions();
+    }
+
+    /**
+     * 手动编辑滤波链（JSON），内容无效时保留上一次的滤波链
+     */
+    function handleFilterChainEdit() {
+        try {
+            filterChain = new FilterChain(JSON.parse(filterChainInput.value || '[]'));
+        } catch (error) {
+            updateFilterChainStatus(error.message);
+            return;
+        }
+
+        // 与当前预设不一致时标记为自定义
+        const preset = findFilterPreset(filterPresetName);
+        if (!preset || JSON.stringify(FilterChain.validate(preset)) !== JSON.stringify(filterChain.stages)) {
+            filterPresetName = '自定义';
+        }
+        renderFilterPresets();
+        updateFilterChainStatus();
+        saveFilterOptions();
+    }
+
+    /**
+     * 把当前滤波链保存为命名预设
+     */
+    function saveFilterPreset() {
+        const name = filterPresetNameInput.value.trim();
+        if (!name || name === '自定义' || name in FilterChain.PRESETS) {
+            filterChainStatus.classList.add('invalid');
+            filterChainStatus.textContent = '请输入预设名称，且不能与内置预设重名';
+            return;
+        }
+
+        const customPresets = getCustomFilterPresets();
+        customPresets[name] = filterChain.stages;
+        localStorage.setItem('wildlifeFilterPresets', JSON.stringify(customPresets));
+
+        filterPresetName = name;
+        filterPresetNameInput.value = '';
+        renderFilterPresets();
+        updateFilterChainStatus();
+        saveFilterOptions();
+    }
+
+    /**
+     * 删除当前选中的用户预设，滤波链本身保持不变
+     */
+    function deleteFilterPreset() {
+        const customPresets = getCustomFilterPresets();
+        if (!(filterPresetName in customPresets)) return;
+
+        delete customPresets[filterPresetName];
+        localStorage.setItem('wildlifeFilterPresets', JSON.stringify(customPresets));
+
+        filterPresetName = '自定义';
+        renderFilterPresets();
+        saveFilterOptions();
+    }
+
+    /**
+     * 获取记录在识别结果中的滤波链
+     * @returns {Object} - { preset, stages }
+     */
+    function getFilterChainRecord() {
+        return { preset: filterPresetName, stages: filterChain.stages };
+    }
+
+    /**
+     * 从本地存储恢复片段标准化方式
+     */
+    function initNormalizationOptions() {
+        try {
+            const savedOptions = JSON.parse(localStorage.getItem('wildlifeNormalizationOptions') || 'null');
+            if (savedOptions) {
+                paddingSelect.value = savedOptions.padding || 'repeat';
+                croppingSelect.value = savedOptions.cropping || 'center';
+                cropSeedInput.value = savedOptions.seed || 0;
+            }
+        } catch (error) {
+            console.error('加载片段标准化设置失败:', error);
+        }
+        cropSeedInput.disabled = croppingSelect.value !== 'random';
+    }
+
+    /**
+     * 保存片段标准化方式
+     */
+    function saveNormalizationOptions() {
+        cropSeedInput.disabled = croppingSelect.value !== 'random';
+        localStorage.setItem('wildlifeNormalizationOptions', JSON.stringify(getNormalizationOptions()));
+    }
+
+    /**
+     * 获取传给 AudioProcessor.setNormalization 的标准化方式，也原样记录在识别结果中
+     * @returns {Object} - { padding, cropping, seed }
+     */
+    function getNormalizationOptions() {
+        return {
+            padding: paddingSelect.value,
+            cropping: croppingSelect.value,
+            seed: Math.max(0, parseInt(cropSeedInput.value, 10) || 0)
+        };
+    }
+
+    /**
+     * 获取结果的显示名称
+     * @param {Object} result - 识别结果
+     * @returns {string} - 显示名称
+     */
+    function getResultLabel(result) {
+        return result.isUnknown ? '未知/背景' : result.class;
+    }
+
     /**
      * 开始实时监测
      */
@@ -124,36 +964,64 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
+        // 模型与元数据不一致时结果会被错误标注，拒绝开始
+        if (!isModelValid()) {
+            realTimeStatus.textContent = '状态: 模型与元数据不一致，无法开始监测';
+            return;
+        }
+
         try {
             // 请求麦克风权限
             realTimeStatus.textContent = '状态: 请求麦克风权限...';
-            const microphoneAccess = await audioProcessor.requestMicrophoneAccess();
+            const microphoneAccess = await audioProcessor.requestMicrophoneAccess(getMicrophoneOptions());
 
             if (!microphoneAccess) {
                 realTimeStatus.textContent = '状态: 获取麦克风权限失败';
                 return;
             }
 
+            // 授权后才能获取设备名称；设备不支持请求的参数时以实际生效的为准
+            await refreshMicrophones();
+            saveMicrophoneOptions();
+            appendEventLog(`采集：${describeCapture(audioProcessor.captureSettings)}`);
+
             // 开始监测
             isMonitoring = true;
             recognitionCount = 0;
-            realTimeStatus.textContent = '状态: 正在监测...';
+            pendingWindowCount = 0;
+
+            const windowDuration = parseFloat(monitorWindowInput.value) || 3;
+            const hopDuration = parseFloat(monitorHopInput.value) || windowDuration / 2;
+            const activityTrigger = getActivityTrigger();
+            detectionTracker.setTiming(windowDuration, hopDuration);
+            detectionTracker.reset();
+
+            // 自动估计的噪声谱从本次监测的声音重新开始学习
+            if (noiseReducer.profile && noiseReducer.profile.source === 'auto') {
+                noiseReducer.resetProfile();
+            }
+            audioProcessor.setNoiseReducer(getNoiseReducer(true));
+            audioProcessor.setFilterChain(filterChain);
+            audioProcessor.setNormalization(getNormalizationOptions());
 
             // 更新UI
             startMonitoringBtn.disabled = true;
             stopMonitoringBtn.disabled = false;
-
-            // 每3秒录制一次音频并进行识别
-            monitoringInterval = setInterval(() => {
-                if (isMonitoring) {
-                    audioProcessor.startRecording(async (audioBlob) => {
-                        await processRecordedAudio(audioBlob);
-                    });
-                }
-            }, 4000); // 4秒间隔，考虑到处理时间
+            modelSelect.disabled = true;
+            setMonitoringOptionsDisabled(true);
+
+            // 连续采集原始PCM，每个步长输出一个重叠的分析窗口；启用声音活动触发时只输出事件片段
+            await audioProcessor.startContinuousCapture(processCapturedWindow, {
+                windowDuration,
+                hopDuration,
+                activityTrigger,
+                channel: getResampleOptions().channel
+            });
+            realTimeStatus.textContent = activityTrigger ? '状态: 正在监测，等待声音事件...' : '状态: 正在监测...';
 
         } catch (error) {
             console.error('开始监测时发生错误:', error);
+            stopMonitoring();
             realTimeStatus.textContent = '状态: 开始监测失败 - ' + error.message;
         }
     }
@@ -164,14 +1032,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     function stopMonitoring() {
         if (!isMonitoring) return;
 
-        // 清除定时器
-        if (monitoringInterval) {
-            clearInterval(monitoringInterval);
-            monitoringInterval = null;
-        }
+        // 停止采集，并取消尚未完成的监测推理
+        audioProcessor.stopContinuousCapture();
+        modelLoader.cancelPendingPredictions('monitoring');
 
-        // 停止录制
-        audioProcessor.stopRecording();
+        // 结束所有进行中的检测事件
+        handleDetectionEvents(detectionTracker.flush());
 
         // 释放资源
         audioProcessor.releaseResources();
@@ -181,46 +1047,176 @@ document.addEventListener('DOMContentLoaded', async () => {
         realTimeStatus.textContent = `状态: 监测已停止，共进行了 ${recognitionCount} 次识别`;
 
         // 更新UI
-        startMonitoringBtn.disabled = false;
+        startMonitoringBtn.disabled = !isModelReady();
         stopMonitoringBtn.disabled = true;
+        modelSelect.disabled = false;
+        setMonitoringOptionsDisabled(false);
     }
 
     /**
-     * 处理录制的音频
-     * @param {Blob} audioBlob - 录制的音频Blob
+     * 监测期间禁止修改采集参数
+     * @param {boolean} disabled - 是否禁用
      */
-    async function processRecordedAudio(audioBlob) {
-        try {
-            // 更新状态
-            realTimeStatus.textContent = '状态: 处理音频...';
+    function setMonitoringOptionsDisabled(disabled) {
+        [monitorWindowInput, monitorHopInput, activityToggle, activityThresholdInput, preRollInput, postRollInput,
+            noiseReductionToggle, noiseReductionInput, learnNoiseBtn, autoNoiseBtn,
+            filterPresetSelect, filterPresetNameInput, saveFilterPresetBtn, filterChainInput,
+            microphoneSelect, refreshMicrophonesBtn, echoCancellationToggle, noiseSuppressionToggle, autoGainControlToggle,
+            captureSampleRateSelect, captureChannelsSelect, channelSelect, paddingSelect, croppingSelect]
+            .forEach(input => {
+                input.disabled = disabled;
+            });
+        cropSeedInput.disabled = disabled || croppingSelect.value !== 'random';
+        deleteFilterPresetBtn.disabled = disabled || !(filterPresetName in getCustomFilterPresets());
+
+        // 学习噪声谱还需要先选择文件
+        learnNoiseBtn.disabled = disabled || !selectedFile;
+    }
 
-            // 加载音频
-            const audioBuffer = await audioProcessor.loadAudioFile(audioBlob);
+    /**
+     * 处理连续采集输出的分析窗口或声音事件片段
+     * @param {Float32Array} samples - 窗口内的原始PCM
+     * @param {number} sampleRate - 采集采样率
+     * @param {Object} info - { start, end, startTime, endTime, eventStartTime?, eventEndTime? }，见 AudioProcessor.startContinuousCapture
+     */
+    async function processCapturedWindow(samples, sampleRate, info) {
+        // 推理跟不上采集速度时丢弃窗口，避免请求无限堆积
+        if (pendingWindowCount >= 2) {
+            console.warn(`推理积压，跳过 ${info.start.toFixed(1)}-${info.end.toFixed(1)} 秒的窗口`);
+            return;
+        }
 
-            // 重采样到16kHz
-            const resampledAudio = audioProcessor.resampleAudio(audioBuffer, 16000);
+        pendingWindowCount++;
+        try {
+            // 封装为AudioBuffer，用于重采样、回放和波形显示
+            const audioBuffer = audioProcessor.audioContext.createBuffer(1, samples.length, sampleRate);
+            audioBuffer.copyToChannel(samples, 0);
+
+            // 重采样到16kHz（声道选择已在采集时完成）
+            const resampledAudio = audioProcessor.resampleAudio(audioBuffer, 16000, { quality: getResampleOptions().quality });
+
+            // 预处理滤波链
+            const filteredAudio = audioProcessor.filterAudio(resampledAudio, 16000);
+
+            // 降噪（未启用时原样返回），噪声谱随监测的声音持续更新
+            const denoisedAudio = audioProcessor.reduceNoise(filteredAudio, 16000, { adapt: true });
+
+            // 标准化为模型的片段时长
+            const normalizedAudio = audioProcessor.normalizeAudioLength(denoisedAudio, 16000, modelLoader.clipDuration);
+
+            // 预测物种（单个片段不直接计入统计，由平滑后的检测事件驱动）
+            const result = await modelLoader.predict(normalizedAudio, 16000, {
+                updateHistory: false,
+                requestGroup: 'monitoring',
+                tta: getTtaOption()
+            });
+
+            // 片段时间以窗口结束时刻为准，而不是推理完成的时刻
+            result.timestamp = info.endTime;
+            result.filterChain = getFilterChainRecord();
+            result.normalization = audioProcessor.normalization;
+            result.capture = audioProcessor.captureSettings;
+            if (audioProcessor.noiseReducer) {
+                result.noiseReduction = {
+                    reductionDb: noiseReducer.reductionDb,
+                    profileSource: noiseReducer.profile ? noiseReducer.profile.source : 'auto'
+                };
+            }
 
-            // 标准化长度
-            const normalizedAudio = audioProcessor.normalizeAudioLength(resampledAudio, 16000);
+            // 停止监测后完成的推理不再显示
+            if (!isMonitoring) return;
 
-            // 预测物种
-            const result = await modelLoader.predict(normalizedAudio, 16000);
+            // 片段WAV带上识别结果和采集时间，保存后可自描述
+            const audioBlob = audioProcessor.audioBufferToWav(audioBuffer, {
+                metadata: AudioMetadata.fromResult(result, { recordedAt: info.startTime })
+            });
 
             // 更新识别次数
             recognitionCount++;
 
             // 显示结果
-            displayResult(result, audioBlob);
+            displayResult(result, audioBlob, audioProcessor.noiseReducer ? createNoisePreview(filteredAudio, denoisedAudio) : null);
 
-            // 更新图表
-            updateChart();
+            // 声音事件片段已由活动检测完成时间分段，直接作为一次检测；固定窗口需要时间平滑
+            const events = info.eventStartTime
+                ? createActivityEvents(result, info)
+                : detectionTracker.update(result);
+            handleDetectionEvents(events);
 
             // 更新状态
-            realTimeStatus.textContent = `状态: 检测到 ${result.class}，正在继续监测...`;
+            const ongoing = events.filter(event => event.type !== 'end');
+            realTimeStatus.textContent = ongoing.length > 0
+                ? `状态: 正在检测到 ${ongoing.map(event => `${event.class}（${event.duration.toFixed(0)}秒）`).join('、')}，继续监测...`
+                : '状态: 未检测到持续的动物声音，正在继续监测...';
 
         } catch (error) {
+            // 停止监测时取消的推理请求无需提示
+            if (error.cancelled) return;
+
             console.error('处理音频时发生错误:', error);
             realTimeStatus.textContent = '状态: 音频处理失败 - ' + error.message;
+        } finally {
+            pendingWindowCount--;
+        }
+    }
+
+    /**
+     * 将声音事件片段的识别结果转换为检测事件，被拒识的片段不产生事件
+     * @param {Object} result - 识别结果
+     * @param {Object} info - 片段信息，含 eventStartTime/eventEndTime
+     * @returns {Array<Object>} - 开始和结束事件
+     */
+    function createActivityEvents(result, info) {
+        if (result.isUnknown) return [];
+
+        const event = {
+            class: result.class,
+            startTime: info.eventStartTime,
+            endTime: info.eventEndTime,
+            duration: (info.eventEndTime.getTime() - info.eventStartTime.getTime()) / 1000,
+            confidence: result.probability,
+            peakConfidence: result.probability
+        };
+
+        return [{ ...event, type: 'start' }, { ...event, type: 'end' }];
+    }
+
+    /**
+     * 处理检测事件：开始事件计入统计，开始和结束事件写入事件日志
+     * @param {Array<Object>} events - DetectionTracker 产生的事件
+     */
+    function handleDetectionEvents(events) {
+        let countsChanged = false;
+
+        events.forEach(event => {
+            if (event.type === 'start') {
+                // 检测记录附带采集设备和参数，不同设置下的电平和结果才能对照
+                modelLoader.recordDetectionEvent({ ...event, capture: audioProcessor.captureSettings });
+                countsChanged = true;
+                appendEventLog(`${event.startTime.toLocaleTimeString()} 开始检测到 ${event.class}` +
+                    `（${(event.confidence * 100).toFixed(1)}%）`);
+            } else if (event.type === 'end') {
+                appendEventLog(`${event.endTime.toLocaleTimeString()} ${event.class} 结束，` +
+                    `持续 ${event.duration.toFixed(1)} 秒，峰值 ${(event.peakConfidence * 100).toFixed(1)}%`);
+            }
+        });
+
+        if (countsChanged) {
+            updateChart();
+        }
+    }
+
+    /**
+     * 在事件日志顶部追加一条记录，最多保留20条
+     * @param {string} text - 记录内容
+     */
+    function appendEventLog(text) {
+        const item = document.createElement('li');
+        item.textContent = text;
+        detectionEventLog.insertBefore(item, detectionEventLog.firstChild);
+
+        while (detectionEventLog.children.length > 20) {
+            detectionEventLog.removeChild(detectionEventLog.lastChild);
         }
     }
 
@@ -234,6 +1230,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             fileInfo.textContent = '未选择文件';
             selectedFile = null;
             uploadAudioBtn.disabled = true;
+            learnNoiseBtn.disabled = true;
             return;
         }
 
@@ -241,17 +1238,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         selectedFile = files[0];
 
         // 检查文件类型
-        if (!selectedFile.type.startsWith('audio/')) {
+        // 部分系统不为 .flac 等文件提供类型，按扩展名判断
+        const mimeType = selectedFile.type || AudioProcessor.getMimeType(selectedFile.name);
+        if (!mimeType.startsWith('audio/')) {
             fileInfo.textContent = '请选择音频文件';
             selectedFile = null;
             uploadAudioBtn.disabled = true;
+            learnNoiseBtn.disabled = true;
             return;
         }
 
         // 显示文件信息
         const fileSize = (selectedFile.size / 1024).toFixed(2);
         fileInfo.textContent = `已选择：${selectedFile.name} (${fileSize} KB)`;
-        uploadAudioBtn.disabled = false;
+        uploadAudioBtn.disabled = !isModelReady();
+        learnNoiseBtn.disabled = isMonitoring;
+
+        // 超声处理按录音单独设置，换文件时恢复为按采样率和元数据自动判断
+        ultrasonicModeSelect.value = 'auto';
     }
 
     /**
@@ -263,6 +1267,16 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
+        if (!modelLoader.isModelLoaded) {
+            uploadStatus.textContent = '状态: 模型未加载，无法识别';
+            return;
+        }
+
+        if (!isModelValid()) {
+            uploadStatus.textContent = '状态: 模型与元数据不一致，无法识别';
+            return;
+        }
+
         try {
             // 更新状态
             uploadStatus.textContent = '状态: 处理音频...';
@@ -273,126 +1287,314 @@ document.addEventListener('DOMContentLoaded', async () => {
             await audioProcessor.initialize();
 
             const audioBuffer = await audioProcessor.loadAudioFile(selectedFile);
+            if (audioBuffer.format) {
+                console.log(`音频格式: ${audioBuffer.format.container} ${audioBuffer.format.bitDepth}位` +
+                    `${audioBuffer.format.float ? '浮点' : ''}，${audioBuffer.sampleRate}Hz，${audioBuffer.numberOfChannels} 声道`);
+            }
+
+            // 录音设备写入的录制时间和位置（GUANO / bext / LIST-INFO），没有时按分析时间记录
+            const metadata = audioBuffer.metadata || null;
+            const recordedAt = metadata ? metadata.recordedAt : null;
+            if (metadata) {
+                console.log('录音元数据:', metadata);
+            }
+
+            // 高采样率录音先做时间扩展或外差，把超声波段搬移到模型的频率范围内
+            const ultrasonic = AudioProcessor.resolveUltrasonic(getUltrasonicOptions(), audioBuffer.sampleRate, metadata);
+            if (ultrasonic.mode !== 'off') {
+                console.log('超声处理:', ultrasonic);
+            }
 
-            // 重采样到16kHz
-            const resampledAudio = audioProcessor.resampleAudio(audioBuffer, 16000);
+            // 转为单声道并重采样到16kHz
+            const resampledAudio = audioProcessor.resampleAudio(audioBuffer, 16000, { ...getResampleOptions(), ultrasonic });
 
-            // 标准化长度
-            const normalizedAudio = audioProcessor.normalizeAudioLength(resampledAudio, 16000);
+            // 整段滤波、降噪后再切分窗口；没有学习噪声谱时从文件本身估计
+            audioProcessor.setFilterChain(filterChain);
+            audioProcessor.setNormalization(getNormalizationOptions());
+            const filteredAudio = audioProcessor.filterAudio(resampledAudio, 16000);
 
-            // 预测物种
-            const result = await modelLoader.predict(normalizedAudio, 16000);
+            audioProcessor.setNoiseReducer(getNoiseReducer(false));
+            if (audioProcessor.noiseReducer) {
+                uploadStatus.textContent = '状态: 降噪中...';
+            }
+            const denoisedAudio = audioProcessor.reduceNoise(filteredAudio, 16000);
+
+            // 按滑动窗口切分整段音频，每个窗口标准化为模型的片段时长；时间扩展后的窗口时间换算回实际录音时间
+            const windowDuration = parseFloat(windowDurationInput.value) || 3;
+            const hopDuration = parseFloat(hopDurationInput.value) || windowDuration / 2;
+            const windows = audioProcessor.createAnalysisWindows(denoisedAudio, 16000, windowDuration, hopDuration, modelLoader.clipDuration)
+                .map(window => ({ ...window, start: window.start / ultrasonic.timeScale, end: window.end / ultrasonic.timeScale }));
+
+            // 逐窗口预测并合并为检测片段
+            const analysis = await modelLoader.analyzeWindows(windows, 16000, {
+                tta: getTtaOption(),
+                recordedAt,
+                progressCallback: (done, total) => {
+                    uploadStatus.textContent = `状态: 分析中 ${done}/${total} 个窗口`;
+                }
+            });
+
+            const result = {
+                ...analysis.bestResult,
+                windows: analysis.windows,
+                detections: analysis.segments,
+                duration: resampledAudio.length / 16000 / ultrasonic.timeScale,
+                ultrasonic,
+                resample: getResampleOptions(),
+                filterChain: getFilterChainRecord(),
+                normalization: audioProcessor.normalization
+            };
+
+            if (audioProcessor.noiseReducer) {
+                result.noiseReduction = {
+                    reductionDb: audioProcessor.noiseReducer.reductionDb,
+                    profileSource: audioProcessor.noiseReducer.profile ? audioProcessor.noiseReducer.profile.source : 'auto'
+                };
+            }
+            if (recordedAt) {
+                result.timestamp = recordedAt;
+            }
+            if (metadata) {
+                result.recording = {
+                    recordedAt,
+                    timeSource: metadata.timeSource,
+                    location: metadata.location,
+                    recorder: metadata.recorder,
+                    temperature: metadata.temperature,
+                    timeExpansion: metadata.timeExpansion
+                };
+            }
 
             // 显示结果
-            displayResult(result, selectedFile);
+            displayResult(result, selectedFile, audioProcessor.noiseReducer ? createNoisePreview(filteredAudio, denoisedAudio) : null);
 
             // 更新图表
             updateChart();
 
-            // 上传到OSS（如果配置了）
-            if (ossClient.isInitialized) {
+            // 上传到OSS（如果配置了）；离线或上传失败时保存到待上传队列，联网后自动重试
+            const uploadOptions = {
+                metadata: AudioMetadata.fromResult(result, { fileName: selectedFile.name }),
+                sidecar: AudioMetadata.buildSidecar(result, { fileName: selectedFile.name, classNames: modelLoader.classNames })
+            };
+            // 凭证尚未获取或之前获取失败时由 uploadAudio 重新获取
+            if (ossClient.isConfigured() && navigator.onLine) {
                 uploadStatus.textContent = '状态: 正在上传到OSS...';
 
                 try {
                     // 尝试使用修改后的上传方法
                     const uploadResult = await ossClient.uploadAudio(selectedFile, selectedFile.name, (progress) => {
                         uploadStatus.textContent = `状态: 上传中 ${progress.toFixed(1)}%`;
-                    });
+                    }, uploadOptions);
 
                     uploadStatus.textContent = '状态: 上传成功';
                     console.log('上传结果:', uploadResult);
                 } catch (ossError) {
-                    console.error('标准上传到OSS失败，尝试使用本地存储:', ossError);
-                    uploadStatus.textContent = '状态: OSS上传失败，使用本地存储';
-
-                    // 使用本地存储作为备选方案
-                    try {
-                        // 保存音频URL到本地存储
-                        const audioUrl = URL.createObjectURL(selectedFile);
-                        const timestamp = new Date().getTime();
-                        const uniqueFileName = `audio_${timestamp}_${selectedFile.name}`;
-
-                        // 存储最近的5个音频文件URL
-                        let recentAudioFiles = JSON.parse(localStorage.getItem('recentAudioFiles') || '[]');
-                        recentAudioFiles.push({
-                            name: uniqueFileName,
-                            url: audioUrl,
-                            timestamp: timestamp,
-                            class: result.class,
-                            probability: result.probability
-                        });
-
-                        // 保留最近的5个
-                        if (recentAudioFiles.length > 5) {
-                            // 释放旧的URL
-                            URL.revokeObjectURL(recentAudioFiles[0].url);
-                            recentAudioFiles.shift();
-                        }
-
-                        localStorage.setItem('recentAudioFiles', JSON.stringify(recentAudioFiles));
-                        uploadStatus.textContent = '状态: 已保存到本地缓存，分析完成';
-                    } catch (localError) {
-                        console.error('本地存储失败:', localError);
-                        uploadStatus.textContent = '状态: 本地保存失败，但分析已完成';
-                    }
+                    console.error('上传到OSS失败，加入待上传队列:', ossError);
+                    await queueUpload(selectedFile, selectedFile.name, uploadOptions, ossError.message);
                 }
+            } else if (ossClient.isConfigured()) {
+                await queueUpload(selectedFile, selectedFile.name, uploadOptions, '当前离线');
             } else {
-                uploadStatus.textContent = '状态: 分析完成，未配置OSS，使用本地存储';
-
-                // 使用本地存储
-                try {
-                    // 保存音频URL到本地存储
-                    const audioUrl = URL.createObjectURL(selectedFile);
-                    const timestamp = new Date().getTime();
-                    const uniqueFileName = `audio_${timestamp}_${selectedFile.name}`;
-
-                    // 存储最近的5个音频文件URL
-                    let recentAudioFiles = JSON.parse(localStorage.getItem('recentAudioFiles') || '[]');
-                    recentAudioFiles.push({
-                        name: uniqueFileName,
-                        url: audioUrl,
-                        timestamp: timestamp,
-                        class: result.class,
-                        probability: result.probability
-                    });
-
-                    // 保留最近的5个
-                    if (recentAudioFiles.length > 5) {
-                        // 释放旧的URL
-                        URL.revokeObjectURL(recentAudioFiles[0].url);
-                        recentAudioFiles.shift();
-                    }
-
-                    localStorage.setItem('recentAudioFiles', JSON.stringify(recentAudioFiles));
-                    uploadStatus.textContent = '状态: 已保存到本地缓存，分析完成';
-                } catch (localError) {
-                    console.error('本地存储失败:', localError);
-                    uploadStatus.textContent = '状态: 本地保存失败，但分析已完成';
-                }
+                // blob: URL 在页面刷新后即失效，未配置OSS时不再保存音频，只保留分析结果
+                uploadStatus.textContent = '状态: 分析完成，未配置OSS，音频未保存';
             }
 
             // 重置UI
-            uploadAudioBtn.disabled = false;
+            uploadAudioBtn.disabled = !isModelReady();
         } catch (error) {
             console.error('处理上传音频时发生错误:', error);
             uploadStatus.textContent = '状态: 音频处理失败 - ' + error.message;
-            uploadAudioBtn.disabled = false;
+            uploadAudioBtn.disabled = !isModelReady();
+        }
+    }
+
+    /**
+     * 把音频保存到待上传队列
+     * @param {Blob} audioBlob - 音频
+     * @param {string} fileName - 文件名
+     * @param {Object} uploadOptions - 传给 OssClient.uploadAudio 的选项
+     * @param {string} reason - 未能直接上传的原因
+     */
+    async function queueUpload(audioBlob, fileName, uploadOptions, reason) {
+        try {
+            await uploadQueue.enqueue(audioBlob, fileName, uploadOptions, reason);
+            uploadStatus.textContent = `状态: ${reason}，已保存到待上传队列，稍后自动上传`;
+        } catch (queueError) {
+            console.error('保存到上传队列失败:', queueError);
+            uploadStatus.textContent = '状态: 保存到上传队列失败，但分析已完成';
         }
     }
 
+    /**
+     * 显示OSS临时凭证的获取状态
+     * @param {Object|null} status - null 表示凭证可用，否则为 { message, failures, retrying }
+     */
+    function showCredentialStatus(status) {
+        if (!status) {
+            ossCredentialStatus.textContent = '';
+            ossCredentialStatus.hidden = true;
+            return;
+        }
+
+        ossCredentialStatus.textContent = status.retrying
+            ? `无法获取OSS临时凭证（${status.message}），稍后自动重试`
+            : `无法获取OSS临时凭证（${status.message}），已停止自动重试；上传的音频会保存在待上传队列，凭证服务恢复后点击"立即重试"`;
+        ossCredentialStatus.hidden = false;
+    }
+
+    /**
+     * 显示待上传队列
+     * @param {Array<Object>} items - UploadQueue.list() 的结果
+     */
+    function renderPendingUploads(items) {
+        pendingUploadCount.textContent = items.length;
+        retryUploadsBtn.disabled = items.length === 0;
+        pendingUploadList.innerHTML = '';
+
+        items.forEach(item => {
+            const metadata = item.uploadOptions.metadata || {};
+            const li = document.createElement('li');
+            li.textContent = `${item.fileName}（${metadata.species || '未知/背景'}，${(item.blob.size / 1024).toFixed(0)} KB）` +
+                (item.attempts > 0
+                    ? ` 已重试 ${item.attempts} 次，下次 ${new Date(item.nextAttemptAt).toLocaleTimeString()}`
+                    : ' 等待上传') +
+                (item.lastError ? ` - ${item.lastError}` : '');
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'danger-btn';
+            removeBtn.textContent = '删除';
+            removeBtn.addEventListener('click', () => {
+                if (confirm(`确定不再上传 ${item.fileName} 吗？音频将从本地删除。`)) {
+                    uploadQueue.remove(item.id).catch(error => console.error('删除待上传音频失败:', error));
+                }
+            });
+            li.appendChild(removeBtn);
+            pendingUploadList.appendChild(li);
+        });
+    }
+
     /**
      * 显示识别结果
      * @param {Object} result - 识别结果
      * @param {Blob} audioBlob - 音频Blob
+     * @param {Object|null} preview - 降噪前后的试听音频 { before, after }，见 createNoisePreview
      */
-    async function displayResult(result, audioBlob) {
+    async function displayResult(result, audioBlob, preview = null) {
+        // 释放上一次的试听音频
+        previewUrls.forEach(url => URL.revokeObjectURL(url));
+        previewUrls = [];
+
         // 创建结果HTML
         let resultHTML = `
             <div class="result-item">
                 <h3>识别结果</h3>
                 <div class="result-content">
-                    <p class="result-class">物种：<strong>${result.class}</strong></p>
+                    <p class="result-class">物种：<strong>${getResultLabel(result)}</strong></p>
                     <p class="result-probability">置信度：${(result.probability * 100).toFixed(2)}%</p>
+        `;
+
+        // 测试时增强的聚合信息
+        if (result.tta) {
+            resultHTML += `
+                    <p class="result-model">TTA：${result.tta.variantCount} 个变体（${result.tta.aggregation === 'geometric' ? '几何平均' : '算术平均'}），` +
+                `不确定度 ${result.tta.uncertainty.toFixed(4)}</p>
+            `;
+        }
+
+        // 被拒识时显示最可能的候选类别和原因
+        if (result.isUnknown) {
+            resultHTML += `
+                    <p class="result-rejection">最可能：${result.candidateClass}（${result.rejectionReason}）</p>
+            `;
+        }
+
+        resultHTML += `
+                    <p class="result-model">模型：${result.modelId || '默认模型'} (v${result.modelVersion || '未知'})</p>
+        `;
+
+        // 超声处理方式
+        if (result.ultrasonic && result.ultrasonic.mode !== 'off') {
+            const descriptions = {
+                'time-expansion': `时间扩展 ×${result.ultrasonic.factor}`,
+                'expanded': `文件已时间扩展 ×${result.ultrasonic.factor}（来自元数据）`,
+                'heterodyne': `外差，载波 ${(result.ultrasonic.carrierFrequency / 1000).toFixed(1)} kHz`
+            };
+            const band = result.ultrasonic.band
+                ? `，分析 ${(result.ultrasonic.band[0] / 1000).toFixed(1)}-${(result.ultrasonic.band[1] / 1000).toFixed(1)} kHz`
+                : '';
+            resultHTML += `
+                    <p class="result-model">超声处理：${descriptions[result.ultrasonic.mode]}${band}</p>
+            `;
+        }
+
+        // 片段长度标准化方式（结果可复现的前提）
+        if (result.normalization) {
+            const paddingNames = { silence: '静音填充', repeat: '循环填充', reflect: '镜像填充' };
+            const croppingNames = { center: '居中截取', 'max-energy': '能量最大处截取', random: `随机截取（种子 ${result.normalization.seed}）` };
+            resultHTML += `
+                    <p class="result-model">片段标准化：${paddingNames[result.normalization.padding]}，${croppingNames[result.normalization.cropping]}</p>
+            `;
+        }
+
+        // 实时监测的采集设备和参数
+        if (result.capture) {
+            resultHTML += `
+                    <p class="result-model">采集：${describeCapture(result.capture)}</p>
+            `;
+        }
+
+        // 预处理滤波链
+        if (result.filterChain && result.filterChain.stages.length > 0) {
+            resultHTML += `
+                    <p class="result-model">滤波：${result.filterChain.preset}（${FilterChain.describe(result.filterChain.stages)}）</p>
+            `;
+        }
+
+        // 降噪参数和前后对比试听
+        if (result.noiseReduction) {
+            resultHTML += `
+                    <p class="result-model">降噪：衰减 ${result.noiseReduction.reductionDb} dB，` +
+                `噪声谱${result.noiseReduction.profileSource === 'learned' ? '来自背景片段' : '自动估计'}</p>
+            `;
+        }
+        if (preview) {
+            previewUrls = [URL.createObjectURL(preview.before), URL.createObjectURL(preview.after)];
+            resultHTML += `
+                    <div class="result-denoise">
+                        <span class="result-model">降噪前：</span>
+                        <audio controls src="${previewUrls[0]}"></audio>
+                        <span class="result-model">降噪后：</span>
+                        <audio controls src="${previewUrls[1]}"></audio>
+                    </div>
+            `;
+        }
+
+        // 上传文件中记录的录制时间、位置和设备
+        if (result.recording) {
+            const recording = result.recording;
+            const recorder = [recording.recorder.make, recording.recorder.model, recording.recorder.serial].filter(Boolean).join(' ');
+
+            if (recording.recordedAt) {
+                resultHTML += `
+                    <p class="result-recording">录制时间：${recording.recordedAt.toLocaleString()}</p>
+                `;
+            }
+            if (recording.location) {
+                const { latitude, longitude, elevation } = recording.location;
+                resultHTML += `
+                    <p class="result-recording">位置：${latitude.toFixed(5)}, ${longitude.toFixed(5)}` +
+                    `${elevation !== null ? `，海拔 ${elevation} 米` : ''}</p>
+                `;
+            }
+            if (recorder) {
+                resultHTML += `
+                    <p class="result-recording">设备：${recorder}` +
+                    `${recording.temperature !== null ? `，温度 ${recording.temperature}°C` : ''}</p>
+                `;
+            }
+        }
+
+        resultHTML += `
                     <div class="result-probabilities">
                         <h4>所有类别概率：</h4>
                         <ul>
@@ -412,6 +1614,33 @@ document.addEventListener('DOMContentLoaded', async () => {
         resultHTML += `
                         </ul>
                     </div>
+        `;
+
+        // 长音频滑动窗口分析的检测片段
+        if (result.detections) {
+            resultHTML += `
+                    <div class="result-detections">
+                        <h4>检测片段（共分析 ${result.windows.length} 个窗口）：</h4>
+                        <ul>
+            `;
+
+            if (result.detections.length === 0) {
+                resultHTML += '<li>未检测到置信度足够的片段</li>';
+            }
+
+            result.detections.forEach(segment => {
+                resultHTML += `<li>${formatTime(segment.start)} - ${formatTime(segment.end)} ${segment.class}` +
+                    `（峰值 ${(segment.peakConfidence * 100).toFixed(2)}%）` +
+                    `${segment.startTime ? ` ${segment.startTime.toLocaleTimeString()}` : ''}</li>`;
+            });
+
+            resultHTML += `
+                        </ul>
+                    </div>
+            `;
+        }
+
+        resultHTML += `
                 </div>
             </div>
         `;
@@ -448,11 +1677,27 @@ document.addEventListener('DOMContentLoaded', async () => {
                 await audioProcessor.initialize();
                 const audioBuffer = await audioProcessor.loadAudioFile(audioBlob);
 
+                // 连续监测时每个窗口都会显示结果，解码后及时关闭临时音频上下文
+                audioProcessor.releaseResources();
+
                 // 使用setTimeout让UI有时间更新
                 setTimeout(() => {
                     try {
                         // 生成波形图
                         generateWaveform(audioBuffer);
+
+                        // 在波形上叠加检测时间轴（检测片段为实际录音时间，文件已时间扩展时与文件时长不同）
+                        if (result.detections) {
+                            drawDetectionTimeline(result.detections, result.duration || audioBuffer.duration);
+                        }
+
+                        // 全频带频谱图，文件已时间扩展时按扩展倍数显示实际频率
+                        const spectrogramCanvas = document.getElementById('spectrogramCanvas');
+                        spectrogramCanvas.width = spectrogramCanvas.parentElement.clientWidth;
+                        spectrogramCanvas.height = spectrogramCanvas.parentElement.clientHeight;
+                        AudioVisualizer.drawSpectrogram(spectrogramCanvas, AudioProcessor.mixToMono(audioBuffer), audioBuffer.sampleRate, {
+                            frequencyScale: result.ultrasonic && result.ultrasonic.mode === 'expanded' ? result.ultrasonic.factor : 1
+                        });
                     } catch (err) {
                         console.error('波形图生成失败:', err);
                     }
@@ -581,7 +1826,50 @@ document.addEventListener('DOMContentLoaded', async () => {
         ctx.stroke();
     }
 
+    /**
+     * 在波形图上叠加检测片段时间轴
+     * @param {Array<Object>} segments - 检测片段
+     * @param {number} duration - 音频总时长（秒）
+     */
+    function drawDetectionTimeline(segments, duration) {
+        const canvas = document.getElementById('waveformCanvas');
+        const ctx = canvas.getContext('2d');
+        const palette = ['#2c7a56', '#ff9800', '#2196f3', '#e91e63', '#9c27b0', '#795548', '#607d8b'];
+
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        segments.forEach(segment => {
+            const x = (segment.start / duration) * canvas.width;
+            const width = Math.max(2, ((segment.end - segment.start) / duration) * canvas.width);
+            const color = palette[Math.max(0, modelLoader.classNames.indexOf(segment.class)) % palette.length];
+
+            // 片段区域
+            ctx.globalAlpha = 0.2;
+            ctx.fillStyle = color;
+            ctx.fillRect(x, 0, width, canvas.height);
+
+            // 片段顶部色条与标签
+            ctx.globalAlpha = 1;
+            ctx.fillRect(x, 0, width, 4);
+            ctx.fillStyle = '#333';
+            ctx.fillText(`${segment.class} ${(segment.peakConfidence * 100).toFixed(0)}%`, x + 2, 6);
+        });
+
+        ctx.globalAlpha = 1;
+    }
 
+    /**
+     * 格式化时间为 mm:ss.s
+     * @param {number} seconds - 秒数
+     * @returns {string} - 格式化后的时间
+     */
+    function formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+        return `${String(minutes).padStart(2, '0')}:${rest}`;
+    }
 
     /**
      * 初始化历史数据图表
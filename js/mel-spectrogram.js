@@ -0,0 +1,342 @@
+/**
+ * 梅尔频谱图模块
+ * 纯JavaScript实现的FFT/STFT、Slaney梅尔滤波器组与功率转分贝，
+ * 参数与默认行为与 librosa.feature.melspectrogram / librosa.power_to_db 保持一致，
+ * 不依赖任何Web Audio对象，可在主线程、Worker和Node中使用
+ */
+class MelSpectrogram {
+    /**
+     * @param {Object} options - 参数
+     * @param {number} options.sampleRate - 采样率，默认16000
+     * @param {number} options.nFft - FFT点数（必须为2的幂），默认2048
+     * @param {number} options.hopLength - 帧移，默认512
+     * @param {number} options.nMels - 梅尔滤波器个数，默认128
+     * @param {number} options.fMin - 最低频率，默认0
+     * @param {number} options.fMax - 最高频率，默认 sampleRate / 2
+     * @param {boolean} options.center - 是否在两端填充 nFft / 2 使帧居中，默认true
+     * @param {string} options.padMode - 居中填充方式 'constant' 或 'reflect'，默认'constant'
+     * @param {number|null} options.topDb - 分贝动态范围上限，默认80，null表示不截断
+     */
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 16000;
+        this.nFft = options.nFft || 2048;
+        this.hopLength = options.hopLength || 512;
+        this.nMels = options.nMels || 128;
+        this.fMin = options.fMin || 0;
+        this.fMax = options.fMax || this.sampleRate / 2;
+        this.center = options.center !== false;
+        this.padMode = options.padMode || 'constant';
+        this.topDb = options.topDb === undefined ? 80 : options.topDb;
+        this.amin = 1e-10;
+
+        if ((this.nFft & (this.nFft - 1)) !== 0) {
+            throw new Error('nFft必须为2的幂: ' + this.nFft);
+        }
+
+        this.nBins = this.nFft / 2 + 1;
+
+        // 预计算窗函数、FFT查找表和梅尔滤波器组
+        this.window = MelSpectrogram.hannWindow(this.nFft);
+        this.initFft();
+        this.melFilters = MelSpectrogram.melFilterbank(
+            this.sampleRate, this.nFft, this.nMels, this.fMin, this.fMax
+        );
+    }
+
+    /**
+     * 周期汉宁窗，等价于 scipy.signal.get_window('hann', n, fftbins=True)
+     * @param {number} length - 窗长
+     * @returns {Float32Array} - 窗函数
+     */
+    static hannWindow(length) {
+        const window = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / length);
+        }
+        return window;
+    }
+
+    /**
+     * 赫兹转梅尔（Slaney刻度，librosa默认 htk=False）
+     * @param {number} hz - 频率
+     * @returns {number} - 梅尔值
+     */
+    static hzToMel(hz) {
+        const fSp = 200 / 3;
+        const minLogHz = 1000;
+        const minLogMel = minLogHz / fSp;
+        const logStep = Math.log(6.4) / 27;
+
+        if (hz >= minLogHz) {
+            return minLogMel + Math.log(hz / minLogHz) / logStep;
+        }
+        return hz / fSp;
+    }
+
+    /**
+     * 梅尔转赫兹（Slaney刻度）
+     * @param {number} mel - 梅尔值
+     * @returns {number} - 频率
+     */
+    static melToHz(mel) {
+        const fSp = 200 / 3;
+        const minLogHz = 1000;
+        const minLogMel = minLogHz / fSp;
+        const logStep = Math.log(6.4) / 27;
+
+        if (mel >= minLogMel) {
+            return minLogHz * Math.exp(logStep * (mel - minLogMel));
+        }
+        return fSp * mel;
+    }
+
+    /**
+     * 构建Slaney归一化的梅尔滤波器组，等价于 librosa.filters.mel(norm='slaney')
+     * 为节省计算，每个滤波器只保存非零区间
+     * @param {number} sampleRate - 采样率
+     * @param {number} nFft - FFT点数
+     * @param {number} nMels - 滤波器个数
+     * @param {number} fMin - 最低频率
+     * @param {number} fMax - 最高频率
+     * @returns {Array<{start: number, weights: Float32Array}>} - 滤波器组
+     */
+    static melFilterbank(sampleRate, nFft, nMels, fMin, fMax) {
+        const nBins = Math.floor(nFft / 2) + 1;
+
+        // FFT各频点对应的频率
+        const fftFreqs = new Float64Array(nBins);
+        for (let i = 0; i < nBins; i++) {
+            fftFreqs[i] = i * sampleRate / nFft;
+        }
+
+        // 在梅尔刻度上等间隔取 nMels + 2 个点
+        const minMel = MelSpectrogram.hzToMel(fMin);
+        const maxMel = MelSpectrogram.hzToMel(fMax);
+        const melFreqs = new Float64Array(nMels + 2);
+        for (let i = 0; i < nMels + 2; i++) {
+            melFreqs[i] = MelSpectrogram.melToHz(minMel + (maxMel - minMel) * i / (nMels + 1));
+        }
+
+        const filters = new Array(nMels);
+        for (let m = 0; m < nMels; m++) {
+            const lowerWidth = melFreqs[m + 1] - melFreqs[m];
+            const upperWidth = melFreqs[m + 2] - melFreqs[m + 1];
+            // Slaney归一化：使每个滤波器面积近似相等
+            const enorm = 2 / (melFreqs[m + 2] - melFreqs[m]);
+
+            const row = new Float32Array(nBins);
+            let start = -1;
+            let end = -1;
+            for (let k = 0; k < nBins; k++) {
+                const lower = (fftFreqs[k] - melFreqs[m]) / lowerWidth;
+                const upper = (melFreqs[m + 2] - fftFreqs[k]) / upperWidth;
+                const weight = Math.max(0, Math.min(lower, upper));
+                if (weight > 0) {
+                    row[k] = weight * enorm;
+                    if (start < 0) start = k;
+                    end = k;
+                }
+            }
+
+            filters[m] = start < 0
+                ? { start: 0, weights: new Float32Array(0) }
+                : { start, weights: row.slice(start, end + 1) };
+        }
+
+        return filters;
+    }
+
+    /**
+     * 预计算FFT所需的位反转表和旋转因子
+     */
+    initFft() {
+        const n = this.nFft;
+        const bits = Math.round(Math.log2(n));
+
+        this.bitReverse = new Uint32Array(n);
+        for (let i = 0; i < n; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.bitReverse[i] = reversed;
+        }
+
+        this.cosTable = new Float64Array(n / 2);
+        this.sinTable = new Float64Array(n / 2);
+        for (let i = 0; i < n / 2; i++) {
+            this.cosTable[i] = Math.cos(2 * Math.PI * i / n);
+            this.sinTable[i] = Math.sin(2 * Math.PI * i / n);
+        }
+
+        this.fftReal = new Float64Array(n);
+        this.fftImag = new Float64Array(n);
+    }
+
+    /**
+     * 原地迭代基2 FFT
+     * @param {Float64Array} real - 实部（输入输出）
+     * @param {Float64Array} imag - 虚部（输入输出）
+     */
+    fft(real, imag) {
+        const n = this.nFft;
+
+        // 位反转置换
+        for (let i = 0; i < n; i++) {
+            const j = this.bitReverse[i];
+            if (j > i) {
+                let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+                tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+            }
+        }
+
+        // 蝶形运算
+        for (let size = 2; size <= n; size <<= 1) {
+            const half = size >> 1;
+            const step = n / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const wr = this.cosTable[k * step];
+                    const wi = -this.sinTable[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = real[b] * wr - imag[b] * wi;
+                    const ti = real[b] * wi + imag[b] * wr;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+    }
+
+    /**
+     * 按 center / padMode 设置填充音频
+     * @param {Float32Array} audio - 音频数据
+     * @returns {Float32Array} - 填充后的音频
+     */
+    padAudio(audio) {
+        if (!this.center) {
+            return audio;
+        }
+
+        const pad = this.nFft >> 1;
+        const padded = new Float32Array(audio.length + 2 * pad);
+        padded.set(audio, pad);
+
+        if (this.padMode === 'reflect' && audio.length > 1) {
+            // 与 numpy.pad(mode='reflect') 一致：不重复边界样本
+            for (let i = 1; i <= pad; i++) {
+                padded[pad - i] = audio[Math.min(i, audio.length - 1)];
+                padded[pad + audio.length - 1 + i] = audio[Math.max(audio.length - 1 - i, 0)];
+            }
+        }
+
+        return padded;
+    }
+
+    /**
+     * 计算功率谱图 |STFT|^2
+     * @param {Float32Array} audio - 音频数据
+     * @returns {{data: Float32Array, numFrames: number, nBins: number}} - 按帧存储的功率谱 [frame][bin]
+     */
+    powerSpectrogram(audio) {
+        const padded = this.padAudio(audio);
+        const numFrames = padded.length < this.nFft
+            ? 0
+            : 1 + Math.floor((padded.length - this.nFft) / this.hopLength);
+        const data = new Float32Array(numFrames * this.nBins);
+        const real = this.fftReal;
+        const imag = this.fftImag;
+
+        for (let t = 0; t < numFrames; t++) {
+            const offset = t * this.hopLength;
+            for (let i = 0; i < this.nFft; i++) {
+                real[i] = padded[offset + i] * this.window[i];
+                imag[i] = 0;
+            }
+
+            this.fft(real, imag);
+
+            const rowOffset = t * this.nBins;
+            for (let k = 0; k < this.nBins; k++) {
+                data[rowOffset + k] = real[k] * real[k] + imag[k] * imag[k];
+            }
+        }
+
+        return { data, numFrames, nBins: this.nBins };
+    }
+
+    /**
+     * 计算梅尔功率谱图
+     * @param {Float32Array} audio - 音频数据
+     * @returns {{data: Float32Array, nMels: number, numFrames: number}} - 按 [mel][time] 行优先存储
+     */
+    melPowerSpectrogram(audio) {
+        const power = this.powerSpectrogram(audio);
+        const numFrames = power.numFrames;
+        const data = new Float32Array(this.nMels * numFrames);
+
+        for (let m = 0; m < this.nMels; m++) {
+            const { start, weights } = this.melFilters[m];
+            const rowOffset = m * numFrames;
+            for (let t = 0; t < numFrames; t++) {
+                const frameOffset = t * this.nBins + start;
+                let sum = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    sum += weights[k] * power.data[frameOffset + k];
+                }
+                data[rowOffset + t] = sum;
+            }
+        }
+
+        return { data, nMels: this.nMels, numFrames };
+    }
+
+    /**
+     * 功率转分贝，等价于 librosa.power_to_db(S, ref=np.max, amin=1e-10, top_db=80)
+     * @param {Float32Array} power - 功率数据（原地转换）
+     * @param {number} amin - 最小功率
+     * @param {number|null} topDb - 动态范围上限
+     * @returns {Float32Array} - 分贝数据
+     */
+    static powerToDb(power, amin = 1e-10, topDb = 80) {
+        let ref = 0;
+        for (let i = 0; i < power.length; i++) {
+            if (power[i] > ref) ref = power[i];
+        }
+        const refDb = 10 * Math.log10(Math.max(amin, ref));
+
+        let maxDb = -Infinity;
+        for (let i = 0; i < power.length; i++) {
+            power[i] = 10 * Math.log10(Math.max(amin, power[i])) - refDb;
+            if (power[i] > maxDb) maxDb = power[i];
+        }
+
+        if (topDb !== null && topDb !== undefined) {
+            const floor = maxDb - topDb;
+            for (let i = 0; i < power.length; i++) {
+                if (power[i] < floor) power[i] = floor;
+            }
+        }
+
+        return power;
+    }
+
+    /**
+     * 计算对数梅尔频谱图（分贝）
+     * @param {Float32Array} audio - 音频数据
+     * @returns {{data: Float32Array, nMels: number, numFrames: number}} - 按 [mel][time] 行优先存储
+     */
+    compute(audio) {
+        const mel = this.melPowerSpectrogram(audio);
+        MelSpectrogram.powerToDb(mel.data, this.amin, this.topDb);
+        return mel;
+    }
+}
+
+// 供Node环境（特征一致性校验脚本）使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MelSpectrogram;
+}
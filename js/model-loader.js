@@ -13,9 +13,46 @@ class ModelLoader {
         this.modelPath = 'models/animal_classifier_model/model.json';
         this.modelMetadataPath = 'models/animal_classifier_metadata.json';
 
+        // 模型清单：列出可切换的模型变体
+        this.manifestPath = 'models/models-manifest.json';
+        this.availableModels = [];
+        this.currentModelInfo = null; // 当前选择的清单条目
+        this.modelVersion = null; // 当前已加载模型的版本
+        this.validationReport = null; // 模型与元数据一致性校验报告，见 validateModel()
+
+        // 推理Worker客户端，设置后特征提取和推理在Worker中执行
+        this.inferenceWorker = null;
+
+        // 开集拒识：低于阈值的结果判为"未知/背景"，不计入物种统计
+        this.rejectionConfig = {
+            minConfidence: 0.5, // 全局最低置信度
+            minMargin: 0.1, // 第一与第二候选概率的最小差值
+            classThresholds: {} // 各类别单独的最低置信度，从模型元数据 classThresholds 读取
+        };
+
+        // 测试时增强（TTA）：对片段的多个变体分别推理后聚合
+        this.clipDuration = 3; // 模型输入对应的片段时长（秒）
+        this.ttaConfig = {
+            shifts: [-0.25, 0.25], // 循环平移（秒）
+            // 不使用增益变化：特征以最大值为参考转换为dB并归一化，增益变化不会改变特征
+            speeds: [0.94, 1.06], // 变速（同时改变音高和时长，约±1个半音）
+            crops: 3, // 音频长于片段时长时，均匀截取的片段数
+            aggregation: 'mean' // 'mean' 算术平均 或 'geometric' 几何平均
+        };
+
         // 模型输入形状
         this.inputShape = [128, 94]; // 默认值，将从元数据中更新
 
+        // 特征提取参数 - 与Python端 librosa.feature.melspectrogram 保持一致
+        this.featureConfig = {
+            nFft: 2048,
+            hopLength: 512,
+            center: true,
+            padMode: 'constant',
+            topDb: 80
+        };
+        this.melSpectrogram = null;
+
         // 用于存储识别结果的历史记录
         this.recognitionHistory = [];
 
@@ -26,6 +63,91 @@ class ModelLoader {
         this.historicalSpeciesCount = {};
     }
 
+    /**
+     * 加载模型清单
+     * @returns {Promise<Array>} - 可用模型列表
+     */
+    async loadManifest() {
+        try {
+            const response = await fetch(this.manifestPath);
+            if (!response.ok) {
+                throw new Error(`HTTP错误 ${response.status}`);
+            }
+
+            const manifest = await response.json();
+            this.availableModels = Array.isArray(manifest.models) ? manifest.models : [];
+            this.defaultModelId = manifest.defaultModel || (this.availableModels[0] && this.availableModels[0].id);
+            console.log('模型清单加载成功:', this.availableModels.map(model => model.id));
+        } catch (error) {
+            console.warn('无法加载模型清单，仅使用默认模型', error);
+
+            // 退回到硬编码的默认模型
+            this.availableModels = [{
+                id: 'default',
+                name: '默认模型',
+                modelPath: this.modelPath,
+                metadataPath: this.modelMetadataPath
+            }];
+            this.defaultModelId = 'default';
+        }
+
+        return this.availableModels;
+    }
+
+    /**
+     * 选择要加载的模型变体（不会立即加载）
+     * @param {string} modelId - 清单中的模型ID
+     * @returns {Object} - 选中的清单条目
+     */
+    selectModel(modelId) {
+        const modelInfo = this.availableModels.find(model => model.id === modelId);
+        if (!modelInfo) {
+            throw new Error('模型清单中不存在该模型: ' + modelId);
+        }
+
+        this.currentModelInfo = modelInfo;
+        this.modelPath = modelInfo.modelPath;
+        this.modelMetadataPath = modelInfo.metadataPath || this.modelMetadataPath;
+
+        return modelInfo;
+    }
+
+    /**
+     * 卸载当前模型并加载另一个模型变体
+     * @param {string} modelId - 清单中的模型ID
+     * @returns {Promise<boolean>} - 是否成功加载
+     */
+    async switchModel(modelId) {
+        this.selectModel(modelId);
+        this.unloadModel();
+
+        console.log('切换模型:', modelId);
+        return this.loadModel();
+    }
+
+    /**
+     * 释放当前TensorFlow.js模型，保留统计数据和音频上下文
+     */
+    unloadModel() {
+        if (this.model) {
+            try {
+                this.model.dispose();
+                console.log('已卸载模型');
+            } catch (error) {
+                console.error('卸载模型时出错:', error);
+            }
+        }
+
+        if (this.inferenceWorker) {
+            this.inferenceWorker.unload().catch(error => console.error('卸载Worker模型时出错:', error));
+        }
+
+        this.model = null;
+        this.isModelLoaded = false;
+        this.modelVersion = null;
+        this.validationReport = null;
+    }
+
     /**
      * 加载模型配置和TensorFlow.js模型
      * @returns {Promise<boolean>} - 是否成功加载
@@ -35,12 +157,28 @@ class ModelLoader {
             console.log('正在加载配置和模型...');
 
             // 1. 首先加载元数据以获取类别名称和输入形状
+            // 元数据文件缺失时使用清单条目中的信息
+            const modelInfo = this.currentModelInfo || {};
+            this.modelVersion = modelInfo.version || null;
+
+            // 元数据来源: 'file' | 'manifest' | 'default'，用于一致性校验报告
+            let metadata = null;
+            let metadataSource = 'default';
+
             try {
                 console.log('加载元数据...');
                 const metadataResponse = await fetch(this.modelMetadataPath);
+                metadata = metadataResponse.ok ? await metadataResponse.json() : modelInfo;
                 if (metadataResponse.ok) {
-                    const metadata = await metadataResponse.json();
-                    console.log('元数据加载成功:', metadata);
+                    metadataSource = 'file';
+                } else if (modelInfo.classNames) {
+                    metadataSource = 'manifest';
+                }
+                if (metadata) {
+                    console.log(metadataResponse.ok ? '元数据加载成功:' : '元数据文件不可用，使用清单信息:', metadata);
+
+                    // 清单中的版本号优先，便于A/B测试时区分重新训练的模型
+                    this.modelVersion = modelInfo.version || metadata.version || null;
 
                     // 更新类别名称
                     if (metadata.classNames && Array.isArray(metadata.classNames)) {
@@ -59,6 +197,9 @@ class ModelLoader {
                         this.loadHistoricalData();
                     }
 
+                    // 各类别拒识阈值（可选）
+                    this.rejectionConfig.classThresholds = metadata.classThresholds || {};
+
                     // 更新输入形状
                     if (metadata.inputShape) {
                         this.inputShape = metadata.inputShape;
@@ -69,60 +210,32 @@ class ModelLoader {
                 console.warn('无法加载模型元数据，使用默认类别名称和输入形状', metadataError);
             }
 
-            // 2. 加载TensorFlow.js模型
-            try {
-                console.log('加载TensorFlow.js模型:', this.modelPath);
+            // 校验模型与元数据是否一致，不一致时仍继续加载，但界面据此拒绝开始识别
+            await this.validateModel(metadata || {}, metadataSource);
 
-                // 由于模型.json文件中的输入层定义可能有问题，我们使用自定义方法创建模型
+            // 2. 加载TensorFlow.js模型（有推理Worker时在Worker中加载）
+            if (this.inferenceWorker) {
                 try {
-                    // 首先尝试直接加载模型
-                    this.model = await tf.loadLayersModel(this.modelPath);
-                } catch (directLoadError) {
-                    console.warn('直接加载模型失败，尝试使用自定义方法:', directLoadError);
-
-                    // 获取模型JSON
-                    const modelResponse = await fetch(this.modelPath);
-                    const modelJSON = await modelResponse.json();
-
-                    // 修复输入层定义
-                    if (modelJSON.modelTopology &&
-                        modelJSON.modelTopology.config &&
-                        modelJSON.modelTopology.config.layers &&
-                        modelJSON.modelTopology.config.layers.length > 0) {
-
-                        const inputLayer = modelJSON.modelTopology.config.layers[0];
-                        if (inputLayer.class_name === 'InputLayer' && inputLayer.config.batch_shape) {
-                            // 添加inputShape属性
-                            inputLayer.config.inputShape = inputLayer.config.batch_shape.slice(1);
-                            console.log('已修复输入层定义:', inputLayer.config);
-                        }
-                    }
-
-                    // 使用修复后的JSON加载模型
-                    this.model = await tf.loadLayersModel(
-                        tf.io.fromMemory(modelJSON)
-                    );
+                    await this.inferenceWorker.load({
+                        // Worker中的相对路径以Worker脚本为基准，需转换为绝对地址
+                        modelPath: new URL(this.modelPath, location.href).href,
+                        inputShape: this.inputShape,
+                        featureConfig: this.featureConfig
+                    });
+                    console.log('推理Worker模型加载成功');
+                } catch (workerError) {
+                    console.warn('推理Worker加载模型失败，改为在主线程推理:', workerError);
+                    this.detachInferenceWorker();
+                    await this.loadTfModel();
                 }
-
-                console.log('模型加载成功:', this.model);
-
-                // 输出模型摘要
-                this.model.summary();
-
-                // 预热模型 - 进行一次推理以确保模型已完全加载
-                const dummyInput = tf.zeros([1, ...this.inputShape]);
-                const warmupResult = this.model.predict(dummyInput);
-                warmupResult.dispose(); // 释放资源
-                dummyInput.dispose(); // 释放资源
-
-                console.log('模型预热完成');
-            } catch (modelError) {
-                console.error('模型加载失败:', modelError);
-                throw new Error('无法加载TensorFlow.js模型: ' + modelError.message);
+            } else {
+                await this.loadTfModel();
             }
 
             // 3. 初始化音频处理功能
-            this.audioContext = new AudioContext();
+            if (!this.audioContext && typeof AudioContext !== 'undefined') {
+                this.audioContext = new AudioContext();
+            }
 
             // 模型已加载成功
             this.isModelLoaded = true;
@@ -136,291 +249,881 @@ class ModelLoader {
         }
     }
 
+    /**
+     * 校验模型拓扑、权重清单与元数据是否一致，结果保存在 this.validationReport
+     * 检查项: 模型文件可读、元数据来源、输入形状、输出类别数、权重清单及分片文件
+     * @param {Object} metadata - 已加载的元数据（或清单条目）
+     * @param {string} metadataSource - 元数据来源: 'file' | 'manifest' | 'default'
+     * @returns {Promise<Object>} - 校验报告 { modelId, modelPath, valid, errors, warnings, checks, timestamp }
+     */
+    async validateModel(metadata = {}, metadataSource = 'file') {
+        const checks = [];
+        const addCheck = (name, passed, message, severity = 'error') => {
+            checks.push({ name, passed, severity: passed ? 'ok' : severity, message });
+        };
+
+        // 元数据来源
+        if (metadataSource === 'file') {
+            addCheck('元数据', true, `已读取 ${this.modelMetadataPath}`);
+        } else if (metadataSource === 'manifest') {
+            addCheck('元数据', false, `元数据文件 ${this.modelMetadataPath} 不可用，使用模型清单中的信息`, 'warning');
+        } else {
+            addCheck('元数据', false, `元数据文件 ${this.modelMetadataPath} 不可用，且模型清单中没有类别信息`);
+        }
+
+        // 类别名称
+        const classCount = this.classNames.length;
+        addCheck('类别名称', classCount > 0,
+            classCount > 0 ? `共 ${classCount} 个类别` : '元数据中没有类别名称');
+
+        // 元数据自身的输出形状与类别数
+        if (Array.isArray(metadata.outputShape)) {
+            const outputSize = metadata.outputShape[metadata.outputShape.length - 1];
+            addCheck('元数据输出形状', outputSize === classCount,
+                `outputShape=[${metadata.outputShape.join(', ')}]，类别数=${classCount}`);
+        }
+
+        // 读取模型拓扑
+        let modelJSON = null;
+        try {
+            const modelResponse = await fetch(this.modelPath);
+            if (!modelResponse.ok) {
+                throw new Error(`HTTP错误 ${modelResponse.status}`);
+            }
+            modelJSON = await modelResponse.json();
+            addCheck('模型文件', true, `已读取 ${this.modelPath}`);
+        } catch (error) {
+            addCheck('模型文件', false, `无法读取 ${this.modelPath}: ${error.message}`);
+        }
+
+        if (modelJSON) {
+            const layers = ModelLoader.getTopologyLayers(modelJSON);
+
+            // 输入层形状与元数据 inputShape
+            const inputLayer = layers.find(layer => layer.class_name === 'InputLayer');
+            const inputConfig = inputLayer ? inputLayer.config : {};
+            const batchShape = inputConfig.batch_input_shape || inputConfig.batch_shape;
+            if (batchShape) {
+                const modelInputShape = batchShape.slice(1);
+                addCheck('输入形状', ModelLoader.shapesEqual(modelInputShape, this.inputShape),
+                    `模型=[${modelInputShape.join(', ')}]，元数据=[${this.inputShape.join(', ')}]`);
+
+                // Keras 3 导出的 batch_shape 字段旧版TensorFlow.js无法识别，加载时需修复
+                if (!inputConfig.batch_input_shape) {
+                    addCheck('输入层定义', false, '输入层仅有 batch_shape 字段（Keras 3 格式），加载时将自动修复', 'warning');
+                }
+            } else {
+                addCheck('输入形状', false, '模型拓扑中未找到输入层形状');
+            }
+
+            // 最后一个全连接层的单元数与类别数
+            const denseLayers = layers.filter(layer => layer.class_name === 'Dense');
+            const outputLayer = denseLayers[denseLayers.length - 1];
+            if (outputLayer) {
+                const units = outputLayer.config.units;
+                addCheck('输出类别数', units === classCount,
+                    `模型输出=${units}，类别名称=${classCount}`);
+            } else {
+                addCheck('输出类别数', false, '模型拓扑中未找到输出全连接层');
+            }
+
+            // 权重清单
+            const manifest = Array.isArray(modelJSON.weightsManifest) ? modelJSON.weightsManifest : [];
+            const weightSpecs = manifest.reduce((count, group) => count + (group.weights || []).length, 0);
+            const paths = manifest.reduce((all, group) => all.concat(group.paths || []), []);
+            addCheck('权重清单', weightSpecs > 0 && paths.length > 0,
+                `${manifest.length} 组，${weightSpecs} 个权重，${paths.length} 个分片文件`);
+
+            // 权重分片文件（相对 model.json 所在目录）
+            for (const shardPath of paths) {
+                const shardUrl = this.resolveModelAsset(shardPath);
+                try {
+                    const shardResponse = await fetch(shardUrl, { method: 'HEAD' });
+                    addCheck('权重文件', shardResponse.ok,
+                        shardResponse.ok ? shardPath : `${shardPath} 不可用 (HTTP ${shardResponse.status})`);
+                } catch (error) {
+                    addCheck('权重文件', false, `${shardPath} 不可用: ${error.message}`);
+                }
+            }
+        }
+
+        const errors = checks.filter(check => check.severity === 'error').length;
+        const warnings = checks.filter(check => check.severity === 'warning').length;
+
+        this.validationReport = {
+            modelId: this.currentModelInfo ? this.currentModelInfo.id : null,
+            modelPath: this.modelPath,
+            valid: errors === 0,
+            errors,
+            warnings,
+            checks,
+            timestamp: new Date()
+        };
+
+        if (errors > 0) {
+            console.error('模型与元数据不一致:', this.validationReport);
+        } else {
+            console.log('模型一致性校验通过:', this.validationReport);
+        }
+
+        return this.validationReport;
+    }
+
+    /**
+     * 解析相对 model.json 所在目录的资源路径
+     * @param {string} assetPath - 相对路径
+     * @returns {string} - 资源地址
+     */
+    resolveModelAsset(assetPath) {
+        const base = typeof location !== 'undefined' ? new URL(this.modelPath, location.href) : null;
+        if (base) {
+            return new URL(assetPath, base).href;
+        }
+        return this.modelPath.replace(/[^/]*$/, '') + assetPath;
+    }
+
+    /**
+     * 获取模型拓扑中的层列表（兼容 Sequential 和嵌套 model_config 两种格式）
+     * @param {Object} modelJSON - model.json 内容
+     * @returns {Array<Object>} - 层定义
+     */
+    static getTopologyLayers(modelJSON) {
+        let topology = modelJSON.modelTopology || {};
+        if (topology.model_config) {
+            topology = topology.model_config;
+        }
+        return (topology.config && topology.config.layers) || [];
+    }
+
+    /**
+     * 比较两个形状，null/undefined 维度视为任意
+     * @param {Array<number|null>} a - 形状
+     * @param {Array<number|null>} b - 形状
+     * @returns {boolean}
+     */
+    static shapesEqual(a, b) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+        return a.every((dim, i) => dim === null || b[i] === null || dim === b[i]);
+    }
+
+    /**
+     * 加载TensorFlow.js模型并预热
+     * 主线程和推理Worker共用
+     */
+    async loadTfModel() {
+        try {
+            console.log('加载TensorFlow.js模型:', this.modelPath);
+
+            // 由于模型.json文件中的输入层定义可能有问题，我们使用自定义方法创建模型
+            try {
+                // 首先尝试直接加载模型
+                this.model = await tf.loadLayersModel(this.modelPath);
+            } catch (directLoadError) {
+                console.warn('直接加载模型失败，尝试使用自定义方法:', directLoadError);
+
+                // 获取模型JSON
+                const modelResponse = await fetch(this.modelPath);
+                const modelJSON = await modelResponse.json();
+
+                // 修复输入层定义
+                if (modelJSON.modelTopology &&
+                    modelJSON.modelTopology.config &&
+                    modelJSON.modelTopology.config.layers &&
+                    modelJSON.modelTopology.config.layers.length > 0) {
+
+                    const inputLayer = modelJSON.modelTopology.config.layers[0];
+                    if (inputLayer.class_name === 'InputLayer' && inputLayer.config.batch_shape) {
+                        // 添加inputShape属性
+                        inputLayer.config.inputShape = inputLayer.config.batch_shape.slice(1);
+                        console.log('已修复输入层定义:', inputLayer.config);
+                    }
+                }
+
+                // 使用修复后的JSON加载模型
+                this.model = await tf.loadLayersModel(
+                    tf.io.fromMemory(modelJSON)
+                );
+            }
+
+            console.log('模型加载成功:', this.model);
+
+            // 输出模型摘要
+            this.model.summary();
+
+            // 预热模型 - 进行一次推理以确保模型已完全加载
+            const dummyInput = tf.zeros([1, ...this.inputShape]);
+            const warmupResult = this.model.predict(dummyInput);
+            warmupResult.dispose(); // 释放资源
+            dummyInput.dispose(); // 释放资源
+
+            console.log('模型预热完成');
+        } catch (modelError) {
+            console.error('模型加载失败:', modelError);
+            throw new Error('无法加载TensorFlow.js模型: ' + modelError.message);
+        }
+    }
+
+    /**
+     * 使用推理Worker执行特征提取和模型推理
+     * @param {InferenceWorkerClient} inferenceWorker - 推理Worker客户端
+     */
+    attachInferenceWorker(inferenceWorker) {
+        this.inferenceWorker = inferenceWorker;
+    }
+
+    /**
+     * 停止使用推理Worker，改回主线程推理
+     */
+    detachInferenceWorker() {
+        if (this.inferenceWorker) {
+            this.inferenceWorker.terminate();
+            this.inferenceWorker = null;
+        }
+    }
+
+    /**
+     * 取消排队中和进行中的推理请求（仅推理Worker模式有效）
+     * @param {string|null} requestGroup - 只取消该分组的请求，不传则取消全部
+     */
+    cancelPendingPredictions(requestGroup = null) {
+        if (this.inferenceWorker) {
+            this.inferenceWorker.cancelAll(requestGroup);
+        }
+    }
+
     /**
      * 预测音频类别
      * @param {Float32Array} audioData - 音频数据
      * @param {number} sampleRate - 采样率
+     * @param {Object} options - 选项
+     * @param {boolean} options.updateHistory - 是否计入识别历史和物种统计，默认true
+     * @param {string} options.requestGroup - 推理Worker请求分组，用于按来源取消
+     * @param {boolean|Object} options.tta - 启用测试时增强，可传入对象覆盖 ttaConfig
+     * @param {Date} options.recordedAt - 音频的实际录制时间，作为结果的 timestamp，默认为当前时间
      * @returns {Promise<Object>} - 预测结果
      */
-    async predict(audioData, sampleRate) {
-        if (!this.isModelLoaded || !this.model) {
+    async predict(audioData, sampleRate, options = {}) {
+        const { updateHistory = true, requestGroup = null, tta = false, recordedAt = null } = options;
+
+        if (!this.isModelLoaded || (!this.model && !this.inferenceWorker)) {
             throw new Error('模型未加载');
         }
 
+        // TTA的多个变体作为一个批次推理
+        if (tta) {
+            const [result] = await this.predictBatch([audioData], sampleRate, {
+                updateHistory,
+                requestGroup,
+                tta,
+                recordedAt: recordedAt ? [recordedAt] : null
+            });
+            return result;
+        }
+
         try {
             console.log('开始预测...');
-            console.log('音频数据长度:', audioData.length);
-            console.log('采样率:', sampleRate);
-
-            // 记录音频数据的一些统计信息
-            const audioMin = Math.min(...audioData);
-            const audioMax = Math.max(...audioData);
-            const audioMean = audioData.reduce((sum, val) => sum + val, 0) / audioData.length;
-            console.log('音频数据统计: 最小值=', audioMin, '最大值=', audioMax, '平均值=', audioMean);
-
-            // 1. 提取音频特征
-            const featureTensor = await this.extractFeatures(audioData, sampleRate);
-
-            // 记录特征张量的一些统计信息
-            const featureData = await featureTensor.data();
-            const featureMin = Math.min(...featureData);
-            const featureMax = Math.max(...featureData);
-            const featureMean = featureData.reduce((sum, val) => sum + val, 0) / featureData.length;
-            console.log('特征统计: 最小值=', featureMin, '最大值=', featureMax, '平均值=', featureMean);
-
-            // 2. 使用模型进行推理
-            console.log('执行模型推理...');
-            const predictionTensor = this.model.predict(featureTensor);
-
-            // 记录原始预测结果
-            const rawPredictions = await predictionTensor.data();
-            console.log('原始预测结果:', Array.from(rawPredictions));
-
-            // 检查原始预测结果是否已经是概率分布
-            const rawSum = rawPredictions.reduce((sum, val) => sum + val, 0);
-            console.log('原始预测和:', rawSum);
-
-            // 应用softmax激活函数以确保预测结果是概率分布
-            // 这是一个关键修复，确保预测结果的和为1
-            const softmaxPredictions = tf.softmax(predictionTensor);
-
-            // 3. 将预测结果转换为JavaScript数组
-            const predictions = await softmaxPredictions.data();
-
-            // 检查softmax后的预测结果
-            const softmaxSum = predictions.reduce((sum, val) => sum + val, 0);
-            console.log('Softmax后预测和:', softmaxSum);
-
-            // 4. 找出最高概率的类别
-            let maxIndex = 0;
-            let maxProbability = predictions[0];
-
-            for (let i = 1; i < predictions.length; i++) {
-                if (predictions[i] > maxProbability) {
-                    maxProbability = predictions[i];
-                    maxIndex = i;
-                }
-            }
 
-            // 5. 获取预测的类别
-            const predictedClass = this.classNames[maxIndex];
+            // 1-3. 特征提取与模型推理（有推理Worker时在Worker中执行，不阻塞界面）
+            const predictions = this.inferenceWorker
+                ? await this.inferenceWorker.predict(audioData, sampleRate, requestGroup).promise
+                : await this.inferProbabilities(audioData, sampleRate);
 
-            // 6. 创建结果对象
-            const result = {
-                class: predictedClass,
-                probability: maxProbability,
-                allProbabilities: Array.from(predictions),
-                timestamp: new Date()
-            };
+            // 4. 创建结果对象
+            const result = this.buildResult(predictions, recordedAt || new Date());
 
-            // 7. 更新历史记录
-            this.updateRecognitionHistory(result);
-
-            // 8. 清理TensorFlow资源
-            featureTensor.dispose();
-            predictionTensor.dispose();
-            softmaxPredictions.dispose();
+            // 5. 更新历史记录
+            if (updateHistory) {
+                this.updateRecognitionHistory(result);
+            }
 
             console.log('预测完成:', result);
 
             // 返回结果
             return result;
         } catch (error) {
-            console.error('预测失败:', error);
+            if (!error.cancelled) {
+                console.error('预测失败:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * 提取音频特征 - 梅尔频谱图
-     * @param {Float32Array} audioData - 音频数据
+     * 批量预测多个音频片段：逐个提取特征后堆叠成一个批次送入模型
+     * @param {Array<Float32Array>} clips - 音频片段（长度应一致，通常为3秒）
      * @param {number} sampleRate - 采样率
-     * @returns {tf.Tensor} - 音频特征张量，形状为 [1, inputShape[0], inputShape[1]]
+     * @param {Object} options - 选项
+     * @param {number} options.batchSize - 每批片段数，默认16
+     * @param {boolean} options.updateHistory - 是否计入识别历史和物种统计，默认true
+     * @param {Function} options.progressCallback - 进度回调 (已完成片段数, 总片段数)
+     * @param {string} options.requestGroup - 推理Worker请求分组，用于按来源取消
+     * @param {boolean|Object} options.tta - 对每个片段启用测试时增强，可传入对象覆盖 ttaConfig
+     * @param {Array<Date>} options.recordedAt - 各片段的实际录制时间，作为结果的 timestamp，默认为当前时间
+     * @returns {Promise<Array<Object>>} - 与输入顺序一致的预测结果
      */
-    async extractFeatures(audioData, sampleRate) {
-        try {
-            console.log('开始提取音频特征...');
-            console.log('输入形状:', this.inputShape);
+    async predictBatch(clips, sampleRate, options = {}) {
+        const {
+            batchSize = 16,
+            updateHistory = true,
+            progressCallback = null,
+            requestGroup = null,
+            tta = false,
+            recordedAt = null
+        } = options;
+
+        if (!this.isModelLoaded || (!this.model && !this.inferenceWorker)) {
+            throw new Error('模型未加载');
+        }
 
-            // 参数设置 - 与Python端保持一致
-            const n_fft = 2048;
-            const hop_length = 512;
-            const n_mels = this.inputShape[0]; // 通常为128
-            const targetTimeSteps = this.inputShape[1]; // 通常为94
+        if (clips.length === 0) {
+            return [];
+        }
+
+        try {
+            // 展开TTA变体，记录每个片段对应的变体区间
+            const ttaConfig = tta ? { ...this.ttaConfig, ...(typeof tta === 'object' ? tta : {}) } : null;
+            const inputs = [];
+            const groups = [];
+            clips.forEach(clip => {
+                const variants = ttaConfig ? this.createTtaVariants(clip, sampleRate, ttaConfig) : [clip];
+                groups.push({ start: inputs.length, count: variants.length });
+                inputs.push(...variants);
+            });
 
-            console.log('参数设置: n_fft=', n_fft, 'hop_length=', hop_length, 'n_mels=', n_mels, 'targetTimeSteps=', targetTimeSteps);
+            console.log(`开始批量预测: ${clips.length} 个片段（${inputs.length} 个输入），批大小 ${batchSize}`);
 
-            // 1. 创建临时音频上下文
-            const audioContext = new AudioContext({sampleRate});
+            // 进度按原始片段数换算
+            const inputProgress = progressCallback
+                ? (done, total) => progressCallback(Math.floor(done * clips.length / total), clips.length)
+                : null;
 
-            // 2. 创建音频缓冲区
-            const audioBuffer = audioContext.createBuffer(1, audioData.length, sampleRate);
-            audioBuffer.getChannelData(0).set(audioData);
+            const probabilities = this.inferenceWorker
+                ? await this.inferenceWorker.predictBatch(inputs, sampleRate, { batchSize, progressCallback: inputProgress, group: requestGroup }).promise
+                : await this.inferProbabilitiesBatch(inputs, sampleRate, batchSize, inputProgress, true);
 
-            // 3. 使用Web Audio API的分析器获取频域数据
-            const analyser = audioContext.createAnalyser();
-            analyser.fftSize = n_fft;
+            const completedAt = new Date();
+            const results = groups.map(({ start, count }, i) => {
+                const timestamp = (recordedAt && recordedAt[i]) || completedAt;
+                if (!ttaConfig) {
+                    return this.buildResult(probabilities[start], timestamp);
+                }
 
-            // 创建音频源并连接分析器
-            const source = audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            source.connect(analyser);
+                const aggregated = this.aggregateProbabilities(probabilities.slice(start, start + count), ttaConfig.aggregation);
+                const result = this.buildResult(aggregated.probabilities, timestamp);
+                result.tta = {
+                    variantCount: count,
+                    aggregation: ttaConfig.aggregation,
+                    uncertainty: aggregated.variance[this.classNames.indexOf(result.candidateClass)],
+                    classVariance: aggregated.variance
+                };
+                return result;
+            });
 
-            // 4. 计算梅尔频谱图
-            // 由于Web Audio API没有直接的梅尔频谱图计算，我们需要手动实现
+            if (updateHistory) {
+                results.forEach(result => this.updateRecognitionHistory(result));
+            }
 
-            // 创建一个足够大的数组来存储所有帧的频域数据
-            const numFrames = Math.floor((audioData.length - n_fft) / hop_length) + 1;
-            console.log('帧数:', numFrames);
-            const melSpectrogram = new Array(numFrames);
+            console.log('批量预测完成');
 
-            // 模拟滑动窗口处理
-            for (let i = 0; i < numFrames; i++) {
-                // 计算当前帧的起始位置
-                const startSample = i * hop_length;
+            return results;
+        } catch (error) {
+            if (!error.cancelled) {
+                console.error('批量预测失败:', error);
+            }
+            throw error;
+        }
+    }
 
-                // 提取当前帧的音频数据
-                const frameData = audioData.slice(startSample, startSample + n_fft);
+    /**
+     * 生成测试时增强的音频变体：裁剪（音频长于片段时长时）× {原始, 循环平移, 变速}
+     * @param {Float32Array} audio - 音频数据
+     * @param {number} sampleRate - 采样率
+     * @param {Object} ttaConfig - TTA参数
+     * @returns {Array<Float32Array>} - 音频变体，第一个为原始片段
+     */
+    createTtaVariants(audio, sampleRate, ttaConfig = this.ttaConfig) {
+        const clipLength = Math.floor(this.clipDuration * sampleRate);
+
+        // 1. 长音频均匀截取多个片段，否则使用原始音频
+        const crops = [];
+        if (audio.length > clipLength && ttaConfig.crops > 1) {
+            const maxOffset = audio.length - clipLength;
+            for (let i = 0; i < ttaConfig.crops; i++) {
+                const offset = Math.round(maxOffset * i / (ttaConfig.crops - 1));
+                crops.push(audio.subarray(offset, offset + clipLength));
+            }
+        } else if (audio.length > clipLength) {
+            const offset = Math.floor((audio.length - clipLength) / 2);
+            crops.push(audio.subarray(offset, offset + clipLength));
+        } else {
+            crops.push(audio);
+        }
 
-                // 使用Web Audio API的AnalyserNode代替FFT.js
-                // 创建一个临时的离线音频上下文
-                const offlineCtx = new OfflineAudioContext(1, n_fft, sampleRate);
+        const variants = [];
+        crops.forEach(crop => {
+            variants.push(crop);
 
-                // 创建一个缓冲区
-                const buffer = offlineCtx.createBuffer(1, frameData.length, sampleRate);
-                const channelData = buffer.getChannelData(0);
+            // 2. 循环平移
+            ttaConfig.shifts.forEach(shiftSeconds => {
+                const shift = Math.round(shiftSeconds * sampleRate) % crop.length;
+                if (shift === 0) return;
 
-                // 复制数据到缓冲区
-                for (let j = 0; j < frameData.length; j++) {
-                    // 应用窗函数（汉宁窗）
-                    channelData[j] = frameData[j] * 0.5 * (1 - Math.cos(2 * Math.PI * j / (n_fft - 1)));
+                const shifted = new Float32Array(crop.length);
+                for (let i = 0; i < crop.length; i++) {
+                    shifted[i] = crop[(i - shift + crop.length) % crop.length];
                 }
+                variants.push(shifted);
+            });
+
+            // 3. 变速：按速度因子线性插值重新采样，长度不变，超出末尾的部分循环取自开头
+            ttaConfig.speeds.forEach(speed => {
+                if (speed === 1) return;
 
-                // 创建分析器
-                const analyser = offlineCtx.createAnalyser();
-                analyser.fftSize = n_fft;
-
-                // 创建源并连接
-                const source = offlineCtx.createBufferSource();
-                source.buffer = buffer;
-                source.connect(analyser);
-                analyser.connect(offlineCtx.destination);
-
-                // 启动源并渲染
-                source.start(0);
-                await offlineCtx.startRendering();
-
-                // 获取频域数据
-                const fftOutput = new Float32Array(analyser.frequencyBinCount);
-                analyser.getFloatFrequencyData(fftOutput);
-
-                // 计算功率谱 - 从分析器获取的数据已经是分贝单位，需要转换回功率
-                const powerSpectrum = new Array(fftOutput.length);
-                for (let j = 0; j < fftOutput.length; j++) {
-                    // 将分贝转换回功率值: 10^(dB/10)
-                    powerSpectrum[j] = Math.pow(10, fftOutput[j] / 10);
+                const stretched = new Float32Array(crop.length);
+                for (let i = 0; i < crop.length; i++) {
+                    const position = (i * speed) % crop.length;
+                    const index = Math.floor(position);
+                    const frac = position - index;
+                    stretched[i] = crop[index] * (1 - frac) + crop[(index + 1) % crop.length] * frac;
                 }
+                variants.push(stretched);
+            });
+        });
 
-                // 简化的梅尔滤波器组应用
-                // 这里我们使用一个简化的方法来模拟梅尔滤波器组
-                const melFrame = new Array(n_mels).fill(0);
-                const fftBins = n_fft / 2;
-
-                // 简化的梅尔滤波器应用
-                for (let mel_i = 0; mel_i < n_mels; mel_i++) {
-                    // 计算当前梅尔滤波器的频率范围
-                    const mel_start = mel_i * (fftBins / n_mels);
-                    const mel_end = (mel_i + 1) * (fftBins / n_mels);
-
-                    // 应用梅尔滤波器
-                    let sum = 0;
-                    let count = 0;
-                    for (let bin = Math.floor(mel_start); bin < Math.floor(mel_end); bin++) {
-                        if (bin < powerSpectrum.length) {
-                            sum += powerSpectrum[bin];
-                            count++;
-                        }
-                    }
+        return variants;
+    }
 
-                    // 计算平均值
-                    melFrame[mel_i] = count > 0 ? sum / count : 0;
-                }
+    /**
+     * 聚合多个变体的概率向量
+     * @param {Array<Float32Array>} probabilityList - 各变体的类别概率
+     * @param {string} aggregation - 'mean' 或 'geometric'
+     * @returns {{probabilities: Array<number>, variance: Array<number>}} - 聚合概率和各类别在变体间的方差
+     */
+    aggregateProbabilities(probabilityList, aggregation = 'mean') {
+        const count = probabilityList.length;
+        const numClasses = probabilityList[0].length;
+        const mean = new Array(numClasses).fill(0);
+        const variance = new Array(numClasses).fill(0);
+
+        probabilityList.forEach(probabilities => {
+            for (let i = 0; i < numClasses; i++) {
+                mean[i] += probabilities[i] / count;
+            }
+        });
 
-                // 转换为分贝单位
-                for (let j = 0; j < n_mels; j++) {
-                    melFrame[j] = 10 * Math.log10(Math.max(1e-10, melFrame[j]));
-                }
+        probabilityList.forEach(probabilities => {
+            for (let i = 0; i < numClasses; i++) {
+                variance[i] += Math.pow(probabilities[i] - mean[i], 2) / count;
+            }
+        });
 
-                melSpectrogram[i] = melFrame;
+        if (aggregation !== 'geometric') {
+            return { probabilities: mean, variance };
+        }
+
+        // 几何平均后重新归一化为概率分布
+        const geometric = new Array(numClasses).fill(0);
+        probabilityList.forEach(probabilities => {
+            for (let i = 0; i < numClasses; i++) {
+                geometric[i] += Math.log(Math.max(probabilities[i], 1e-12)) / count;
             }
+        });
 
-            // 5. 转置梅尔频谱图以匹配模型输入格式 [n_mels, time]
-            const transposedMelSpec = new Array(n_mels);
-            for (let i = 0; i < n_mels; i++) {
-                transposedMelSpec[i] = new Array(melSpectrogram.length);
-                for (let j = 0; j < melSpectrogram.length; j++) {
-                    transposedMelSpec[i][j] = melSpectrogram[j][i];
-                }
+        let sum = 0;
+        for (let i = 0; i < numClasses; i++) {
+            geometric[i] = Math.exp(geometric[i]);
+            sum += geometric[i];
+        }
+
+        return { probabilities: geometric.map(value => value / sum), variance };
+    }
+
+    /**
+     * 由概率向量创建预测结果对象，并进行开集拒识
+     * @param {Float32Array|Array<number>} predictions - 各类别概率
+     * @param {Date} timestamp - 结果时间（音频的录制时间），默认为当前时间
+     * @returns {Object} - 预测结果，被拒识时 class 为 ModelLoader.UNKNOWN_CLASS
+     */
+    buildResult(predictions, timestamp = new Date()) {
+        // 找出概率最高的两个类别
+        let maxIndex = 0;
+        let maxProbability = predictions[0];
+        let secondProbability = 0;
+
+        for (let i = 1; i < predictions.length; i++) {
+            if (predictions[i] > maxProbability) {
+                secondProbability = maxProbability;
+                maxProbability = predictions[i];
+                maxIndex = i;
+            } else if (predictions[i] > secondProbability) {
+                secondProbability = predictions[i];
             }
+        }
 
-            // 6. 标准化到 [0, 1] 范围
-            // 找出最大值和最小值
-            let minVal = Infinity;
-            let maxVal = -Infinity;
+        const candidateClass = this.classNames[maxIndex];
+        const rejectionReason = this.getRejectionReason(candidateClass, maxProbability, secondProbability);
 
-            for (let i = 0; i < n_mels; i++) {
-                for (let j = 0; j < transposedMelSpec[i].length; j++) {
-                    minVal = Math.min(minVal, transposedMelSpec[i][j]);
-                    maxVal = Math.max(maxVal, transposedMelSpec[i][j]);
+        return {
+            class: rejectionReason ? ModelLoader.UNKNOWN_CLASS : candidateClass,
+            probability: maxProbability,
+            isUnknown: Boolean(rejectionReason),
+            candidateClass,
+            margin: maxProbability - secondProbability,
+            rejectionReason,
+            allProbabilities: Array.from(predictions),
+            modelId: this.currentModelInfo ? this.currentModelInfo.id : null,
+            modelVersion: this.modelVersion,
+            timestamp
+        };
+    }
+
+    /**
+     * 判断预测是否应被拒识
+     * @param {string} className - 第一候选类别
+     * @param {number} probability - 第一候选概率
+     * @param {number} secondProbability - 第二候选概率
+     * @returns {string|null} - 拒识原因，不拒识时为null
+     */
+    getRejectionReason(className, probability, secondProbability) {
+        const { minConfidence, minMargin, classThresholds } = this.rejectionConfig;
+        const threshold = Math.max(minConfidence, classThresholds[className] || 0);
+
+        if (probability < threshold) {
+            return `置信度 ${(probability * 100).toFixed(1)}% 低于阈值 ${(threshold * 100).toFixed(1)}%`;
+        }
+
+        if (probability - secondProbability < minMargin) {
+            return `与第二候选差值 ${((probability - secondProbability) * 100).toFixed(1)}% 低于 ${(minMargin * 100).toFixed(1)}%`;
+        }
+
+        return null;
+    }
+
+    /**
+     * 更新拒识参数
+     * @param {Object} config - { minConfidence, minMargin, classThresholds }，未提供的字段保持不变
+     */
+    setRejectionConfig(config) {
+        this.rejectionConfig = { ...this.rejectionConfig, ...config };
+    }
+
+    /**
+     * 批量计算各类别概率，主线程和推理Worker共用
+     * 特征按批堆叠为 [batch, n_mels, time] 张量，中间张量在 tf.tidy 中释放
+     * @param {Array<Float32Array>} clips - 音频片段
+     * @param {number} sampleRate - 采样率
+     * @param {number} batchSize - 每批片段数
+     * @param {Function} progressCallback - 进度回调 (已完成片段数, 总片段数)，抛出异常可中止
+     * @param {boolean} yieldBetweenBatches - 批次之间是否让出线程（主线程推理时刷新界面）
+     * @returns {Promise<Array<Float32Array>>} - 各片段的类别概率
+     */
+    async inferProbabilitiesBatch(clips, sampleRate, batchSize = 16, progressCallback = null, yieldBetweenBatches = false) {
+        const [nMels, timeSteps] = this.inputShape;
+        const featureSize = nMels * timeSteps;
+        const probabilities = [];
+
+        for (let start = 0; start < clips.length; start += batchSize) {
+            const batch = clips.slice(start, start + batchSize);
+
+            // 1. 提取特征并写入同一块连续内存
+            const features = new Float32Array(batch.length * featureSize);
+            batch.forEach((clip, i) => {
+                features.set(this.computeFeatures(clip, sampleRate), i * featureSize);
+            });
+
+            // 2. 模型推理并应用softmax，只保留输出张量
+            const output = tf.tidy(() => {
+                const input = tf.tensor3d(features, [batch.length, nMels, timeSteps]);
+                return tf.softmax(this.model.predict(input));
+            });
+
+            // 3. 拆分为逐片段的概率
+            try {
+                const data = await output.data();
+                const numClasses = data.length / batch.length;
+                for (let i = 0; i < batch.length; i++) {
+                    probabilities.push(data.slice(i * numClasses, (i + 1) * numClasses));
                 }
+            } finally {
+                output.dispose();
             }
 
-            console.log('梅尔频谱图统计: 最小值=', minVal, '最大值=', maxVal);
+            if (progressCallback) {
+                progressCallback(start + batch.length, clips.length);
+            }
 
-            // 标准化
-            const normalizedMelSpec = new Array(n_mels);
-            for (let i = 0; i < n_mels; i++) {
-                normalizedMelSpec[i] = new Array(transposedMelSpec[i].length);
-                for (let j = 0; j < transposedMelSpec[i].length; j++) {
-                    normalizedMelSpec[i][j] = (transposedMelSpec[i][j] - minVal) / (maxVal - minVal);
-                }
+            if (yieldBetweenBatches) {
+                await new Promise(resolve => setTimeout(resolve, 0));
             }
+        }
 
-            // 7. 调整大小以匹配模型输入形状
-            const resizedMelSpec = new Array(n_mels);
+        return probabilities;
+    }
 
-            for (let i = 0; i < n_mels; i++) {
-                resizedMelSpec[i] = new Array(targetTimeSteps);
+    /**
+     * 从PCM数据计算各类别概率：特征提取 -> 模型推理 -> softmax
+     * 主线程和推理Worker共用
+     * @param {Float32Array} audioData - 音频数据
+     * @param {number} sampleRate - 采样率
+     * @returns {Promise<Float32Array>} - 各类别概率
+     */
+    async inferProbabilities(audioData, sampleRate) {
+        console.log('音频数据长度:', audioData.length);
+        console.log('采样率:', sampleRate);
+
+        // 记录音频数据的一些统计信息
+        let audioMin = Infinity;
+        let audioMax = -Infinity;
+        let audioSum = 0;
+        for (let i = 0; i < audioData.length; i++) {
+            if (audioData[i] < audioMin) audioMin = audioData[i];
+            if (audioData[i] > audioMax) audioMax = audioData[i];
+            audioSum += audioData[i];
+        }
+        console.log('音频数据统计: 最小值=', audioMin, '最大值=', audioMax, '平均值=', audioSum / audioData.length);
 
-                // 简单的线性插值
-                const srcLength = normalizedMelSpec[i].length;
-                for (let j = 0; j < targetTimeSteps; j++) {
-                    const srcIdx = j * (srcLength - 1) / (targetTimeSteps - 1);
-                    const srcIdxFloor = Math.floor(srcIdx);
-                    const srcIdxCeil = Math.min(srcIdxFloor + 1, srcLength - 1);
-                    const alpha = srcIdx - srcIdxFloor;
+        // 1. 提取音频特征
+        const featureTensor = await this.extractFeatures(audioData, sampleRate);
 
-                    resizedMelSpec[i][j] = (1 - alpha) * normalizedMelSpec[i][srcIdxFloor] +
-                                          alpha * normalizedMelSpec[i][srcIdxCeil];
-                }
+        // 2. 使用模型进行推理
+        console.log('执行模型推理...');
+        const predictionTensor = this.model.predict(featureTensor);
+
+        // 记录原始预测结果
+        const rawPredictions = await predictionTensor.data();
+        console.log('原始预测结果:', Array.from(rawPredictions));
+
+        // 检查原始预测结果是否已经是概率分布
+        const rawSum = rawPredictions.reduce((sum, val) => sum + val, 0);
+        console.log('原始预测和:', rawSum);
+
+        // 应用softmax激活函数以确保预测结果是概率分布
+        // 这是一个关键修复，确保预测结果的和为1
+        const softmaxPredictions = tf.softmax(predictionTensor);
+
+        // 3. 将预测结果转换为JavaScript数组
+        const predictions = await softmaxPredictions.data();
+
+        // 检查softmax后的预测结果
+        const softmaxSum = predictions.reduce((sum, val) => sum + val, 0);
+        console.log('Softmax后预测和:', softmaxSum);
+
+        // 清理TensorFlow资源
+        featureTensor.dispose();
+        predictionTensor.dispose();
+        softmaxPredictions.dispose();
+
+        return predictions;
+    }
+
+    /**
+     * 逐窗口分析长音频，并将结果合并为检测片段
+     * 每个检测片段只计入一次物种统计，而不是每个窗口各计一次
+     * @param {Array<{start: number, end: number, data: Float32Array}>} windows - 分析窗口
+     * @param {number} sampleRate - 采样率
+     * @param {Object} options - 选项
+     * @param {number} options.minConfidence - 计为检测的最低置信度，默认0.5
+     * @param {number} options.maxGap - 合并同类片段时允许的最大间隔（秒），默认0
+     * @param {number} options.batchSize - 批量推理的批大小，默认16
+     * @param {Function} options.progressCallback - 进度回调 (已完成窗口数, 总窗口数)
+     * @param {string} options.requestGroup - 推理Worker请求分组，默认'upload'
+     * @param {boolean|Object} options.tta - 对每个窗口启用测试时增强
+     * @param {Date} options.recordedAt - 音频的录制开始时间，窗口和检测片段的时间由此加上偏移得到；不传时使用分析时间
+     * @returns {Promise<Object>} - { windows: 逐窗口结果, segments: 检测片段, bestResult: 置信度最高的窗口结果 }
+     */
+    async analyzeWindows(windows, sampleRate, options = {}) {
+        const {
+            minConfidence = 0.5,
+            maxGap = 0,
+            batchSize = 16,
+            progressCallback = null,
+            requestGroup = 'upload',
+            tta = false,
+            recordedAt = null
+        } = options;
+
+        // 偏移（秒）-> 绝对时间
+        const toTime = offset => recordedAt ? new Date(recordedAt.getTime() + offset * 1000) : null;
+
+        const results = await this.predictBatch(windows.map(window => window.data), sampleRate, {
+            batchSize,
+            updateHistory: false,
+            progressCallback,
+            requestGroup,
+            tta,
+            recordedAt: recordedAt ? windows.map(window => toTime(window.start)) : null
+        });
+
+        const windowResults = [];
+        let bestResult = null;
+
+        results.forEach((result, i) => {
+            windowResults.push({
+                start: windows[i].start,
+                end: windows[i].end,
+                class: result.class,
+                probability: result.probability,
+                isUnknown: result.isUnknown,
+                allProbabilities: result.allProbabilities,
+                timestamp: result.timestamp
+            });
+
+            if (!bestResult || result.probability > bestResult.probability) {
+                bestResult = result;
             }
+        });
 
-            // 8. 转换为TensorFlow.js张量
-            // 首先将二维数组展平为一维
-            const flattenedData = [];
-            for (let i = 0; i < n_mels; i++) {
-                for (let j = 0; j < targetTimeSteps; j++) {
-                    flattenedData.push(resizedMelSpec[i][j]);
-                }
+        const segments = this.mergeDetectionSegments(windowResults, { minConfidence, maxGap });
+
+        // 每个检测片段计为一次识别，有录制时间时按片段的实际发生时间记录
+        const analyzedAt = new Date();
+        segments.forEach(segment => {
+            if (recordedAt) {
+                segment.startTime = toTime(segment.start);
+                segment.endTime = toTime(segment.end);
             }
 
-            // 创建张量并重塑为所需形状 [1, n_mels, targetTimeSteps]
-            // 注意：模型期望的输入形状是 [batch, height, width]，不包含通道维度
-            const tensor = tf.tensor(flattenedData).reshape([1, n_mels, targetTimeSteps]);
+            this.updateRecognitionHistory({
+                class: segment.class,
+                probability: segment.peakConfidence,
+                start: segment.start,
+                end: segment.end,
+                modelId: bestResult.modelId,
+                modelVersion: bestResult.modelVersion,
+                timestamp: segment.startTime || analyzedAt
+            });
+        });
+
+        return { windows: windowResults, segments, bestResult };
+    }
+
+    /**
+     * 将连续、同类且置信度达标的窗口合并为检测片段
+     * @param {Array<Object>} windowResults - 按时间排序的逐窗口结果
+     * @param {Object} options - 选项
+     * @param {number} options.minConfidence - 最低置信度
+     * @param {number} options.maxGap - 允许的最大间隔（秒）
+     * @returns {Array<{class: string, start: number, end: number, peakConfidence: number, windowCount: number}>} - 检测片段
+     */
+    mergeDetectionSegments(windowResults, options = {}) {
+        const { minConfidence = 0.5, maxGap = 0 } = options;
+        const segments = [];
+        let current = null;
+
+        for (const window of windowResults) {
+            // 被拒识的窗口不构成检测，并结束当前片段（窗口重叠时，下一个同类窗口仍可能与当前片段相接）
+            if (window.isUnknown || window.probability < minConfidence) {
+                current = null;
+                continue;
+            }
+
+            if (current && current.class === window.class && window.start <= current.end + maxGap) {
+                current.end = Math.max(current.end, window.end);
+                current.peakConfidence = Math.max(current.peakConfidence, window.probability);
+                current.windowCount++;
+            } else {
+                current = {
+                    class: window.class,
+                    start: window.start,
+                    end: window.end,
+                    peakConfidence: window.probability,
+                    windowCount: 1
+                };
+                segments.push(current);
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * 获取（并缓存）指定采样率的梅尔频谱图计算器
+     * @param {number} sampleRate - 采样率
+     * @returns {MelSpectrogram} - 梅尔频谱图计算器
+     */
+    getMelSpectrogram(sampleRate) {
+        const nMels = this.inputShape[0];
+        const cached = this.melSpectrogram;
+
+        if (!cached || cached.sampleRate !== sampleRate || cached.nMels !== nMels) {
+            this.melSpectrogram = new MelSpectrogram({
+                ...this.featureConfig,
+                sampleRate,
+                nMels
+            });
+        }
+
+        return this.melSpectrogram;
+    }
+
+    /**
+     * 计算模型输入特征 - 归一化的对数梅尔频谱图
+     * @param {Float32Array} audioData - 音频数据
+     * @param {number} sampleRate - 采样率
+     * @returns {Float32Array} - 按 [n_mels][time] 行优先存储的特征，长度为 inputShape[0] * inputShape[1]
+     */
+    computeFeatures(audioData, sampleRate) {
+        const nMels = this.inputShape[0]; // 通常为128
+        const targetTimeSteps = this.inputShape[1]; // 通常为94
+
+        // 1. 对数梅尔频谱图（分贝，参考值为最大值）
+        const melSpec = this.getMelSpectrogram(sampleRate).compute(audioData);
+        const numFrames = melSpec.numFrames;
+        const melData = melSpec.data;
+
+        if (numFrames === 0) {
+            throw new Error('音频过短，无法提取特征');
+        }
+
+        // 2. 标准化到 [0, 1] 范围
+        let minVal = Infinity;
+        let maxVal = -Infinity;
+        for (let i = 0; i < melData.length; i++) {
+            if (melData[i] < minVal) minVal = melData[i];
+            if (melData[i] > maxVal) maxVal = melData[i];
+        }
+
+        const range = maxVal - minVal;
+        for (let i = 0; i < melData.length; i++) {
+            melData[i] = range > 0 ? (melData[i] - minVal) / range : 0;
+        }
+
+        // 3. 帧数与模型输入一致时直接返回（3秒16kHz音频居中分帧后正好94帧）
+        if (numFrames === targetTimeSteps) {
+            return melData;
+        }
+
+        // 否则沿时间轴线性插值到目标帧数
+        const features = new Float32Array(nMels * targetTimeSteps);
+        for (let i = 0; i < nMels; i++) {
+            const rowOffset = i * numFrames;
+            for (let j = 0; j < targetTimeSteps; j++) {
+                const srcIdx = targetTimeSteps > 1 ? j * (numFrames - 1) / (targetTimeSteps - 1) : 0;
+                const srcIdxFloor = Math.floor(srcIdx);
+                const srcIdxCeil = Math.min(srcIdxFloor + 1, numFrames - 1);
+                const alpha = srcIdx - srcIdxFloor;
+
+                features[i * targetTimeSteps + j] = (1 - alpha) * melData[rowOffset + srcIdxFloor] +
+                                                    alpha * melData[rowOffset + srcIdxCeil];
+            }
+        }
+
+        return features;
+    }
+
+    /**
+     * 提取音频特征 - 梅尔频谱图
+     * @param {Float32Array} audioData - 音频数据
+     * @param {number} sampleRate - 采样率
+     * @returns {tf.Tensor} - 音频特征张量，形状为 [1, inputShape[0], inputShape[1]]
+     */
+    async extractFeatures(audioData, sampleRate) {
+        try {
+            const [nMels, targetTimeSteps] = this.inputShape;
+            const features = this.computeFeatures(audioData, sampleRate);
 
-            // 清理资源
-            source.disconnect();
-            await audioContext.close();
+            // 注意：模型期望的输入形状是 [batch, height, width]，不包含通道维度
+            const tensor = tf.tensor3d(features, [1, nMels, targetTimeSteps]);
 
             console.log('特征提取完成，形状:', tensor.shape);
 
@@ -448,6 +1151,11 @@ class ModelLoader {
             this.recognitionHistory.shift();
         }
 
+        // 未知/背景结果只保留在历史记录中，不计入物种统计
+        if (result.isUnknown) {
+            return;
+        }
+
         // 更新当前会话物种计数
         this.speciesCount[result.class] = (this.speciesCount[result.class] || 0) + 1;
 
@@ -458,6 +1166,22 @@ class ModelLoader {
         this.saveHistoricalData();
     }
 
+    /**
+     * 记录一次检测事件（由 DetectionTracker 的 'start' 事件驱动），计入物种统计
+     * @param {Object} event - 检测事件，capture 为采集设备和参数（见 AudioProcessor.captureSettings）
+     */
+    recordDetectionEvent(event) {
+        this.updateRecognitionHistory({
+            class: event.class,
+            probability: event.peakConfidence,
+            startTime: event.startTime,
+            modelId: this.currentModelInfo ? this.currentModelInfo.id : null,
+            modelVersion: this.modelVersion,
+            capture: event.capture || null,
+            timestamp: event.endTime
+        });
+    }
+
     /**
      * 从本地存储加载历史数据
      */
@@ -582,8 +1306,19 @@ class ModelLoader {
             }
         }
 
+        // 终止推理Worker
+        this.detachInferenceWorker();
+
         // 清除其他资源
         this.isModelLoaded = false;
         this.model = null;
     }
+}
+
+// 被拒识结果使用的类别名
+ModelLoader.UNKNOWN_CLASS = 'unknown';
+
+// 供Node环境（特征一致性校验脚本）使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelLoader;
 }
\ No newline at end of file
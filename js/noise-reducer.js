@@ -0,0 +1,276 @@
+/**
+ * 降噪模块
+ * 基于噪声谱的频谱门限（spectral gating）：统计噪声每个频点的分贝均值和标准差作为门限，
+ * 低于门限的时频点按设定的分贝数衰减，再经重叠相加还原为波形。
+ * 噪声谱可从用户选定的纯背景片段学习，也可从音频本身或连续监测中自动估计
+ */
+class NoiseReducer {
+    /**
+     * @param {Object} options - 参数
+     * @param {number} options.sampleRate - 采样率，默认16000
+     * @param {number} options.nFft - 帧长（2的幂），默认1024
+     * @param {number} options.thresholdStd - 门限高出噪声均值的标准差倍数，默认1.5
+     * @param {number} options.minMarginDb - 门限至少高出噪声均值的分贝数（用于几乎不波动的嗡嗡声），默认3
+     * @param {number} options.reductionDb - 噪声部分的衰减量（dB），默认12
+     * @param {number} options.smoothingBins - 通过的频点向两侧扩展的频点数，默认1
+     * @param {number} options.releaseTime - 掩码从通过回落到衰减的时间常数（秒），默认0.1
+     * @param {number} options.adaptTime - 监测中自动更新噪声谱的时间常数（秒），默认10
+     */
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 16000;
+        this.nFft = options.nFft || 1024;
+        this.hopLength = this.nFft / 4;
+        this.thresholdStd = options.thresholdStd === undefined ? 1.5 : options.thresholdStd;
+        this.minMarginDb = options.minMarginDb === undefined ? 3 : options.minMarginDb;
+        this.reductionDb = options.reductionDb === undefined ? 12 : options.reductionDb;
+        this.smoothingBins = options.smoothingBins === undefined ? 1 : options.smoothingBins;
+        this.releaseTime = options.releaseTime === undefined ? 0.1 : options.releaseTime;
+        this.adaptTime = options.adaptTime || 10;
+
+        this.nBins = this.nFft / 2 + 1;
+
+        // 复用梅尔频谱模块中的FFT和汉宁窗
+        this.stft = new MelSpectrogram({ sampleRate: this.sampleRate, nFft: this.nFft, hopLength: this.hopLength, nMels: 1 });
+
+        // 噪声谱: { mean, std, source: 'learned' | 'auto', frames }
+        this.profile = null;
+    }
+
+    /**
+     * 从纯背景噪声片段学习噪声谱
+     * @param {Float32Array} samples - 只含背景噪声的音频
+     * @returns {Object} - 噪声谱
+     */
+    learnProfile(samples) {
+        const spectra = this.computeDecibels(samples);
+        if (spectra.numFrames === 0) {
+            throw new Error('噪声片段太短，无法学习噪声谱');
+        }
+
+        this.profile = { ...NoiseReducer.computeStatistics(spectra, 1), source: 'learned' };
+        return this.profile;
+    }
+
+    /**
+     * 从含有目标声音的音频中估计噪声谱：取整体能量最低的一部分帧统计（目标声音通常只占少数帧）
+     * @param {Float32Array} samples - 音频数据
+     * @param {number} quantile - 参与统计的低能量帧比例，默认0.5
+     * @returns {Object|null} - 噪声谱，音频太短时为null
+     */
+    estimateProfile(samples, quantile = 0.5) {
+        const spectra = this.computeDecibels(samples);
+        if (spectra.numFrames === 0) {
+            return null;
+        }
+        return { ...NoiseReducer.computeStatistics(spectra, quantile), source: 'auto' };
+    }
+
+    /**
+     * 用新的音频更新自动估计的噪声谱（连续监测时逐窗口调用）
+     * 看起来像噪声的时频点按 adaptTime 更新，高于门限的时频点以十分之一的速度更新，使噪声谱也能跟上变大的背景噪声
+     * 已学习的噪声谱不会被修改
+     * @param {Float32Array} samples - 音频数据
+     */
+    adaptProfile(samples) {
+        if (this.profile && this.profile.source === 'learned') return;
+
+        if (!this.profile) {
+            this.profile = this.estimateProfile(samples);
+            return;
+        }
+
+        const spectra = this.computeDecibels(samples);
+        const { mean, std } = this.profile;
+        const alpha = this.hopLength / this.sampleRate / this.adaptTime;
+
+        for (let t = 0; t < spectra.numFrames; t++) {
+            for (let k = 0; k < this.nBins; k++) {
+                const value = spectra.data[t * this.nBins + k];
+                const deviation = value - mean[k];
+                const rate = deviation < this.thresholdStd * std[k] ? alpha : alpha / 10;
+                mean[k] += rate * deviation;
+                std[k] = Math.sqrt(Math.max(0, std[k] * std[k] + rate * (deviation * deviation - std[k] * std[k])));
+            }
+        }
+        this.profile.frames += spectra.numFrames;
+    }
+
+    /**
+     * 清除噪声谱，之后改为从每段音频自动估计
+     */
+    resetProfile() {
+        this.profile = null;
+    }
+
+    /**
+     * 降噪
+     * @param {Float32Array} samples - 音频数据
+     * @returns {Float32Array} - 降噪后的音频，长度与输入相同
+     */
+    process(samples) {
+        const profile = this.profile || this.estimateProfile(samples);
+        if (!profile) {
+            return samples;
+        }
+
+        const n = this.nFft;
+        const hop = this.hopLength;
+        const pad = n / 2;
+        const window = this.stft.window;
+        const real = new Float64Array(n);
+        const imag = new Float64Array(n);
+
+        // 与 MelSpectrogram 相同的居中填充
+        const padded = new Float32Array(samples.length + 2 * pad);
+        padded.set(samples, pad);
+        const output = new Float64Array(padded.length);
+        const windowSum = new Float64Array(padded.length);
+
+        const floorGain = Math.pow(10, -this.reductionDb / 20);
+        const releaseCoefficient = Math.exp(-hop / this.sampleRate / this.releaseTime);
+        const threshold = new Float32Array(this.nBins);
+        for (let k = 0; k < this.nBins; k++) {
+            threshold[k] = profile.mean[k] + Math.max(this.thresholdStd * profile.std[k], this.minMarginDb);
+        }
+
+        const mask = new Float32Array(this.nBins);
+        const gain = new Float32Array(this.nBins);
+        const numFrames = padded.length < n ? 0 : 1 + Math.floor((padded.length - n) / hop);
+
+        for (let t = 0; t < numFrames; t++) {
+            const offset = t * hop;
+            for (let i = 0; i < n; i++) {
+                real[i] = padded[offset + i] * window[i];
+                imag[i] = 0;
+            }
+            this.stft.fft(real, imag);
+
+            // 高于门限的频点通过
+            for (let k = 0; k < this.nBins; k++) {
+                const decibels = 10 * Math.log10(real[k] * real[k] + imag[k] * imag[k] + 1e-10);
+                mask[k] = decibels > threshold[k] ? 1 : 0;
+            }
+
+            // 频率方向向相邻频点扩展（保留窄带音调的旁瓣）；时间方向立即打开、按 releaseTime 缓慢关闭，减少"音乐噪声"
+            for (let k = 0; k < this.nBins; k++) {
+                let target = 0;
+                for (let j = Math.max(0, k - this.smoothingBins); j <= Math.min(this.nBins - 1, k + this.smoothingBins); j++) {
+                    target = Math.max(target, mask[j]);
+                }
+                gain[k] = target >= gain[k] ? target : target + (gain[k] - target) * releaseCoefficient;
+            }
+
+            // 应用增益（保持共轭对称）
+            for (let k = 0; k < this.nBins; k++) {
+                const g = floorGain + (1 - floorGain) * gain[k];
+                real[k] *= g;
+                imag[k] *= g;
+                if (k > 0 && k < n / 2) {
+                    real[n - k] *= g;
+                    imag[n - k] *= g;
+                }
+            }
+
+            // 逆FFT: ifft(X) = conj(fft(conj(X))) / n
+            for (let i = 0; i < n; i++) {
+                imag[i] = -imag[i];
+            }
+            this.stft.fft(real, imag);
+
+            // 加窗重叠相加
+            for (let i = 0; i < n; i++) {
+                output[offset + i] += real[i] / n * window[i];
+                windowSum[offset + i] += window[i] * window[i];
+            }
+        }
+
+        const result = new Float32Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const norm = windowSum[pad + i];
+            result[i] = norm > 1e-8 ? output[pad + i] / norm : 0;
+        }
+        return result;
+    }
+
+    /**
+     * 计算逐帧各频点的功率分贝值
+     * @param {Float32Array} samples - 音频数据
+     * @returns {{data: Float32Array, numFrames: number}} - 按 [frame][bin] 存储
+     */
+    computeDecibels(samples) {
+        const { data, numFrames } = this.stft.powerSpectrogram(samples);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = 10 * Math.log10(data[i] + 1e-10);
+        }
+        return { data, numFrames };
+    }
+
+    /**
+     * 导出噪声谱（用于保存到本地存储）
+     * @returns {Object|null}
+     */
+    exportProfile() {
+        if (!this.profile) return null;
+        return {
+            sampleRate: this.sampleRate,
+            nFft: this.nFft,
+            source: this.profile.source,
+            frames: this.profile.frames,
+            mean: Array.from(this.profile.mean),
+            std: Array.from(this.profile.std)
+        };
+    }
+
+    /**
+     * 导入噪声谱，采样率或帧长不一致时忽略
+     * @param {Object} data - exportProfile 的结果
+     * @returns {boolean} - 是否导入成功
+     */
+    importProfile(data) {
+        if (!data || data.sampleRate !== this.sampleRate || data.nFft !== this.nFft ||
+            !Array.isArray(data.mean) || data.mean.length !== this.nBins) {
+            return false;
+        }
+
+        this.profile = {
+            mean: Float32Array.from(data.mean),
+            std: Float32Array.from(data.std),
+            source: data.source,
+            frames: data.frames
+        };
+        return true;
+    }
+
+    /**
+     * 选出整体能量最低的一部分帧，统计各频点的分贝均值和标准差
+     * @param {{data: Float32Array, numFrames: number}} spectra - 逐帧分贝值
+     * @param {number} quantile - 参与统计的帧比例，1 表示全部帧
+     * @returns {{mean: Float32Array, std: Float32Array, frames: number}}
+     */
+    static computeStatistics(spectra, quantile) {
+        const { data, numFrames } = spectra;
+        const nBins = data.length / numFrames;
+        const count = Math.max(1, Math.round(numFrames * quantile));
+
+        // 按帧平均分贝值排序，目标声音所在的帧能量较高，被排除在外
+        const frameLevels = [];
+        for (let t = 0; t < numFrames; t++) {
+            let sum = 0;
+            for (let k = 0; k < nBins; k++) sum += data[t * nBins + k];
+            frameLevels.push({ t, level: sum / nBins });
+        }
+        const frames = frameLevels.sort((a, b) => a.level - b.level).slice(0, count).map(frame => frame.t);
+
+        const mean = new Float32Array(nBins);
+        const std = new Float32Array(nBins);
+        frames.forEach(t => {
+            for (let k = 0; k < nBins; k++) mean[k] += data[t * nBins + k] / count;
+        });
+        frames.forEach(t => {
+            for (let k = 0; k < nBins; k++) std[k] += (data[t * nBins + k] - mean[k]) ** 2 / count;
+        });
+        for (let k = 0; k < nBins; k++) std[k] = Math.sqrt(std[k]);
+
+        return { mean, std, frames: numFrames };
+    }
+}
@@ -1,15 +1,34 @@
 /**
  * 阿里云OSS客户端
  * 负责音频上传和下载功能
+ * 凭证模式 credentialMode:
+ *   'sts'    - 只使用 stsEndpoint 签发的临时凭证，过期前自动刷新，凭证失效的请求刷新后重试一次
+ *   'static' - 使用配置中的长期 accessKeyId / accessKeySecret（仅用于本地调试，会暴露在浏览器中）
  */
 class OssClient {
-    constructor() {
+    /**
+     * @param {Object} options - 参数
+     * @param {Function} options.onCredentialStatus - STS凭证获取失败或恢复时的回调，
+     *   参数为 null（凭证可用）或 { message, failures, retrying }
+     */
+    constructor(options = {}) {
         // OSS配置，实际使用时请替换为您的配置
         this.region = '';
         this.accessKeyId = '';
         this.accessKeySecret = '';
         this.bucket = '';
         this.endpoint = '';
+        this.credentialMode = 'sts';
+        this.stsEndpoint = '/api/sts-token';
+
+        // 当前STS临时凭证、定时刷新和进行中的刷新请求
+        this.stsCredentials = null;
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+
+        // 连续获取STS凭证失败的次数，用于退避和停止自动重试
+        this.stsFailures = 0;
+        this.onCredentialStatus = options.onCredentialStatus || null;
         
         // OSS客户端实例
         this.ossClient = null;
@@ -30,10 +49,24 @@ class OssClient {
             if (response.ok) {
                 const config = await response.json();
                 this.region = config.region || '';
-                this.accessKeyId = config.accessKeyId || '';
-                this.accessKeySecret = config.accessKeySecret || '';
                 this.bucket = config.bucket || '';
                 this.endpoint = config.endpoint || '';
+                this.credentialMode = config.credentialMode || 'sts';
+                this.stsEndpoint = config.stsEndpoint || this.stsEndpoint;
+
+                if (this.credentialMode === 'sts') {
+                    // STS模式下忽略配置中的长期密钥，避免误用
+                    if (config.accessKeyId || config.accessKeySecret) {
+                        console.warn('OSS配置为STS模式，已忽略其中的 accessKeyId / accessKeySecret');
+                    }
+                    if (this.region && this.bucket) {
+                        await this.refreshStsToken();
+                    }
+                    return;
+                }
+
+                this.accessKeyId = config.accessKeyId || '';
+                this.accessKeySecret = config.accessKeySecret || '';
                 
                 // 如果所有必要信息都存在，则初始化OSS客户端
                 if (this.region && this.accessKeyId && this.accessKeySecret && this.bucket) {
@@ -55,8 +88,13 @@ class OssClient {
         this.accessKeySecret = config.accessKeySecret || this.accessKeySecret;
         this.bucket = config.bucket || this.bucket;
         this.endpoint = config.endpoint || this.endpoint;
+        this.credentialMode = config.credentialMode || this.credentialMode;
+        this.stsEndpoint = config.stsEndpoint || this.stsEndpoint;
         
         // 重新初始化客户端
+        if (this.credentialMode === 'sts') {
+            return this.refreshStsToken();
+        }
         this.initializeClient();
     }
 
@@ -100,16 +138,25 @@ class OssClient {
 
     /**
      * 获取STS临时凭证
-     * @returns {Promise<Object>} - STS临时凭证
+     * 兼容直接返回凭证和阿里云 AssumeRole 响应（凭证位于 Credentials 字段）两种格式
+     * @returns {Promise<Object>} - STS临时凭证 { AccessKeyId, AccessKeySecret, SecurityToken, Expiration }
      */
     async getStsToken() {
         try {
-            const response = await fetch('/api/sts-token');
+            const response = await fetch(this.stsEndpoint, { cache: 'no-store' });
             if (!response.ok) {
                 throw new Error(`HTTP错误 ${response.status}`);
             }
             
-            const stsData = await response.json();
+            const body = await response.json();
+            const stsData = body.Credentials || body;
+            const missing = ['AccessKeyId', 'AccessKeySecret', 'SecurityToken', 'Expiration'].filter(key => !stsData[key]);
+            if (missing.length > 0) {
+                throw new Error(`STS凭证缺少字段: ${missing.join(', ')}`);
+            }
+            if (isNaN(new Date(stsData.Expiration).getTime())) {
+                throw new Error(`STS凭证的过期时间无效: ${stsData.Expiration}`);
+            }
             return stsData;
         } catch (error) {
             console.error('获取STS临时凭证失败:', error);
@@ -144,8 +191,9 @@ class OssClient {
                 useFetch: true
             });
             
+            this.stsCredentials = stsData;
             this.isInitialized = true;
-            console.log('OSS客户端(STS)初始化成功');
+            console.log(`OSS客户端(STS)初始化成功，凭证有效期至 ${new Date(stsData.Expiration).toLocaleString()}`);
             return true;
         } catch (error) {
             console.error('OSS客户端(STS)初始化失败:', error);
@@ -154,6 +202,118 @@ class OssClient {
         }
     }
 
+    /**
+     * 获取新的STS凭证并重新初始化客户端，同时只进行一次刷新
+     * @returns {Promise<boolean>} - 是否成功
+     */
+    refreshStsToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                try {
+                    const stsData = await this.getStsToken();
+                    const initialized = this.initWithStsToken(stsData);
+                    if (initialized) {
+                        if (this.stsFailures > 0 && this.onCredentialStatus) {
+                            this.onCredentialStatus(null);
+                        }
+                        this.stsFailures = 0;
+                        this.scheduleStsRefresh();
+                    }
+                    return initialized;
+                } catch (error) {
+                    // 刷新失败时按指数退避重试，当前凭证在过期前仍可使用；
+                    // 连续失败过多（例如部署中没有凭证接口）时停止自动重试，之后只在上传或手动重试时再获取
+                    this.stsFailures++;
+                    const retrying = this.stsFailures < OssClient.STS_MAX_FAILURES;
+                    if (retrying) {
+                        this.scheduleStsRefresh(Math.min(
+                            OssClient.STS_RETRY_MAX_DELAY,
+                            OssClient.STS_RETRY_DELAY * Math.pow(2, this.stsFailures - 1)
+                        ));
+                    } else {
+                        clearTimeout(this.refreshTimer);
+                        console.error(`已连续 ${this.stsFailures} 次无法获取STS凭证，停止自动刷新`);
+                    }
+                    if (this.onCredentialStatus) {
+                        this.onCredentialStatus({ message: error.message, failures: this.stsFailures, retrying });
+                    }
+                    return false;
+                } finally {
+                    this.refreshPromise = null;
+                }
+            })();
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * 安排下一次刷新：默认在凭证过期前 STS_REFRESH_MARGIN 毫秒（有效期较短时在剩余时间过半时）
+     * @param {number|null} delay - 指定延迟（毫秒），null 表示按过期时间计算
+     */
+    scheduleStsRefresh(delay = null) {
+        clearTimeout(this.refreshTimer);
+
+        if (delay === null) {
+            const remaining = new Date(this.stsCredentials.Expiration).getTime() - Date.now();
+            delay = Math.max(remaining - OssClient.STS_REFRESH_MARGIN, remaining / 2, 0);
+        }
+        this.refreshTimer = setTimeout(() => this.refreshStsToken(), delay);
+    }
+
+    /**
+     * STS模式下凭证即将过期（例如页面休眠导致定时器延迟）时先刷新
+     */
+    async ensureFreshCredentials() {
+        if (this.credentialMode !== 'sts') return;
+
+        const expiresAt = this.stsCredentials ? new Date(this.stsCredentials.Expiration).getTime() : 0;
+        if (expiresAt - Date.now() < OssClient.STS_REFRESH_MARGIN / 2) {
+            await this.refreshStsToken();
+        }
+    }
+
+    /**
+     * 执行OSS请求；STS模式下先确保凭证可用（尚未获取或之前获取失败时在此获取），凭证失效导致失败时刷新凭证后重试一次
+     * @param {Function} operation - 发起请求的函数，每次调用都使用当前的 ossClient
+     * @returns {Promise<*>} - 请求结果
+     */
+    async withCredentials(operation) {
+        await this.ensureFreshCredentials();
+        this.checkInitialized();
+
+        try {
+            return await operation();
+        } catch (error) {
+            if (this.credentialMode !== 'sts' || !OssClient.isCredentialError(error)) {
+                throw error;
+            }
+
+            console.warn('OSS凭证失效，刷新后重试:', error.code || error.status);
+            if (!(await this.refreshStsToken())) {
+                throw error;
+            }
+            return operation();
+        }
+    }
+
+    /**
+     * 判断错误是否由凭证过期或无效引起
+     * @param {Error} error - OSS SDK抛出的错误
+     * @returns {boolean}
+     */
+    static isCredentialError(error) {
+        return Boolean(error) && (error.status === 401 || error.status === 403 ||
+            OssClient.CREDENTIAL_ERROR_CODES.includes(error.code));
+    }
+
+    /**
+     * 是否已配置OSS（凭证可能暂时不可用，如离线时无法获取STS凭证）
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return Boolean(this.region && this.bucket);
+    }
+
     /**
      * 检查是否已初始化
      * @throws {Error} 如果未初始化则抛出错误
@@ -169,47 +329,89 @@ class OssClient {
      * @param {Blob} audioBlob - 音频Blob对象
      * @param {string} fileName - 文件名
      * @param {Function} progressCallback - 进度回调函数
-     * @returns {Promise<string>} - OSS文件URL
+     * @param {Object} options - 选项
+     * @param {Object} options.metadata - 识别结果元数据，见 AudioMetadata.fromResult；
+     *                                    作为 x-oss-meta-* 请求头附加到对象上，WAV文件还会写入 LIST-INFO 和 guan 块
+     * @param {Object} options.sidecar - 伴随JSON内容，见 AudioMetadata.buildSidecar，上传为 "<对象名>.json"
+     * @returns {Promise<Object>} - { url, name, etag, sidecar }，sidecar 为伴随JSON的对象名，未上传时为null
      */
-    async uploadAudio(audioBlob, fileName, progressCallback = null) {
-        this.checkInitialized();
-        
+    async uploadAudio(audioBlob, fileName, progressCallback = null, options = {}) {
         try {
+            // 确定MIME类型，并保证文件扩展名与之一致
+            const mimeType = audioBlob.type || AudioProcessor.getMimeType(fileName);
+            const objectFileName = AudioProcessor.withFileExtension(fileName, mimeType);
+
+            // WAV文件写入识别结果，下载后无需对照数据库即可知道内容
+            if (options.metadata && AudioProcessor.getFileExtension(mimeType) === 'wav') {
+                try {
+                    const tagged = AudioMetadata.embedInWav(await audioBlob.arrayBuffer(), options.metadata);
+                    if (tagged) {
+                        audioBlob = new Blob([tagged], { type: mimeType });
+                    }
+                } catch (metadataError) {
+                    console.warn('写入WAV元数据失败，上传原始文件:', metadataError);
+                }
+            }
+
             // 生成唯一文件名
             const timestamp = new Date().getTime();
-            const uniqueFileName = `audio/${timestamp}_${fileName}`;
+            const uniqueFileName = `audio/${timestamp}_${objectFileName}`;
+            const sidecarName = options.sidecar ? `${uniqueFileName}.json` : null;
+
+            // 识别结果作为对象元数据，不下载文件也能按物种检索
+            const meta = options.metadata
+                ? AudioMetadata.buildObjectMeta(options.metadata, sidecarName ? { sidecar: sidecarName } : {})
+                : undefined;
             
             // 使用普通上传替代分片上传
             let result;
             
             // 对于小文件（小于1MB），使用普通上传
             if (audioBlob.size < 1024 * 1024) {
-                result = await this.ossClient.put(uniqueFileName, audioBlob);
+                result = await this.withCredentials(() => this.ossClient.put(uniqueFileName, audioBlob, { mime: mimeType, meta }));
             } else {
                 // 对于大文件，仍然使用分片上传，但添加额外的选项
-                result = await this.ossClient.multipartUpload(uniqueFileName, audioBlob, {
+                result = await this.withCredentials(() => this.ossClient.multipartUpload(uniqueFileName, audioBlob, {
                     progress: (p) => {
                         if (progressCallback) {
                             progressCallback(p * 100);
                         }
                     },
                     // 添加自定义MIME类型
-                    mime: audioBlob.type || 'audio/wav',
+                    mime: mimeType,
+                    meta,
                     // 添加自定义头信息
                     headers: {
                         'x-oss-forbid-overwrite': 'true',
                         'Cache-Control': 'max-age=86400'
                     }
-                });
+                }));
             }
             
+            // 上传伴随JSON；音频已上传成功，伴随文件失败只记录警告
+            let sidecar = null;
+            if (sidecarName) {
+                try {
+                    const sidecarBlob = new Blob([JSON.stringify({
+                        ...options.sidecar,
+                        audioObject: uniqueFileName,
+                        uploadedAt: new Date(timestamp)
+                    }, null, 2)], { type: 'application/json' });
+                    await this.withCredentials(() => this.ossClient.put(sidecarName, sidecarBlob, { mime: 'application/json', meta }));
+                    sidecar = sidecarName;
+                } catch (sidecarError) {
+                    console.warn('伴随JSON上传失败:', sidecarError);
+                }
+            }
+
             // 获取文件URL
             const fileUrl = this.ossClient.signatureUrl(uniqueFileName);
             
             return {
                 url: fileUrl,
                 name: uniqueFileName,
-                etag: result.etag || result.res.headers.etag
+                etag: result.etag || result.res.headers.etag,
+                sidecar
             };
         } catch (error) {
             console.error('音频上传失败:', error);
@@ -223,14 +425,13 @@ class OssClient {
      * @returns {Promise<Blob>} - 音频Blob对象
      */
     async downloadAudio(fileName) {
-        this.checkInitialized();
-        
         try {
             // 获取文件
-            const result = await this.ossClient.get(fileName);
+            const result = await this.withCredentials(() => this.ossClient.get(fileName));
             
-            // 将Buffer转换为Blob
-            const audioBlob = new Blob([result.content], { type: 'audio/wav' });
+            // 将Buffer转换为Blob，类型以服务端记录为准，缺失时按扩展名推断
+            const contentType = result.res && result.res.headers && result.res.headers['content-type'];
+            const audioBlob = new Blob([result.content], { type: contentType || AudioProcessor.getMimeType(fileName) });
             
             return audioBlob;
         } catch (error) {
@@ -245,8 +446,6 @@ class OssClient {
      * @returns {Promise<Array>} - 文件列表
      */
     async listAudioFiles(prefix = 'audio/') {
-        this.checkInitialized();
-        
         try {
             // 设置列表参数
             const options = {
@@ -255,7 +454,7 @@ class OssClient {
             };
             
             // 获取文件列表
-            const result = await this.ossClient.list(options);
+            const result = await this.withCredentials(() => this.ossClient.list(options));
             
             return result.objects || [];
         } catch (error) {
@@ -270,10 +469,8 @@ class OssClient {
      * @returns {Promise<boolean>} - 是否成功删除
      */
     async deleteFile(fileName) {
-        this.checkInitialized();
-        
         try {
-            await this.ossClient.delete(fileName);
+            await this.withCredentials(() => this.ossClient.delete(fileName));
             return true;
         } catch (error) {
             console.error('文件删除失败:', error);
@@ -298,4 +495,25 @@ class OssClient {
             throw error;
         }
     }
-} 
\ No newline at end of file
+}
+
+// STS凭证在过期前多久刷新（毫秒）
+OssClient.STS_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// STS凭证刷新失败后第一次重试的间隔（毫秒），之后每次失败加倍
+OssClient.STS_RETRY_DELAY = 30 * 1000;
+
+// STS凭证刷新重试的最长间隔（毫秒）
+OssClient.STS_RETRY_MAX_DELAY = 10 * 60 * 1000;
+
+// 连续失败多少次后停止自动刷新
+OssClient.STS_MAX_FAILURES = 6;
+
+// 表示凭证过期或无效的OSS错误码
+OssClient.CREDENTIAL_ERROR_CODES = [
+    'InvalidAccessKeyId',
+    'SecurityTokenExpired',
+    'InvalidSecurityToken',
+    'SignatureDoesNotMatch',
+    'AccessDenied'
+];
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * PCM环形缓冲区
+ * 保存最近一段连续采集的音频，按绝对采样点位置读取，用于切分重叠的分析窗口
+ */
+class PcmRingBuffer {
+    /**
+     * @param {number} capacity - 容量（采样点数）
+     */
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.buffer = new Float32Array(capacity);
+        this.totalWritten = 0; // 累计写入的采样点数，即下一个采样点的绝对位置
+    }
+
+    /**
+     * 写入采样点，超出容量时覆盖最早的数据
+     * @param {Float32Array} samples - 采样点
+     */
+    write(samples) {
+        // 单次写入超过容量时只保留末尾部分
+        const data = samples.length > this.capacity ? samples.subarray(samples.length - this.capacity) : samples;
+        const skipped = samples.length - data.length;
+
+        let position = (this.totalWritten + skipped) % this.capacity;
+        const firstPart = Math.min(data.length, this.capacity - position);
+        this.buffer.set(data.subarray(0, firstPart), position);
+        if (firstPart < data.length) {
+            this.buffer.set(data.subarray(firstPart), 0);
+        }
+
+        this.totalWritten += samples.length;
+    }
+
+    /**
+     * 最早仍可读取的绝对位置
+     * @returns {number}
+     */
+    get oldestAvailable() {
+        return Math.max(0, this.totalWritten - this.capacity);
+    }
+
+    /**
+     * 读取一段连续的采样点（返回副本）
+     * @param {number} start - 起始绝对位置
+     * @param {number} length - 长度
+     * @returns {Float32Array} - 采样点
+     */
+    read(start, length) {
+        if (start < this.oldestAvailable || start + length > this.totalWritten) {
+            throw new Error(`环形缓冲区中没有所需数据: [${start}, ${start + length})`);
+        }
+
+        const result = new Float32Array(length);
+        const position = start % this.capacity;
+        const firstPart = Math.min(length, this.capacity - position);
+        result.set(this.buffer.subarray(position, position + firstPart));
+        if (firstPart < length) {
+            result.set(this.buffer.subarray(0, length - firstPart), firstPart);
+        }
+
+        return result;
+    }
+
+    /**
+     * 清空缓冲区
+     */
+    reset() {
+        this.buffer.fill(0);
+        this.totalWritten = 0;
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * 离线上传队列模块
+ * 上传失败或离线时把音频Blob及其上传参数保存到IndexedDB，页面刷新后仍然保留；
+ * 按指数退避重试，网络恢复（online事件）时立即尝试上传
+ */
+class UploadQueue {
+    /**
+     * @param {OssClient} ossClient - OSS客户端
+     * @param {Object} options - 参数
+     * @param {number} options.baseDelay - 第一次重试的等待时间（毫秒），默认10000
+     * @param {number} options.maxDelay - 最长等待时间（毫秒），默认30分钟
+     * @param {Function} options.onChange - 队列变化时的回调，参数为 list() 的结果
+     */
+    constructor(ossClient, options = {}) {
+        this.ossClient = ossClient;
+        this.baseDelay = options.baseDelay || 10000;
+        this.maxDelay = options.maxDelay || 30 * 60 * 1000;
+        this.onChange = options.onChange || null;
+
+        this.db = null;
+        this.isDraining = false;
+        this.drainTimer = null;
+    }
+
+    /**
+     * 打开数据库，开始监听网络恢复，并尝试上传已有的队列
+     * @returns {Promise<boolean>} - 浏览器是否支持IndexedDB
+     */
+    async start() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('当前浏览器不支持IndexedDB，无法保存待上传音频');
+            return false;
+        }
+
+        this.db = await UploadQueue.openDatabase();
+
+        window.addEventListener('online', () => {
+            console.log('网络已恢复，开始上传队列中的音频');
+            this.drain(true);
+        });
+
+        await this.notifyChange();
+        this.drain();
+        return true;
+    }
+
+    /**
+     * 打开（必要时创建）队列数据库
+     * @returns {Promise<IDBDatabase>}
+     */
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(UploadQueue.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(UploadQueue.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 在队列存储上执行一次操作
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} - 请求结果
+     */
+    request(mode, operation) {
+        if (!this.db) {
+            return Promise.reject(new Error('上传队列未初始化'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(UploadQueue.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(UploadQueue.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB事务已中止'));
+        });
+    }
+
+    /**
+     * 加入上传队列
+     * @param {Blob} blob - 音频
+     * @param {string} fileName - 文件名
+     * @param {Object} uploadOptions - 传给 OssClient.uploadAudio 的选项 { metadata, sidecar }
+     * @param {string|null} lastError - 加入队列的原因（首次上传失败的错误信息）
+     * @returns {Promise<number>} - 队列项ID
+     */
+    async enqueue(blob, fileName, uploadOptions = {}, lastError = null) {
+        const now = Date.now();
+        const id = await this.request('readwrite', store => store.add({
+            blob,
+            fileName,
+            uploadOptions,
+            createdAt: now,
+            attempts: 0,
+            nextAttemptAt: now + this.baseDelay,
+            lastError
+        }));
+
+        console.log(`已加入上传队列: ${fileName}`);
+        await this.notifyChange();
+        this.scheduleDrain();
+        return id;
+    }
+
+    /**
+     * 获取队列中的全部项，按加入时间排序
+     * @returns {Promise<Array<Object>>}
+     */
+    async list() {
+        const items = await this.request('readonly', store => store.getAll());
+        return items.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * 从队列中删除
+     * @param {number} id - 队列项ID
+     */
+    async remove(id) {
+        await this.request('readwrite', store => store.delete(id));
+        await this.notifyChange();
+    }
+
+    /**
+     * 依次上传到期的队列项；失败时按指数退避推迟下一次尝试
+     * @param {boolean} force - 是否忽略退避时间立即尝试所有项（网络恢复或手动重试时）
+     * @returns {Promise<number>} - 本次成功上传的数量
+     */
+    async drain(force = false) {
+        if (!this.db || this.isDraining) return 0;
+
+        // 离线时不尝试，等待online事件
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return 0;
+        }
+
+        const items = await this.list().catch(() => []);
+        if (items.length === 0) return 0;
+
+        // OSS配置尚未加载完成时稍后再试，不计入重试次数
+        if (!this.ossClient.isConfigured()) {
+            clearTimeout(this.drainTimer);
+            this.drainTimer = setTimeout(() => this.drain(force), this.baseDelay);
+            return 0;
+        }
+
+        this.isDraining = true;
+        let uploaded = 0;
+        try {
+            // STS凭证在离线时可能获取失败，重新获取后再上传
+            if (!this.ossClient.isInitialized && this.ossClient.credentialMode === 'sts') {
+                await this.ossClient.refreshStsToken();
+            }
+
+            const now = Date.now();
+            const dueItems = items.filter(item => force || item.nextAttemptAt <= now);
+
+            for (const item of dueItems) {
+                try {
+                    const result = await this.ossClient.uploadAudio(item.blob, item.fileName, null, item.uploadOptions);
+                    await this.request('readwrite', store => store.delete(item.id));
+                    uploaded++;
+                    console.log(`队列中的音频上传成功: ${item.fileName} -> ${result.name}`);
+                } catch (error) {
+                    const attempts = item.attempts + 1;
+                    const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempts));
+                    await this.request('readwrite', store => store.put({
+                        ...item,
+                        attempts,
+                        nextAttemptAt: Date.now() + delay,
+                        lastError: error.message
+                    }));
+                    console.warn(`队列中的音频上传失败（第 ${attempts} 次），${Math.round(delay / 1000)} 秒后重试: ${item.fileName}`, error);
+                }
+            }
+        } catch (error) {
+            console.error('处理上传队列失败:', error);
+        } finally {
+            this.isDraining = false;
+        }
+
+        await this.notifyChange();
+        this.scheduleDrain();
+        return uploaded;
+    }
+
+    /**
+     * 在最早到期的队列项到期时再次处理队列
+     */
+    async scheduleDrain() {
+        clearTimeout(this.drainTimer);
+        this.drainTimer = null;
+
+        const items = await this.list().catch(() => []);
+        if (items.length === 0) return;
+
+        const nextAttemptAt = Math.min(...items.map(item => item.nextAttemptAt));
+        this.drainTimer = setTimeout(() => this.drain(), Math.max(0, nextAttemptAt - Date.now()));
+    }
+
+    /**
+     * 通知队列变化
+     */
+    async notifyChange() {
+        if (!this.onChange) return;
+
+        try {
+            this.onChange(await this.list());
+        } catch (error) {
+            console.error('读取上传队列失败:', error);
+        }
+    }
+}
+
+// IndexedDB数据库和对象存储名称
+UploadQueue.DB_NAME = 'wildlifeUploadQueue';
+UploadQueue.STORE_NAME = 'uploads';
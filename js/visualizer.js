@@ -187,4 +187,94 @@ class AudioVisualizer {
         this.gradient.addColorStop(0.5, '#4caf50');
         this.gradient.addColorStop(1, '#8bc34a');
     }
-} 
\ No newline at end of file
+
+    /**
+     * 绘制整段音频的频谱图（覆盖到奈奎斯特频率），并标出超声波段
+     * @param {HTMLCanvasElement} canvas - 画布
+     * @param {Float32Array} samples - 单声道数据
+     * @param {number} sampleRate - 采样率
+     * @param {Object} options - 选项
+     * @param {number} options.frequencyScale - 频率换算倍数，文件已做时间扩展时为扩展倍数，使坐标显示实际频率，默认1
+     * @param {number} options.ultrasonicFrequency - 超声波段下限（Hz），默认 AudioVisualizer.ULTRASONIC_FREQUENCY
+     * @param {number} options.dynamicRange - 显示的动态范围（dB），默认80
+     */
+    static drawSpectrogram(canvas, samples, sampleRate, options = {}) {
+        const {
+            frequencyScale = 1,
+            ultrasonicFrequency = AudioVisualizer.ULTRASONIC_FREQUENCY,
+            dynamicRange = 80
+        } = options;
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        // 帧数与画布宽度相当，长音频增大帧移
+        const nFft = 512;
+        const stft = new MelSpectrogram({
+            sampleRate,
+            nFft,
+            hopLength: Math.max(nFft / 4, Math.ceil(samples.length / width)),
+            nMels: 1
+        });
+        const power = stft.powerSpectrogram(samples);
+        if (power.numFrames === 0) return;
+
+        const decibels = new Float32Array(power.data.length);
+        let maxDb = -Infinity;
+        for (let i = 0; i < power.data.length; i++) {
+            decibels[i] = 10 * Math.log10(power.data[i] + 1e-12);
+            if (decibels[i] > maxDb) maxDb = decibels[i];
+        }
+
+        // 低能量为背景色，高能量为主题深绿色
+        const low = [249, 249, 249];
+        const high = [27, 67, 50];
+        const image = ctx.createImageData(width, height);
+        for (let x = 0; x < width; x++) {
+            const frame = Math.min(power.numFrames - 1, Math.floor(x * power.numFrames / width));
+            for (let y = 0; y < height; y++) {
+                const bin = Math.min(power.nBins - 1, Math.floor((height - 1 - y) / height * power.nBins));
+                const level = Math.max(0, Math.min(1, 1 - (maxDb - decibels[frame * power.nBins + bin]) / dynamicRange));
+                const pixel = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    image.data[pixel + c] = low[c] + (high[c] - low[c]) * level;
+                }
+                image.data[pixel + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+
+        const maxFrequency = sampleRate / 2 * frequencyScale;
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#333';
+
+        // 超声波段：着色并标出下限
+        if (maxFrequency > ultrasonicFrequency) {
+            const y = height * (1 - ultrasonicFrequency / maxFrequency);
+            ctx.fillStyle = 'rgba(33, 150, 243, 0.12)';
+            ctx.fillRect(0, 0, width, y);
+
+            ctx.strokeStyle = '#2196f3';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = '#1565c0';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`超声波段 ≥${ultrasonicFrequency / 1000} kHz`, 4, y - 2);
+        }
+
+        ctx.fillStyle = '#333';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${(maxFrequency / 1000).toFixed(0)} kHz`, 4, 2);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('0 Hz', 4, height - 2);
+    }
+}
+
+// 人耳可听上限，高于此频率视为超声
+AudioVisualizer.ULTRASONIC_FREQUENCY = 20000; 
\ No newline at end of file
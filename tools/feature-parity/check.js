@@ -0,0 +1,131 @@
+/**
+ * 特征一致性校验脚本
+ * 用 fixtures/ 中的WAV走一遍与浏览器端相同的预处理流程
+ * （AudioDecoder.decode -> AudioProcessor.resampleAudio（默认质量、混合声道） -> normalizeAudioLength（循环填充） -> ModelLoader.computeFeatures），
+ * 与训练端生成的期望特征逐元素比较，超出容差时以非零状态码退出。
+ * 重采样的夹具不比较首尾 edgeFrames 帧（边界处理因重采样器而异，见 generate_fixtures.py）
+ *
+ * 用法: node tools/feature-parity/check.js [--verbose] [--require-librosa]
+ *   --require-librosa  期望值不是由 librosa 生成时视为失败
+ * 重新生成夹具: python3 tools/feature-parity/generate_fixtures.py
+ */
+const fs = require('fs');
+const path = require('path');
+
+global.MelSpectrogram = require('../../js/mel-spectrogram.js');
+const AudioProcessor = require('../../js/audio-processor.js');
+const AudioDecoder = require('../../js/audio-decoder.js');
+const ModelLoader = require('../../js/model-loader.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * 读取 float32 C顺序 .npy 文件
+ * @param {Buffer} buffer - 文件内容
+ * @returns {{shape: number[], data: Float32Array}} - 数组
+ */
+function readNpy(buffer) {
+    if (buffer.readUInt8(0) !== 0x93 || buffer.toString('ascii', 1, 6) !== 'NUMPY') {
+        throw new Error('不是有效的.npy文件');
+    }
+
+    const major = buffer.readUInt8(6);
+    const headerLength = major === 1 ? buffer.readUInt16LE(8) : buffer.readUInt32LE(8);
+    const headerStart = major === 1 ? 10 : 12;
+    const header = buffer.toString('latin1', headerStart, headerStart + headerLength);
+
+    if (!header.includes("'<f4'") || header.includes("'fortran_order': True")) {
+        throw new Error('仅支持 <f4 C顺序数组: ' + header.trim());
+    }
+
+    const shape = header.match(/'shape':\s*\(([^)]*)\)/)[1]
+        .split(',').map(s => s.trim()).filter(Boolean).map(Number);
+    const dataStart = headerStart + headerLength;
+    const count = shape.reduce((a, b) => a * b, 1);
+    const data = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        data[i] = buffer.readFloatLE(dataStart + i * 4);
+    }
+
+    return { shape, data };
+}
+
+function main() {
+    const verbose = process.argv.includes('--verbose');
+    const requireLibrosa = process.argv.includes('--require-librosa');
+    const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'manifest.json'), 'utf8'));
+
+    // 只有 librosa 生成的期望值能发现与训练端的差异，其他后端只是同一算法的独立实现
+    if (manifest.backend !== 'librosa') {
+        if (requireLibrosa) {
+            console.log(`FAIL  期望值后端为 ${manifest.backend}，必须为 librosa，请安装 librosa 后重新生成夹具`);
+            process.exitCode = 1;
+            return;
+        }
+        console.warn(`WARN  期望值由 ${manifest.backend} 参考实现生成，未与 librosa 比对；安装 librosa 后请重新生成夹具`);
+    }
+
+    const audioProcessor = new AudioProcessor(null);
+    const modelLoader = new ModelLoader();
+    let failures = 0;
+
+    console.log(`期望值后端: ${manifest.backend} ${manifest.backendVersion || ''}`.trim());
+
+    for (const fixture of manifest.fixtures) {
+        // 与浏览器上传路径使用同一个WAV解码器
+        const audioBuffer = AudioDecoder.decode(fs.readFileSync(path.join(FIXTURE_DIR, fixture.wav)));
+        const expected = readNpy(fs.readFileSync(path.join(FIXTURE_DIR, fixture.expected)));
+
+        modelLoader.inputShape = expected.shape;
+
+        const resampled = audioProcessor.resampleAudio(audioBuffer, manifest.sampleRate);
+        // 与 generate_fixtures.py 的 normalize_length 一致：循环填充，夹具不超过目标时长
+        const normalized = audioProcessor.normalizeAudioLength(resampled, manifest.sampleRate, manifest.duration, {
+            padding: 'repeat',
+            cropping: 'center'
+        });
+        const actual = modelLoader.computeFeatures(normalized, manifest.sampleRate);
+
+        const timeSteps = expected.shape[1];
+        const edgeFrames = fixture.edgeFrames || 0;
+        let maxAbs = 0;
+        let sumAbs = 0;
+        let compared = 0;
+        let worstIndex = 0;
+        for (let i = 0; i < expected.data.length; i++) {
+            const t = i % timeSteps;
+            if (t < edgeFrames || t >= timeSteps - edgeFrames) continue;
+
+            const diff = Math.abs(actual[i] - expected.data[i]);
+            compared++;
+            sumAbs += diff;
+            if (diff > maxAbs) {
+                maxAbs = diff;
+                worstIndex = i;
+            }
+        }
+        const meanAbs = sumAbs / compared;
+
+        const passed = actual.length === expected.data.length &&
+            maxAbs <= fixture.tolerance.maxAbs &&
+            meanAbs <= fixture.tolerance.meanAbs;
+        if (!passed) failures++;
+
+        console.log(
+            `${passed ? 'PASS' : 'FAIL'}  ${fixture.name.padEnd(18)}` +
+            ` max=${maxAbs.toExponential(3)} (<= ${fixture.tolerance.maxAbs})` +
+            ` mean=${meanAbs.toExponential(3)} (<= ${fixture.tolerance.meanAbs})` +
+            (edgeFrames > 0 ? ` 不含首尾各 ${edgeFrames} 帧` : '')
+        );
+
+        if (verbose) {
+            console.log(`      最大误差位置: mel=${Math.floor(worstIndex / timeSteps)} t=${worstIndex % timeSteps}` +
+                ` 期望=${expected.data[worstIndex].toFixed(5)} 实际=${actual[worstIndex].toFixed(5)}`);
+        }
+    }
+
+    console.log(failures === 0 ? '全部通过' : `${failures} 个夹具未通过`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main();
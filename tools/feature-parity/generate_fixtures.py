@@ -0,0 +1,280 @@
+"""
+特征一致性测试夹具生成脚本
+
+合成若干短音频写入 fixtures/*.wav，并按训练端的预处理流程计算期望的
+[n_mels, time] 特征，保存为 fixtures/*.npy（float32），同时写出 manifest.json。
+
+训练端流程：
+    y, _ = librosa.load(path, sr=16000)              # 读取并重采样到16kHz
+    y = 不足3秒循环填充 / 超过3秒截取                 # 与 AudioProcessor.normalizeAudioLength 一致
+    S = librosa.feature.melspectrogram(y=y, sr=16000, n_fft=2048, hop_length=512, n_mels=128)
+    S_db = librosa.power_to_db(S, ref=np.max)
+    X = (S_db - S_db.min()) / (S_db.max() - S_db.min())
+
+用法：
+    pip install numpy librosa
+    python3 tools/feature-parity/generate_fixtures.py [--backend auto|librosa|numpy]
+
+期望值应由 librosa 计算（与训练端相同的实现），此时 manifest.json 的 "backend"
+字段为 "librosa"。无法安装 librosa 时可用 numpy 后端：按 librosa 的默认参数用
+numpy.fft 实现 STFT、Slaney梅尔滤波器组和 power_to_db，重采样使用
+scipy.signal.resample_poly（与 librosa 默认的 soxr_hq 不同）。numpy 后端的夹具
+只能说明浏览器端与同一算法的独立实现一致，check.js 会给出警告，
+加 --require-librosa 时视为失败。
+"""
+import argparse
+import json
+import math
+import os
+import struct
+
+FIXTURE_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'fixtures')
+
+SAMPLE_RATE = 16000
+DURATION = 3
+N_FFT = 2048
+HOP_LENGTH = 512
+N_MELS = 128
+TOP_DB = 80.0
+AMIN = 1e-10
+
+
+class Lcg:
+    """确定性伪随机数（线性同余），保证夹具可复现且与平台无关"""
+
+    def __init__(self, seed):
+        self.state = seed & 0xFFFFFFFF
+
+    def uniform(self):
+        self.state = (1664525 * self.state + 1013904223) & 0xFFFFFFFF
+        return self.state / 0x100000000 * 2 - 1
+
+
+def chirp_signal(rate, duration):
+    """300Hz -> 6kHz 线性扫频，带二次谐波"""
+    f0, f1 = 300.0, 6000.0
+    k = (f1 - f0) / duration
+    out = []
+    for i in range(int(rate * duration)):
+        t = i / rate
+        phase = 2 * math.pi * (f0 * t + 0.5 * k * t * t)
+        out.append(0.5 * math.sin(phase) + 0.15 * math.sin(2 * phase))
+    return out
+
+
+def birdsong_signal(rate, duration, seed=7):
+    """调幅调频的短音节序列，叠加低电平宽带噪声"""
+    rng = Lcg(seed)
+    out = []
+    for i in range(int(rate * duration)):
+        t = i / rate
+        syllable = (t % 0.35) / 0.35
+        envelope = math.sin(math.pi * syllable) ** 2 if syllable < 0.6 else 0.0
+        freq = 3200 + 900 * math.sin(2 * math.pi * 6 * t)
+        out.append(0.6 * envelope * math.sin(2 * math.pi * freq * t + 40 * math.sin(2 * math.pi * 3 * t)))
+    # 噪声与信号分开生成，便于不同采样率下复现相同的音节结构
+    return [s + 0.02 * rng.uniform() for s in out]
+
+
+def grunt_signal(rate, duration):
+    """低频谐波叫声（基频120Hz，带颤音），时长不足3秒以覆盖填充逻辑"""
+    out = []
+    for i in range(int(rate * duration)):
+        t = i / rate
+        f = 120 + 8 * math.sin(2 * math.pi * 5 * t)
+        envelope = min(1.0, t / 0.05) * min(1.0, (duration - t) / 0.2)
+        s = sum(math.sin(2 * math.pi * f * h * t) / h for h in range(1, 9))
+        out.append(0.3 * envelope * s)
+    return out
+
+
+def tones_signal(rate, duration):
+    """500 / 1500 / 2500 / 4200 Hz 多音，幅度随时间交替变化"""
+    out = []
+    for i in range(int(rate * duration)):
+        t = i / rate
+        a = 0.5 + 0.5 * math.sin(2 * math.pi * 0.7 * t)
+        out.append(0.25 * a * math.sin(2 * math.pi * 500 * t) +
+                   0.20 * (1 - a) * math.sin(2 * math.pi * 1500 * t) +
+                   0.15 * math.sin(2 * math.pi * 2500 * t) +
+                   0.10 * a * math.sin(2 * math.pi * 4200 * t))
+    return out
+
+
+# 重采样的夹具在信号首尾处的结果取决于重采样器如何处理边界（各实现都不同），
+# 分析窗口覆盖到首尾补零区域的帧（每端 ceil(N_FFT / 2 / HOP_LENGTH) 帧）不参与比较
+EDGE_FRAMES = math.ceil(N_FFT / 2 / HOP_LENGTH)
+
+# name, 生成函数, WAV采样率, 时长, 容差
+FIXTURES = [
+    ('chirp_16k', chirp_signal, 16000, 3.0, {'maxAbs': 1e-3, 'meanAbs': 1e-4}),
+    ('birdsong_16k', birdsong_signal, 16000, 3.0, {'maxAbs': 1e-3, 'meanAbs': 1e-4}),
+    ('grunt_short_16k', grunt_signal, 16000, 1.7, {'maxAbs': 1e-3, 'meanAbs': 1e-4}),
+    # 32kHz 原始音频：读取时重采样到16kHz，用于校验浏览器端重采样（首尾 EDGE_FRAMES 帧不比较）
+    ('tones_32k', tones_signal, 32000, 3.0, {'maxAbs': 1e-3, 'meanAbs': 1e-4}),
+]
+
+
+def quantize(samples):
+    """量化为16位PCM"""
+    return [max(-32768, min(32767, int(round(s * 32767)))) for s in samples]
+
+
+def write_wav(path, ints, rate):
+    data = struct.pack('<%dh' % len(ints), *ints)
+    with open(path, 'wb') as f:
+        f.write(b'RIFF' + struct.pack('<I', 36 + len(data)) + b'WAVE')
+        f.write(b'fmt ' + struct.pack('<IHHIIHH', 16, 1, 1, rate, rate * 2, 2, 16))
+        f.write(b'data' + struct.pack('<I', len(data)) + data)
+
+
+def write_npy(path, rows):
+    """写出 float32 C顺序 .npy（format version 1.0）"""
+    shape = (len(rows), len(rows[0]))
+    header = "{'descr': '<f4', 'fortran_order': False, 'shape': (%d, %d), }" % shape
+    padding = 64 - (10 + len(header) + 1) % 64
+    header = header + ' ' * padding + '\n'
+    with open(path, 'wb') as f:
+        f.write(b'\x93NUMPY\x01\x00' + struct.pack('<H', len(header)) + header.encode('latin1'))
+        for row in rows:
+            f.write(struct.pack('<%df' % len(row), *row))
+
+
+def normalize_length(y, rate, duration=DURATION):
+    """不足目标长度时循环填充，超过时居中截取（与浏览器端默认的标准化方式一致，夹具时长均不超过3秒）"""
+    target = int(rate * duration)
+    if len(y) >= target:
+        start = (len(y) - target) // 2
+        return y[start:start + target]
+    out = list(y)
+    while len(out) < target:
+        out.extend(y[:target - len(out)])
+    return out
+
+
+def read_wav(path):
+    """读取16位PCM单声道WAV，返回 (float32数据, 采样率)，与 librosa.load 一致按 1/32768 缩放"""
+    import wave
+    import numpy as np
+    with wave.open(path, 'rb') as f:
+        rate = f.getframerate()
+        data = np.frombuffer(f.readframes(f.getnframes()), dtype='<i2')
+    return data.astype(np.float32) / 32768, rate
+
+
+def numpy_features(path):
+    """按 librosa 的默认参数独立计算特征（center=True、常数补零、周期Hann窗、Slaney梅尔、power_to_db）"""
+    import numpy as np
+    from scipy.signal import resample_poly
+
+    y, rate = read_wav(path)
+    if rate != SAMPLE_RATE:
+        g = math.gcd(rate, SAMPLE_RATE)
+        y = resample_poly(y.astype(np.float64), SAMPLE_RATE // g, rate // g)
+    y = np.asarray(normalize_length(list(y), SAMPLE_RATE), dtype=np.float64)
+
+    padded = np.pad(y, N_FFT // 2, mode='constant')
+    n_frames = 1 + (len(padded) - N_FFT) // HOP_LENGTH
+    window = 0.5 - 0.5 * np.cos(2 * np.pi * np.arange(N_FFT) / N_FFT)
+    frames = np.stack([padded[t * HOP_LENGTH:t * HOP_LENGTH + N_FFT] for t in range(n_frames)])
+    power = np.abs(np.fft.rfft(frames * window, axis=1)) ** 2
+
+    # Slaney 梅尔刻度和面积归一化的三角滤波器
+    def hz_to_mel(hz):
+        hz = np.asarray(hz, dtype=np.float64)
+        f_sp, min_log_hz, logstep = 200.0 / 3, 1000.0, math.log(6.4) / 27.0
+        return np.where(hz >= min_log_hz, min_log_hz / f_sp + np.log(np.maximum(hz, 1e-10) / min_log_hz) / logstep, hz / f_sp)
+
+    def mel_to_hz(mel):
+        f_sp, min_log_hz, logstep = 200.0 / 3, 1000.0, math.log(6.4) / 27.0
+        min_log_mel = min_log_hz / f_sp
+        return np.where(mel >= min_log_mel, min_log_hz * np.exp(logstep * (mel - min_log_mel)), f_sp * mel)
+
+    fft_freqs = np.linspace(0, SAMPLE_RATE / 2, N_FFT // 2 + 1)
+    mel_f = mel_to_hz(np.linspace(hz_to_mel(0.0), hz_to_mel(SAMPLE_RATE / 2.0), N_MELS + 2))
+    fdiff = np.diff(mel_f)
+    ramps = mel_f[:, None] - fft_freqs[None, :]
+    lower = -ramps[:-2] / fdiff[:-1, None]
+    upper = ramps[2:] / fdiff[1:, None]
+    weights = np.maximum(0, np.minimum(lower, upper)) * (2.0 / (mel_f[2:] - mel_f[:-2]))[:, None]
+
+    S = weights @ power.T
+    S_db = 10 * np.log10(np.maximum(AMIN, S)) - 10 * np.log10(max(AMIN, S.max()))
+    S_db = np.maximum(S_db, S_db.max() - TOP_DB)
+    span = S_db.max() - S_db.min()
+    X = (S_db - S_db.min()) / span if span > 0 else np.zeros_like(S_db)
+    return X.astype(np.float32).tolist()
+
+
+def librosa_features(path):
+    import librosa
+    import numpy as np
+    y, _ = librosa.load(path, sr=SAMPLE_RATE)
+    y = np.asarray(normalize_length(list(y), SAMPLE_RATE), dtype=np.float32)
+    S = librosa.feature.melspectrogram(y=y, sr=SAMPLE_RATE, n_fft=N_FFT,
+                                       hop_length=HOP_LENGTH, n_mels=N_MELS)
+    S_db = librosa.power_to_db(S, ref=np.max, amin=AMIN, top_db=TOP_DB)
+    span = S_db.max() - S_db.min()
+    X = (S_db - S_db.min()) / span if span > 0 else np.zeros_like(S_db)
+    return X.astype(np.float32).tolist()
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument('--backend', choices=['auto', 'librosa', 'numpy'], default='auto')
+    args = parser.parse_args()
+
+    try:
+        import librosa
+    except ImportError:
+        librosa = None
+    if args.backend == 'librosa' and librosa is None:
+        raise SystemExit('需要安装 numpy 和 librosa: pip install numpy librosa')
+    backend = 'librosa' if librosa is not None and args.backend != 'numpy' else 'numpy'
+    if backend == 'librosa':
+        backend_version = librosa.__version__
+    else:
+        import numpy
+        import scipy
+        backend_version = 'numpy %s, scipy %s' % (numpy.__version__, scipy.__version__)
+        print('未使用 librosa，期望值由 numpy 参考实现计算')
+
+    os.makedirs(FIXTURE_DIR, exist_ok=True)
+    manifest = {
+        'backend': backend,
+        'backendVersion': backend_version,
+        'sampleRate': SAMPLE_RATE,
+        'duration': DURATION,
+        'nFft': N_FFT,
+        'hopLength': HOP_LENGTH,
+        'nMels': N_MELS,
+        'topDb': TOP_DB,
+        'fixtures': []
+    }
+
+    for name, generator, rate, duration, tolerance in FIXTURES:
+        wav_path = os.path.join(FIXTURE_DIR, name + '.wav')
+        write_wav(wav_path, quantize(generator(rate, duration)), rate)
+
+        features = librosa_features(wav_path) if backend == 'librosa' else numpy_features(wav_path)
+        write_npy(os.path.join(FIXTURE_DIR, name + '.npy'), features)
+
+        manifest['fixtures'].append({
+            'name': name,
+            'wav': name + '.wav',
+            'expected': name + '.npy',
+            'sourceSampleRate': rate,
+            'duration': duration,
+            'shape': [len(features), len(features[0])],
+            'edgeFrames': EDGE_FRAMES if rate != SAMPLE_RATE else 0,
+            'tolerance': tolerance
+        })
+        print('%-16s %d Hz  %.1f s  -> %dx%d' % (name, rate, duration, len(features), len(features[0])))
+
+    with open(os.path.join(FIXTURE_DIR, 'manifest.json'), 'w') as f:
+        json.dump(manifest, f, indent=2)
+        f.write('\n')
+
+
+if __name__ == '__main__':
+    main()
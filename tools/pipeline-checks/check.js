@@ -0,0 +1,206 @@
+/**
+ * 处理流程回归检查脚本
+ * 在Node中直接调用浏览器端的模块，对容易出错的处理步骤逐项断言，任一项失败时以非零状态码退出
+ *
+ * 用法: node tools/pipeline-checks/check.js
+ */
+global.MelSpectrogram = require('../../js/mel-spectrogram.js');
+const ModelLoader = require('../../js/model-loader.js');
+const AudioProcessor = require('../../js/audio-processor.js');
+const DetectionTracker = require('../../js/detection-tracker.js');
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * 生成确定性的测试信号：上扫频叠加调频和二次谐波，不具有周期性
+ * @param {number} sampleRate - 采样率
+ * @param {number} duration - 时长（秒）
+ * @returns {Float32Array}
+ */
+function testSignal(sampleRate, duration) {
+    const out = new Float32Array(Math.round(sampleRate * duration));
+    for (let i = 0; i < out.length; i++) {
+        const t = i / sampleRate;
+        const phase = 2 * Math.PI * (1200 * t + 250 * t * t + 150 * Math.sin(2 * Math.PI * 1.3 * t));
+        out[i] = 0.4 * Math.sin(phase) + 0.1 * Math.sin(2 * phase);
+    }
+    return out;
+}
+
+/**
+ * 用Goertzel算法计算单个频率的归一化幅度
+ * @param {Float32Array} samples - 数据
+ * @param {number} sampleRate - 采样率
+ * @param {number} frequency - 频率（Hz）
+ * @returns {number} - 正弦幅度估计
+ */
+function toneAmplitude(samples, sampleRate, frequency) {
+    const coeff = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+    let s1 = 0;
+    let s2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const s0 = samples[i] + coeff * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+    }
+    return 2 * Math.sqrt(Math.max(0, s1 * s1 + s2 * s2 - coeff * s1 * s2)) / samples.length;
+}
+
+/**
+ * 两个特征张量的最大逐元素差
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number}
+ */
+function maxAbsDiff(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.length; i++) {
+        max = Math.max(max, Math.abs(a[i] - b[i]));
+    }
+    return max;
+}
+
+const CHECKS = [
+    {
+        name: 'TTA变体的特征互不相同',
+        run() {
+            const modelLoader = new ModelLoader();
+            const clip = testSignal(SAMPLE_RATE, modelLoader.clipDuration);
+            const variants = modelLoader.createTtaVariants(clip, SAMPLE_RATE);
+            const features = variants.map(variant => modelLoader.computeFeatures(variant, SAMPLE_RATE));
+
+            for (let i = 0; i < features.length; i++) {
+                for (let j = i + 1; j < features.length; j++) {
+                    const diff = maxAbsDiff(features[i], features[j]);
+                    if (diff < 0.05) {
+                        throw new Error(`变体 ${i} 与变体 ${j} 的特征几乎相同（最大差 ${diff.toExponential(2)}）`);
+                    }
+                }
+            }
+            return `${variants.length} 个变体`;
+        }
+    },
+    {
+        name: '被拒识的窗口会断开检测片段',
+        run() {
+            const modelLoader = new ModelLoader();
+            // 3秒窗口、1.5秒步长：命中 / 拒识 / 命中
+            const windows = [
+                { start: 0, end: 3, class: '鸟', probability: 0.9, isUnknown: false },
+                { start: 1.5, end: 4.5, class: ModelLoader.UNKNOWN_CLASS, probability: 0.4, isUnknown: true },
+                { start: 3, end: 6, class: '鸟', probability: 0.9, isUnknown: false }
+            ];
+            const segments = modelLoader.mergeDetectionSegments(windows, { minConfidence: 0.5 });
+
+            if (segments.length !== 2) {
+                throw new Error(`应得到 2 个片段，实际 ${segments.length} 个: ${JSON.stringify(segments)}`);
+            }
+            if (segments[0].end !== 3 || segments[1].start !== 3) {
+                throw new Error(`片段边界错误: ${JSON.stringify(segments)}`);
+            }
+            return null;
+        }
+    },
+    {
+        name: '被拒识的结果不会开始检测，只推进检测的结束',
+        run() {
+            const tracker = new DetectionTracker({ classNames: ['鸟', '蛙'], windowSize: 3 });
+            const start = Date.now();
+            const result = (index, probabilities, isUnknown) => ({
+                timestamp: new Date(start + index * 3000),
+                allProbabilities: probabilities,
+                isUnknown
+            });
+
+            // 拒识结果的原始概率很高，但不应计入平均
+            const rejected = [0, 1, 2].flatMap(i => tracker.update(result(i, [0.99, 0], true)));
+            if (rejected.length !== 0) {
+                throw new Error(`拒识结果产生了事件: ${JSON.stringify(rejected)}`);
+            }
+
+            const started = [3, 4, 5].flatMap(i => tracker.update(result(i, [0.95, 0], false)));
+            if (!started.some(event => event.type === 'start' && event.class === '鸟')) {
+                throw new Error(`连续命中后未开始检测: ${JSON.stringify(started)}`);
+            }
+
+            // 连续拒识应结束进行中的检测
+            const ended = [6, 7].flatMap(i => tracker.update(result(i, [0.99, 0], true)));
+            if (!ended.some(event => event.type === 'end' && event.class === '鸟')) {
+                throw new Error(`连续拒识后检测未结束: ${JSON.stringify(ended)}`);
+            }
+            return null;
+        }
+    },
+    {
+        name: '任意窗口时长的分析窗口都标准化为模型片段时长',
+        run() {
+            const modelLoader = new ModelLoader();
+            const audioProcessor = new AudioProcessor(null);
+            const clipLength = Math.floor(modelLoader.clipDuration * SAMPLE_RATE);
+
+            for (const [audioDuration, windowDuration] of [[12, 5], [12, 2], [1.7, 5], [1.7, 2]]) {
+                const windows = audioProcessor.createAnalysisWindows(
+                    testSignal(SAMPLE_RATE, audioDuration), SAMPLE_RATE, windowDuration, windowDuration / 2, modelLoader.clipDuration);
+                const wrong = windows.find(window => window.data.length !== clipLength);
+                if (wrong) {
+                    throw new Error(`${audioDuration} 秒音频、${windowDuration} 秒窗口: 窗口长度 ${wrong.data.length}，应为 ${clipLength}`);
+                }
+            }
+            return null;
+        }
+    },
+    {
+        name: '96kHz录音自动时间扩展后覆盖模型的整个频率范围',
+        run() {
+            // 30kHz 和 45kHz 超声音，模型采样率16kHz
+            const sourceRate = 96000;
+            const samples = new Float32Array(sourceRate / 2);
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] = 0.3 * Math.sin(2 * Math.PI * 30000 * i / sourceRate) + 0.3 * Math.sin(2 * Math.PI * 45000 * i / sourceRate);
+            }
+            const audioBuffer = {
+                sampleRate: sourceRate,
+                numberOfChannels: 1,
+                length: samples.length,
+                getChannelData: () => samples
+            };
+
+            const ultrasonic = AudioProcessor.resolveUltrasonic({ mode: 'auto' }, sourceRate, null, SAMPLE_RATE);
+            if (sourceRate / ultrasonic.factor < SAMPLE_RATE) {
+                throw new Error(`扩展 ×${ultrasonic.factor} 后采样率 ${sourceRate / ultrasonic.factor} Hz 低于模型采样率`);
+            }
+            if (ultrasonic.band[1] !== sourceRate / 2) {
+                throw new Error(`分析频段应覆盖到 ${sourceRate / 2} Hz，实际 ${ultrasonic.band[1]} Hz`);
+            }
+
+            const output = new AudioProcessor(null).resampleAudio(audioBuffer, SAMPLE_RATE, { ultrasonic });
+            // 45kHz 扩展后应落在模型频率范围的高端（4.8kHz以上）
+            for (const frequency of [30000, 45000]) {
+                const amplitude = toneAmplitude(output, SAMPLE_RATE, frequency / ultrasonic.factor);
+                if (amplitude < 0.2) {
+                    throw new Error(`${frequency} Hz 扩展到 ${frequency / ultrasonic.factor} Hz 后幅度只有 ${amplitude.toFixed(3)}`);
+                }
+            }
+            return `扩展 ×${ultrasonic.factor}`;
+        }
+    }
+];
+
+function main() {
+    let failures = 0;
+
+    for (const check of CHECKS) {
+        try {
+            const detail = check.run();
+            console.log(`PASS  ${check.name}${detail ? `（${detail}）` : ''}`);
+        } catch (error) {
+            failures++;
+            console.log(`FAIL  ${check.name}: ${error.message}`);
+        }
+    }
+
+    console.log(failures === 0 ? '全部通过' : `${failures} 项未通过`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,142 @@
+/**
+ * 本地STS模拟服务
+ * 在 /api/sts-token 签发格式与阿里云 AssumeRole 相同的模拟临时凭证（不能访问真实OSS），
+ * 同时提供页面的静态文件（index.html 和 js/、css/、models/ 目录），使页面与凭证接口同源，便于在没有阿里云账号时验证凭证获取和自动刷新
+ *
+ * 用法: node tools/sts-server/server.js [--port 8787] [--duration 120] [--fail-rate 0]
+ *   --port      监听端口，默认8787
+ *   --duration  凭证有效期（秒），默认120，调小可以快速观察刷新
+ *   --fail-rate 凭证接口随机返回503的比例（0-1），用于验证刷新失败后的重试，默认0
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// 允许访问的静态资源：页面本身和前端使用的目录，不提供 .git/、tools/ 等其他文件
+const STATIC_FILES = ['index.html'];
+const STATIC_DIRS = ['js', 'css', 'models'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.bin': 'application/octet-stream',
+    '.wav': 'audio/wav',
+    '.flac': 'audio/flac',
+    '.mp3': 'audio/mpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * 读取命令行参数
+ * @param {string} name - 参数名（不含 --）
+ * @param {number} defaultValue - 默认值
+ * @returns {number}
+ */
+function readOption(name, defaultValue) {
+    const index = process.argv.indexOf('--' + name);
+    if (index < 0) return defaultValue;
+
+    const value = Number(process.argv[index + 1]);
+    if (!Number.isFinite(value)) {
+        throw new Error(`参数 --${name} 必须为数字`);
+    }
+    return value;
+}
+
+/**
+ * 生成一份模拟STS凭证
+ * @param {number} duration - 有效期（秒）
+ * @returns {Object} - AssumeRole 响应
+ */
+function issueCredentials(duration) {
+    const expiration = new Date(Date.now() + duration * 1000);
+    return {
+        RequestId: crypto.randomUUID(),
+        Credentials: {
+            AccessKeyId: 'STS.local' + crypto.randomBytes(8).toString('hex'),
+            AccessKeySecret: crypto.randomBytes(20).toString('base64'),
+            SecurityToken: 'local-' + crypto.randomBytes(32).toString('base64'),
+            // 与阿里云一致，使用不带毫秒的UTC时间
+            Expiration: expiration.toISOString().replace(/\.\d{3}Z$/, 'Z')
+        }
+    };
+}
+
+/**
+ * 提供页面的静态文件
+ * @param {http.IncomingMessage} request - 请求
+ * @param {http.ServerResponse} response - 响应
+ */
+function serveStatic(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        // 无效的百分号编码
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    const relativePath = path.relative(ROOT_DIR, path.join(ROOT_DIR, pathname === '/' ? 'index.html' : pathname));
+    const segments = relativePath.split(path.sep);
+
+    // 只允许访问白名单中的文件和目录，且路径中不能有以 . 开头的部分
+    const allowed = !segments.some(segment => segment.startsWith('.')) &&
+        (STATIC_FILES.includes(relativePath) || (segments.length > 1 && STATIC_DIRS.includes(segments[0])));
+    if (!allowed) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+
+    const filePath = path.join(ROOT_DIR, relativePath);
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+function main() {
+    const port = readOption('port', 8787);
+    const duration = readOption('duration', 120);
+    const failRate = readOption('fail-rate', 0);
+
+    const server = http.createServer((request, response) => {
+        if (!request.url.startsWith('/api/sts-token')) {
+            serveStatic(request, response);
+            return;
+        }
+
+        if (Math.random() < failRate) {
+            console.log(`${new Date().toLocaleTimeString()} 模拟凭证签发失败`);
+            response.writeHead(503, { 'Content-Type': 'application/json; charset=utf-8' });
+            response.end(JSON.stringify({ Code: 'ServiceUnavailable', Message: '模拟的临时故障' }));
+            return;
+        }
+
+        const body = issueCredentials(duration);
+        console.log(`${new Date().toLocaleTimeString()} 签发凭证 ${body.Credentials.AccessKeyId}，有效期至 ${body.Credentials.Expiration}`);
+        response.writeHead(200, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store'
+        });
+        response.end(JSON.stringify(body));
+    });
+
+    server.listen(port, () => {
+        console.log(`本地STS模拟服务已启动: http://localhost:${port}/ （凭证有效期 ${duration} 秒）`);
+    });
+}
+
+main();